@@ -0,0 +1,116 @@
+/**
+ * Activity Store
+ *
+ * Keeps each runner's own running notes (kind 1) and workout records (kind
+ * 1301), so their activities can be analysed from their pubkey alone. The
+ * running feed holds only the latest notes of everyone together; here every
+ * runner keeps up to their most recent `maxPerPubkey` events of each kind,
+ * and only the `maxPubkeys` most recently active runners are kept. Notes
+ * are stored as posted, with the latest parse of each, so a request's time
+ * zone and units apply and a note is only parsed again when they change.
+ * Every event is stored once.
+ */
+
+const { touchRecent } = require('../utils/recent');
+
+const DEFAULT_MAX_PER_PUBKEY = 1000;
+const DEFAULT_MAX_PUBKEYS = 1000;
+
+/**
+ * Adds an event to a per-pubkey list, newest first, keeping it to a size
+ * @param {Map} lists - pubkey -> events, least recently active pubkey first
+ * @param {string} pubkey - Author's public key
+ * @param {Object} item - Event or record with an id and created_at
+ * @param {number} max - Most items kept per pubkey
+ * @param {number} maxPubkeys - Most pubkeys kept
+ */
+function addToList(lists, pubkey, item, max, maxPubkeys) {
+  const list = touchRecent(lists, pubkey, () => [], maxPubkeys);
+  if (list.some(existing => existing.id === item.id)) {
+    return;
+  }
+  list.push(item);
+  list.sort((a, b) => b.created_at - a.created_at);
+  if (list.length > max) {
+    list.length = max;
+  }
+}
+
+class ActivityStore {
+  /**
+   * @param {number} [maxPerPubkey] - Most notes, and most records, kept per runner
+   * @param {number} [maxPubkeys] - Most runners kept, least recently active dropped first
+   */
+  constructor(maxPerPubkey = DEFAULT_MAX_PER_PUBKEY, maxPubkeys = DEFAULT_MAX_PUBKEYS) {
+    this.maxPerPubkey = maxPerPubkey;
+    this.maxPubkeys = maxPubkeys;
+    // pubkey -> note events with their latest parse, newest first
+    this.notesByPubkey = new Map();
+    // pubkey -> workout records as stored by the DVM, newest first
+    this.recordsByPubkey = new Map();
+  }
+
+  /**
+   * Stores a running note
+   * @param {Object} event - Kind 1 event
+   * @param {Object} [parsed] - How the note was parsed already
+   * @param {string} parsed.key - Options it was parsed with
+   * @param {Object} parsed.result - Output of the running notes task
+   */
+  addNote(event, parsed = null) {
+    addToList(this.notesByPubkey, event.pubkey, {
+      id: event.id,
+      pubkey: event.pubkey,
+      content: event.content,
+      created_at: event.created_at,
+      parsed
+    }, this.maxPerPubkey, this.maxPubkeys);
+  }
+
+  /**
+   * Stores a workout record
+   * @param {Object} record - Workout record as stored by the DVM
+   */
+  addRecord(record) {
+    addToList(this.recordsByPubkey, record.pubkey, record, this.maxPerPubkey, this.maxPubkeys);
+  }
+
+  /**
+   * Lists a runner's notes
+   * @param {string} pubkey - Runner's public key
+   * @returns {Array} Note events, newest first
+   */
+  getNotes(pubkey) {
+    return [...(this.notesByPubkey.get(pubkey) || [])];
+  }
+
+  /**
+   * Lists how a runner's notes parse, parsing only the notes last parsed
+   * with other options
+   * @param {string} pubkey - Runner's public key
+   * @param {string} key - Options the notes are parsed with, such as time zone and units
+   * @param {Function} parse - Parses a note, returning a promise of the running notes task output
+   * @returns {Promise<Array>} Notes with their parse as `result`, newest first
+   */
+  async getParsedNotes(pubkey, key, parse) {
+    const notes = [];
+    for (const note of this.notesByPubkey.get(pubkey) || []) {
+      if (note.parsed?.key !== key) {
+        note.parsed = { key, result: await parse(note) };
+      }
+      notes.push({ ...note, result: note.parsed.result });
+    }
+    return notes;
+  }
+
+  /**
+   * Lists a runner's workout records
+   * @param {string} pubkey - Runner's public key
+   * @returns {Array} Workout records, newest first
+   */
+  getRecords(pubkey) {
+    return [...(this.recordsByPubkey.get(pubkey) || [])];
+  }
+}
+
+module.exports = { ActivityStore };
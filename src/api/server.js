@@ -48,6 +48,60 @@ function startApiServer(dvm) {
     }
   });
 
+  app.post('/api/training_load', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('training_load', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/race_predictor', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('race_predictor', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/heart_rate_zones', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('heart_rate_zones', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/compare', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('compare', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/recap', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('recap', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/injury_risk', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('injury_risk', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
   // Running feed endpoint
   app.get('/api/running_feed', async (req, res) => {
     try {
@@ -102,6 +156,95 @@ function startApiServer(dvm) {
     }
   });
 
+  // Gear mileage endpoint
+  app.get('/api/gear_mileage', async (req, res) => {
+    try {
+      // Parse query parameters
+      const params = {
+        pubkey: req.query.pubkey,
+        units: req.query.units || 'metric'
+      };
+      if (req.query.threshold_km) {
+        params.threshold_km = parseFloat(req.query.threshold_km);
+      }
+      
+      const result = await dvm.processApiRequest('gear_mileage', params);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Best efforts endpoint
+  app.get('/api/best_efforts', async (req, res) => {
+    try {
+      const params = {
+        pubkey: req.query.pubkey,
+        units: req.query.units || 'metric',
+        timeZone: req.query.timeZone || 'UTC'
+      };
+      
+      const result = await dvm.processApiRequest('best_efforts', params);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Goal endpoints
+  app.post('/api/goals', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('set_goal', req.body);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/goal_progress', async (req, res) => {
+    try {
+      const params = {
+        pubkey: req.query.pubkey,
+        timeZone: req.query.timeZone || 'UTC',
+        weekStart: req.query.weekStart || 'iso',
+        units: req.query.units || 'metric'
+      };
+      
+      const result = await dvm.processApiRequest('goal_progress', params);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Streaks endpoint
+  app.get('/api/streaks', async (req, res) => {
+    try {
+      const params = {
+        pubkey: req.query.pubkey,
+        timeZone: req.query.timeZone || 'UTC',
+        weekStart: req.query.weekStart || 'iso'
+      };
+      if (req.query.days) {
+        params.days = parseInt(req.query.days);
+      }
+      
+      const result = await dvm.processApiRequest('streaks', params);
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/recommendations', async (req, res) => {
+    try {
+      const result = await dvm.processApiRequest('get_recommendations', { task: req.query.task });
+      res.json({ success: true, result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
   // Start the server
   const server = app.listen(port, host, () => {
     console.log(`API server listening at http://${host}:${port}`);
@@ -0,0 +1,294 @@
+/**
+ * Best Efforts Tracker
+ *
+ * Finds the fastest 1K, mile, 5K, 10K, half and full marathon inside each
+ * workout, as a rolling segment of its splits rather than its average pace,
+ * so a quick 1 km jog can't pass for a fast marathon. Workouts without
+ * splits count only when their whole distance is a standard one, at their
+ * race finish time when they were races. Keeps each runner's efforts, so
+ * all-time and per-year bests, in the runner's time zone, each point back
+ * to the event they came from. Efforts also carry the time the same effort
+ * would have taken on the flat, so hilly runs can be compared fairly.
+ * Only the most recently active runners are kept, each with a bounded
+ * history that always holds their best of every distance and year.
+ */
+
+const { nip19 } = require('nostr-tools');
+const { toMetres, readDistance, formatDuration, formatPace } = require('../utils/units');
+const { RACE_DISTANCES, DISTANCE_TOLERANCE } = require('../parser/races');
+const { validateActivity } = require('../validation/plausibility');
+const { getGradeAdjustment, adjustSplits } = require('../utils/gradeAdjustment');
+const { getZonedParts } = require('../utils/dates');
+const { touchRecent, addRecent } = require('../utils/recent');
+
+const BEST_EFFORT_DISTANCES = {
+  '1k': 1000,
+  '1_mile': RACE_DISTANCES['1_mile'],
+  '5k': RACE_DISTANCES['5k'],
+  '10k': RACE_DISTANCES['10k'],
+  half_marathon: RACE_DISTANCES.half_marathon,
+  marathon: RACE_DISTANCES.marathon
+};
+// Splits searched for efforts; a marathon in 100 m splits is well within
+const MAX_SPLITS = 1000;
+const DEFAULT_MAX_PUBKEYS = 10000;
+// Efforts kept per runner, about a thousand workouts' worth, and event ids
+// remembered per runner to count each event once
+const MAX_EFFORTS_PER_PUBKEY = 6000;
+const MAX_EVENTS_PER_PUBKEY = 1000;
+
+/**
+ * Finds the fastest time to cover a distance within a run of splits,
+ * assuming an even pace inside each split. Segments start or end on a
+ * split boundary, with the other end interpolated inside a split.
+ * Each effort also has a grade-adjusted time, the time it would have taken
+ * on the flat, found the same way from grade-adjusted splits.
+ * @param {Array} splits - Splits with metres and seconds
+ * @param {number} target - Distance in metres
+ * @returns {number|null} Seconds, or null if the splits are shorter than the distance
+ */
+function fastestSegment(splits, target) {
+  const distances = [0];
+  const times = [0];
+  for (const split of splits) {
+    distances.push(distances[distances.length - 1] + split.metres);
+    times.push(times[times.length - 1] + split.seconds);
+  }
+  if (distances[distances.length - 1] < target) {
+    return null;
+  }
+
+  // Time at any distance into the workout, by interpolating inside the
+  // split found by binary search
+  const timeAt = metres => {
+    let low = 0;
+    let high = distances.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (distances[middle] >= metres) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    const i = low;
+    if (i <= 0) {
+      return 0;
+    }
+    const fraction = (metres - distances[i - 1]) / (distances[i] - distances[i - 1]);
+    return times[i - 1] + fraction * (times[i] - times[i - 1]);
+  };
+
+  let best = Infinity;
+  const total = distances[distances.length - 1];
+  for (let i = 0; i < distances.length; i++) {
+    if (distances[i] + target <= total) {
+      best = Math.min(best, timeAt(distances[i] + target) - times[i]);
+    }
+    if (distances[i] - target >= 0) {
+      best = Math.min(best, times[i] - timeAt(distances[i] - target));
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the best efforts at standard distances inside one workout
+ * @param {Object} entry - Activity with its flagged fields, from toEntries
+ * @returns {Array} Efforts with a distance name, metres, seconds, grade-adjusted seconds and whether they came from splits
+ */
+function findBestEfforts(entry) {
+  const { activity, flagged } = entry;
+  const { splits = [], distance, time, race } = activity.extractedData || {};
+  const efforts = [];
+  const adjustment = getGradeAdjustment(entry);
+  const factor = adjustment?.factor || 1;
+  const round = seconds => Math.round(seconds * 10) / 10;
+
+  const usableSplits = splits.length > 0 && splits.length <= MAX_SPLITS && splits.every((split, i) =>
+    split.seconds > 0 && !flagged.has(`splits[${i}]`));
+  if (usableSplits) {
+    const measured = splits.map(split => ({
+      metres: split.metres ?? toMetres(Number(split.distance), split.unit || 'm'),
+      seconds: split.seconds
+    }));
+    // With per-split elevation the fastest flat-equivalent segment may be a different one
+    const adjusted = adjustment?.basis === 'splits' ? adjustSplits(splits) : null;
+    for (const [name, metres] of Object.entries(BEST_EFFORT_DISTANCES)) {
+      const seconds = fastestSegment(measured, metres);
+      if (seconds !== null) {
+        efforts.push({
+          distance: name,
+          metres,
+          seconds: round(seconds),
+          gradeAdjustedSeconds: round(adjusted ? fastestSegment(adjusted, metres) : seconds / factor),
+          fromSplits: true
+        });
+      }
+    }
+  }
+
+  // A whole workout of a standard distance is an effort at it too, and a
+  // race counts at its distance and finish time ("marathon in 3:05:12")
+  let total = distance && !flagged.has('distance') ? readDistance(distance) : null;
+  let seconds = time && !flagged.has('time') && !flagged.has('calculatedPace') ? time.totalSeconds : null;
+  if (race?.distance && race.finishTime?.totalSeconds && !flagged.has('race')) {
+    total = race.distance;
+    seconds = race.finishTime.totalSeconds;
+  }
+  const name = total ? Object.keys(BEST_EFFORT_DISTANCES).find(key =>
+    Math.abs(total - BEST_EFFORT_DISTANCES[key]) / BEST_EFFORT_DISTANCES[key] <= DISTANCE_TOLERANCE) : null;
+  if (name && seconds) {
+    const fromSplits = efforts.find(e => e.distance === name);
+    const gradeAdjustedSeconds = round(seconds / factor);
+    if (!fromSplits) {
+      efforts.push({
+        distance: name,
+        metres: BEST_EFFORT_DISTANCES[name],
+        seconds,
+        gradeAdjustedSeconds,
+        fromSplits: false
+      });
+    } else if (seconds < fromSplits.seconds) {
+      Object.assign(fromSplits, {
+        seconds,
+        gradeAdjustedSeconds: Math.min(gradeAdjustedSeconds, fromSplits.gradeAdjustedSeconds),
+        fromSplits: false
+      });
+    }
+  }
+
+  // Even plausible splits can add up to an impossible segment
+  return efforts.filter(effort => !validateActivity({
+    distance: { metres: effort.metres },
+    time: { totalSeconds: effort.seconds }
+  }).some(w => w.severity === 'error'));
+}
+
+/**
+ * Describes an effort for output
+ * @param {Object} effort - Stored effort
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Effort with formatted time, pace and grade-adjusted time and a note link
+ */
+function describeEffort(effort, units) {
+  let note = null;
+  try {
+    note = nip19.noteEncode(effort.eventId);
+  } catch (error) {
+    // Ids that aren't event hashes can't be linked
+  }
+  return {
+    ...effort,
+    formatted: formatDuration(effort.seconds),
+    paceFormatted: formatPace(effort.seconds / (effort.metres / 1000), units),
+    gradeAdjustedFormatted: formatDuration(effort.gradeAdjustedSeconds),
+    note
+  };
+}
+
+/**
+ * Drops a runner's oldest efforts past a size, keeping the best of each
+ * distance in every (UTC) year so no best is lost
+ * @param {Array} history - Efforts in the order recorded
+ * @param {number} max - Most efforts kept
+ * @returns {Array} Efforts kept, in the order recorded
+ */
+function trimHistory(history, max) {
+  const bests = new Map();
+  for (const effort of history) {
+    const key = `${effort.distance}:${new Date(effort.timestamp * 1000).getUTCFullYear()}`;
+    if (!bests.has(key) || effort.seconds < bests.get(key).seconds) {
+      bests.set(key, effort);
+    }
+  }
+  const kept = new Set(bests.values());
+  const dropped = new Set(history
+    .filter(effort => !kept.has(effort))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, history.length - max));
+  return history.filter(effort => !dropped.has(effort));
+}
+
+class BestEffortsTracker {
+  /**
+   * @param {number} [maxPubkeys] - Most runners kept, least recently active dropped first
+   */
+  constructor(maxPubkeys = DEFAULT_MAX_PUBKEYS) {
+    this.maxPubkeys = maxPubkeys;
+    // pubkey -> every effort kept, for bests over any time range,
+    // least recently active runner first
+    this.effortsByPubkey = new Map();
+    // pubkey -> ids of the events already counted
+    this.countedEvents = new Map();
+  }
+
+  /**
+   * Records the efforts found in a workout
+   * @param {string} pubkey - Runner's public key
+   * @param {Array} efforts - Efforts from findBestEfforts
+   * @param {Object} activity - The workout the efforts were run in
+   * @param {string} activity.eventId - Id of the event describing it
+   * @param {number} activity.timestamp - When it happened, in unix seconds
+   * @param {string} activity.source - "note" or "workout_record"
+   */
+  recordEfforts(pubkey, efforts, { eventId, timestamp, source }) {
+    if (efforts.length === 0 || this.countedEvents.get(pubkey)?.has(eventId)) {
+      return;
+    }
+    addRecent(touchRecent(this.countedEvents, pubkey, () => new Set(), this.maxPubkeys), eventId, MAX_EVENTS_PER_PUBKEY);
+
+    const history = touchRecent(this.effortsByPubkey, pubkey, () => [], this.maxPubkeys);
+    for (const effort of efforts) {
+      history.push({ ...effort, eventId, timestamp, source });
+    }
+    if (history.length > MAX_EFFORTS_PER_PUBKEY) {
+      this.effortsByPubkey.set(pubkey, trimHistory(history, MAX_EFFORTS_PER_PUBKEY));
+    }
+  }
+
+  /**
+   * Lists every effort a runner made at a distance within a time range
+   * @param {string} pubkey - Runner's public key
+   * @param {string} distance - Distance name, e.g. "5k"
+   * @param {number} since - Start of the range, in unix seconds
+   * @param {number} until - End of the range, in unix seconds
+   * @returns {Array} Efforts, oldest first
+   */
+  getEfforts(pubkey, distance, since, until) {
+    return (this.effortsByPubkey.get(pubkey) || [])
+      .filter(e => e.distance === distance && e.timestamp >= since && e.timestamp <= until)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Lists a runner's best efforts, shortest distance first
+   * @param {string} pubkey - Runner's public key
+   * @param {string} [units] - "metric" or "imperial", for formatted strings
+   * @param {string} [timeZone] - IANA time zone years are counted in, UTC by default
+   * @returns {Object} All-time bests and bests for each year
+   */
+  getBestEfforts(pubkey, units = 'metric', timeZone = 'UTC') {
+    const allTime = {};
+    const byYear = {};
+    for (const effort of this.effortsByPubkey.get(pubkey) || []) {
+      const year = getZonedParts(effort.timestamp * 1000, timeZone).year;
+      byYear[year] = byYear[year] || {};
+      for (const table of [allTime, byYear[year]]) {
+        if (!table[effort.distance] || effort.seconds < table[effort.distance].seconds) {
+          table[effort.distance] = effort;
+        }
+      }
+    }
+
+    const list = table => Object.values(table)
+      .sort((a, b) => a.metres - b.metres)
+      .map(effort => describeEffort(effort, units));
+    return {
+      allTime: list(allTime),
+      byYear: Object.fromEntries(Object.entries(byYear).map(([year, table]) => [year, list(table)]))
+    };
+  }
+}
+
+module.exports = { BestEffortsTracker, findBestEfforts, BEST_EFFORT_DISTANCES };
@@ -0,0 +1,149 @@
+/**
+ * Gear Tracker
+ *
+ * Keeps a per-pubkey list of the gear runners mention, mostly shoes, with
+ * the distance run in each item. Gear comes from notes ("10k in my
+ * Vaporflys") and from the `equipment` tags of NIP-101e workout records.
+ * Every event is counted once, however many times relays deliver it.
+ * Only the most recently active runners, and their most recently used
+ * items, are kept.
+ */
+
+const { tokenize } = require('../parser/tokenizer');
+const { getLexicon } = require('../parser/lexicon');
+const { labelTokens } = require('../parser/grammar');
+const { touchRecent, addRecent } = require('../utils/recent');
+
+const DEFAULT_MAX_PUBKEYS = 10000;
+// Gear items kept per runner, and event ids remembered per runner to count each event once
+const MAX_ITEMS_PER_PUBKEY = 100;
+const MAX_EVENTS_PER_PUBKEY = 1000;
+
+// NIP-101e equipment categories, which describe the workout rather than an item
+const GENERIC_EQUIPMENT = new Set([
+  'cardio', 'none', 'bodyweight', 'barbell', 'dumbbell', 'kettlebell', 'machine', 'cable', 'bands'
+]);
+const SHOE_WORDS_REGEX = /\b(shoes?|sneakers?|trainers?|racers?|spikes|flats)\b/i;
+
+/**
+ * Reads the gear named by an `equipment` tag value, using the note grammar
+ * to recognise brands and models ("Nike Pegasus 40")
+ * @param {string} value - Equipment tag value
+ * @returns {Object|null} Gear item, or null for generic categories like "cardio"
+ */
+function gearFromEquipment(value) {
+  const text = String(value || '').trim();
+  if (!text || GENERIC_EQUIPMENT.has(text.toLowerCase())) {
+    return null;
+  }
+
+  const lexicon = getLexicon('en');
+  const known = labelTokens(tokenize(text, lexicon), lexicon).find(e => e.label === 'gear');
+  if (known) {
+    return {
+      key: known.key,
+      name: known.name,
+      brand: known.brand,
+      model: known.model,
+      version: known.version,
+      type: 'shoe'
+    };
+  }
+
+  return {
+    key: text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-'),
+    name: text,
+    brand: null,
+    model: null,
+    version: null,
+    type: SHOE_WORDS_REGEX.test(text) ? 'shoe' : 'other'
+  };
+}
+
+class GearTracker {
+  /**
+   * @param {number} [maxPubkeys] - Most runners kept, least recently active dropped first
+   */
+  constructor(maxPubkeys = DEFAULT_MAX_PUBKEYS) {
+    this.maxPubkeys = maxPubkeys;
+    // pubkey -> gear key -> item, least recently active runner first
+    this.gearByPubkey = new Map();
+    // pubkey -> ids of the events already counted
+    this.countedEvents = new Map();
+  }
+
+  /**
+   * Records that gear was used in an activity
+   * @param {string} pubkey - Runner's public key
+   * @param {Array} gear - Gear items with key, name, brand, model, version and type
+   * @param {Object} activity - The activity the gear was used in
+   * @param {string} activity.eventId - Id of the event describing it
+   * @param {number|null} activity.distance - Distance in metres, if known
+   * @param {number} activity.timestamp - When it happened, in unix seconds
+   * @param {string} activity.source - "note" or "workout_record"
+   */
+  recordUse(pubkey, gear, { eventId, distance, timestamp, source }) {
+    if (gear.length === 0) {
+      return;
+    }
+
+    if (this.countedEvents.get(pubkey)?.has(eventId)) {
+      return;
+    }
+    const counted = touchRecent(this.countedEvents, pubkey, () => new Set(), this.maxPubkeys);
+    addRecent(counted, eventId, MAX_EVENTS_PER_PUBKEY);
+
+    const items = touchRecent(this.gearByPubkey, pubkey, () => new Map(), this.maxPubkeys);
+
+    // The same shoe named twice in one note is still one activity
+    const unique = new Map(gear.map(g => [g.key, g]));
+    for (const g of unique.values()) {
+      const item = items.get(g.key) || {
+        key: g.key,
+        name: g.name,
+        brand: g.brand,
+        model: g.model,
+        version: g.version,
+        type: g.type || 'shoe',
+        distance: 0,
+        activities: 0,
+        firstUsed: timestamp,
+        lastUsed: timestamp,
+        sources: []
+      };
+
+      item.distance += distance || 0;
+      item.activities++;
+      item.firstUsed = Math.min(item.firstUsed, timestamp);
+      item.lastUsed = Math.max(item.lastUsed, timestamp);
+      if (!item.sources.includes(source)) {
+        item.sources.push(source);
+      }
+
+      items.set(g.key, item);
+    }
+
+    // Retired shoes go first: the items used longest ago
+    if (items.size > MAX_ITEMS_PER_PUBKEY) {
+      const byLastUse = [...items.values()].sort((a, b) => a.lastUsed - b.lastUsed);
+      byLastUse.slice(0, items.size - MAX_ITEMS_PER_PUBKEY).forEach(item => items.delete(item.key));
+    }
+  }
+
+  /**
+   * Lists a runner's gear, most used first
+   * @param {string} pubkey - Runner's public key
+   * @returns {Array} Gear items with their total distance in metres
+   */
+  getGear(pubkey) {
+    const items = this.gearByPubkey.get(pubkey);
+    if (!items) {
+      return [];
+    }
+    return [...items.values()]
+      .map(item => ({ ...item, sources: [...item.sources] }))
+      .sort((a, b) => b.distance - a.distance);
+  }
+}
+
+module.exports = { GearTracker, gearFromEquipment };
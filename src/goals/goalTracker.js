@@ -0,0 +1,419 @@
+/**
+ * Goal Tracker
+ *
+ * Keeps each runner's goals and measures progress against the runs the
+ * DVM has seen. Three kinds of goal are supported:
+ * - distance: run a total distance between two dates ("1000 km in 2026");
+ * - frequency: run a number of times every week, month or year ("4x per week");
+ * - race_time: run a standard distance under a time by a date ("sub-20 5K by June").
+ * Goals can be set through a task, or published by the runner as their own
+ * signed NIP-78 application data events (kind 30078), which the DVM
+ * verifies before trusting.
+ */
+
+const { verifySignature, validateEvent } = require('nostr-tools');
+const { toMetres, formatDistance, formatDuration } = require('../utils/units');
+const { MAX_GROUPS, listPeriods } = require('../utils/dates');
+const { BEST_EFFORT_DISTANCES } = require('../efforts/bestEffortsTracker');
+
+const GOAL_KIND = 30078;
+const GOAL_TAG = 'runstr-goal';
+const GOAL_TYPES = ['distance', 'frequency', 'race_time'];
+const GOAL_PERIODS = ['week', 'month', 'year'];
+// Rule of thumb for how much faster a runner can get, as a fraction of race time per month
+const MONTHLY_IMPROVEMENT = 0.01;
+const MONTH = 30 * 24 * 60 * 60;
+
+/**
+ * Reads a date given as an ISO string or unix seconds
+ * @param {string|number} value - Date
+ * @param {string} name - Parameter name, for errors
+ * @returns {number} Unix seconds
+ */
+function readDate(value, name) {
+  const time = typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Reads a duration given as seconds or as "MM:SS" or "H:MM:SS"
+ * @param {string|number} value - Duration
+ * @returns {number} Seconds
+ */
+function readDuration(value) {
+  const seconds = typeof value === 'number'
+    ? value
+    : String(value).split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  if (!(seconds > 0)) {
+    throw new Error(`Invalid goal time: ${value}`);
+  }
+  return seconds;
+}
+
+/**
+ * Validates a goal definition and normalizes it to metres, seconds and unix timestamps
+ * @param {Object} definition - Goal as sent by a client
+ * @param {number} [createdAt] - When the goal was set, in unix seconds
+ * @returns {Object} Goal
+ */
+function parseGoal(definition, createdAt = Math.floor(Date.now() / 1000)) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('No goal provided');
+  }
+  const { type, title = null } = definition;
+  if (!GOAL_TYPES.includes(type)) {
+    throw new Error(`Unsupported goal type: ${type}. Use one of: ${GOAL_TYPES.join(', ')}`);
+  }
+
+  // "year": 2026 (or "2026") is shorthand for the whole calendar year
+  let start = null;
+  let end = null;
+  if (definition.year != null) {
+    const year = Number(definition.year);
+    if (!Number.isInteger(year) || year < 1970 || year > 9999) {
+      throw new Error(`Invalid goal year: ${definition.year}`);
+    }
+    start = Date.UTC(year, 0, 1) / 1000;
+    end = Date.UTC(year + 1, 0, 1) / 1000;
+  }
+  if (definition.start !== undefined) {
+    start = readDate(definition.start, 'start');
+  }
+  if (definition.end !== undefined) {
+    end = readDate(definition.end, 'end');
+  }
+  start = start ?? createdAt;
+  if (start < 0) {
+    throw new Error('Goal start must be in 1970 or later');
+  }
+  if (end !== null && end <= start) {
+    throw new Error('Goal end must be after its start');
+  }
+  if (end === null && type !== 'frequency') {
+    throw new Error(`An end date or year is required for a ${type} goal`);
+  }
+
+  let target;
+  if (type === 'distance') {
+    const { distance } = definition;
+    const metres = typeof distance === 'number' ? distance : distance && toMetres(distance.value, distance.unit);
+    if (!(metres > 0)) {
+      throw new Error('A distance goal needs a distance greater than zero');
+    }
+    target = { metres };
+  } else if (type === 'frequency') {
+    const { runs, per = 'week' } = definition;
+    if (!Number.isInteger(runs) || runs <= 0) {
+      throw new Error('A frequency goal needs a whole number of runs greater than zero');
+    }
+    if (!GOAL_PERIODS.includes(per)) {
+      throw new Error(`Unsupported goal period: ${per}. Use one of: ${GOAL_PERIODS.join(', ')}`);
+    }
+    // Progress is counted period by period, up to the end or to when the goal was set
+    const last = Math.max(start, Math.min(end ?? createdAt, createdAt));
+    try {
+      listPeriods(start * 1000, last * 1000, per, 'UTC', 'iso', MAX_GROUPS);
+    } catch (error) {
+      throw new Error(`A frequency goal can't start more than ${MAX_GROUPS} ${per}s back`);
+    }
+    target = { runs, per };
+  } else {
+    const { race } = definition;
+    if (!(race in BEST_EFFORT_DISTANCES)) {
+      throw new Error(`Unsupported race: ${race}. Use one of: ${Object.keys(BEST_EFFORT_DISTANCES).join(', ')}`);
+    }
+    target = { race, metres: BEST_EFFORT_DISTANCES[race], seconds: readDuration(definition.time) };
+  }
+
+  const id = definition.id || `${type}-${new Date(start * 1000).toISOString().slice(0, 10)}`;
+  return { id: String(id), title, type, target, start, end, createdAt, definition };
+}
+
+/**
+ * Reads a goal from a runner's signed goal event
+ * @param {Object} event - Kind 30078 event tagged "runstr-goal"
+ * @returns {Object} Goal, with the event id
+ */
+function goalFromEvent(event) {
+  if (!event || event.kind !== GOAL_KIND || !validateEvent(event) || !verifySignature(event)) {
+    throw new Error('Goal event must be a validly signed kind 30078 event');
+  }
+  const dTag = event.tags.find(t => t[0] === 'd')?.[1] || '';
+  if (!dTag.startsWith(`${GOAL_TAG}:`)) {
+    throw new Error(`Goal event needs a d tag starting with ${GOAL_TAG}:`);
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(event.content);
+  } catch (error) {
+    throw new Error('Goal event content must be JSON');
+  }
+  const goal = parseGoal({ ...definition, id: dTag.slice(GOAL_TAG.length + 1) }, event.created_at);
+  return { ...goal, eventId: event.id };
+}
+
+/**
+ * Builds the unsigned event a runner can sign and publish to keep a goal on
+ * their own relays
+ * @param {string} pubkey - Runner's public key
+ * @param {Object} goal - Goal from parseGoal
+ * @returns {Object} Unsigned kind 30078 event
+ */
+function goalToEvent(pubkey, goal) {
+  const { id, ...definition } = goal.definition;
+  return {
+    kind: GOAL_KIND,
+    pubkey,
+    created_at: goal.createdAt,
+    tags: [
+      ['d', `${GOAL_TAG}:${goal.id}`],
+      ['t', GOAL_TAG]
+    ],
+    content: JSON.stringify(definition)
+  };
+}
+
+/**
+ * Describes how a goal stands in time
+ * @param {Object} goal - Goal
+ * @param {number} now - Current time in unix seconds
+ * @param {boolean} achieved - Whether the goal has been met
+ * @returns {string} "achieved", "upcoming", "active" or "missed"
+ */
+function goalStatus(goal, now, achieved) {
+  if (achieved) {
+    return 'achieved';
+  }
+  if (now < goal.start) {
+    return 'upcoming';
+  }
+  return goal.end !== null && now >= goal.end ? 'missed' : 'active';
+}
+
+/**
+ * Measures progress towards a distance goal
+ * @param {Object} goal - Goal
+ * @param {Array} runs - Runner's runs with timestamp and distance
+ * @param {number} now - Current time in unix seconds
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Progress
+ */
+function distanceProgress(goal, runs, now, units) {
+  const { metres } = goal.target;
+  let done = 0;
+  let achievedAt = null;
+  for (const run of runs.filter(r => r.timestamp >= goal.start && r.timestamp < goal.end)) {
+    done += run.distance || 0;
+    if (achievedAt === null && done >= metres) {
+      achievedAt = run.timestamp;
+    }
+  }
+
+  const elapsed = Math.min(Math.max(now - goal.start, 0), goal.end - goal.start);
+  const expected = metres * elapsed / (goal.end - goal.start);
+  // At the rate so far, when the distance will be reached
+  const projected = achievedAt ?? (done > 0 && elapsed > 0 ? Math.floor(goal.start + elapsed * metres / done) : null);
+
+  return {
+    status: goalStatus(goal, now, achievedAt !== null),
+    percentComplete: Math.round(Math.min(done / metres, 1) * 1000) / 10,
+    current: { metres: done, formatted: formatDistance(done, units) },
+    expected: { metres: Math.round(expected), formatted: formatDistance(expected, units) },
+    onPace: done >= expected,
+    projectedFinish: projected
+  };
+}
+
+/**
+ * Counts the runs in each period, in one pass over both
+ * @param {Array} periods - Consecutive periods, oldest first
+ * @param {Array} times - Times of the runs in milliseconds, oldest first
+ * @returns {Array} Number of runs in each period
+ */
+function countRuns(periods, times) {
+  let next = 0;
+  return periods.map(period => {
+    while (next < times.length && times[next] < period.start) {
+      next++;
+    }
+    let count = 0;
+    while (next < times.length && times[next] < period.end) {
+      count++;
+      next++;
+    }
+    return count;
+  });
+}
+
+/**
+ * Measures progress towards a frequency goal
+ * @param {Object} goal - Goal
+ * @param {Array} runs - Runner's runs with timestamp
+ * @param {number} now - Current time in unix seconds
+ * @param {Object} calendar - timeZone and weekStart periods are counted in
+ * @returns {Object} Progress
+ */
+function frequencyProgress(goal, runs, now, { timeZone, weekStart }) {
+  const { runs: target, per } = goal.target;
+  const until = Math.min(now, goal.end ?? now) * 1000;
+  const periods = now < goal.start ? [] : listPeriods(goal.start * 1000, until, per, timeZone, weekStart, MAX_GROUPS);
+  const counts = countRuns(periods, runs.map(r => r.timestamp * 1000).sort((a, b) => a - b));
+
+  const last = periods.length - 1;
+  const ongoing = last >= 0 && now * 1000 < periods[last].end;
+  const finished = ongoing ? counts.slice(0, -1) : counts;
+  const current = ongoing ? counts[last] : 0;
+
+  // Part of the current period gone, and the runs expected by now
+  const period = ongoing ? periods[last] : null;
+  const fraction = period ? (now * 1000 - period.start) / (period.end - period.start) : 0;
+  const projected = period && current > 0 && current < target
+    ? Math.floor((period.start + (now * 1000 - period.start) * target / current) / 1000)
+    : null;
+
+  return {
+    status: goalStatus(goal, now, goal.end !== null && now >= goal.end && finished.every(c => c >= target)),
+    percentComplete: Math.round(Math.min(current / target, 1) * 1000) / 10,
+    current: { runs: current, period: period?.key || null },
+    periodsMet: finished.filter(c => c >= target).length,
+    periodsTotal: finished.length,
+    onPace: current >= Math.floor(target * fraction),
+    projectedFinish: projected !== null && projected * 1000 < period.end ? projected : null
+  };
+}
+
+/**
+ * Measures progress towards a race time goal
+ * @param {Object} goal - Goal
+ * @param {Array} efforts - Runner's efforts at the goal distance since the goal started, oldest first
+ * @param {number} now - Current time in unix seconds
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Progress
+ */
+function raceTimeProgress(goal, efforts, now, units) {
+  const { seconds: target } = goal.target;
+  const best = efforts.reduce((a, b) => (!a || b.seconds < a.seconds ? b : a), null);
+  const achieved = efforts.find(e => e.seconds <= target) || null;
+
+  // Extrapolate the trend of the efforts so far to the target time
+  let projected = achieved?.timestamp ?? null;
+  if (!achieved && efforts.length >= 2) {
+    const n = efforts.length;
+    const meanT = efforts.reduce((sum, e) => sum + e.timestamp, 0) / n;
+    const meanS = efforts.reduce((sum, e) => sum + e.seconds, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (const e of efforts) {
+      numerator += (e.timestamp - meanT) * (e.seconds - meanS);
+      denominator += (e.timestamp - meanT) ** 2;
+    }
+    const slope = denominator > 0 ? numerator / denominator : 0;
+    // A trend that should already have got there has stalled
+    if (slope < 0 && meanT + (target - meanS) / slope > now) {
+      projected = Math.floor(meanT + (target - meanS) / slope);
+    }
+  }
+
+  // Without a trend, judge whether the improvement still needed is realistic in the time left
+  const monthsLeft = Math.max(goal.end - now, 0) / MONTH;
+  const realistic = best !== null && (best.seconds - target) / best.seconds <= MONTHLY_IMPROVEMENT * monthsLeft;
+
+  return {
+    status: goalStatus(goal, now, achieved !== null),
+    percentComplete: best ? Math.round(Math.min(target / best.seconds, 1) * 1000) / 10 : 0,
+    current: best && {
+      seconds: best.seconds,
+      formatted: formatDuration(best.seconds),
+      eventId: best.eventId,
+      distanceFormatted: formatDistance(goal.target.metres, units)
+    },
+    onPace: achieved !== null || (projected !== null ? projected <= goal.end : realistic),
+    projectedFinish: projected
+  };
+}
+
+class GoalTracker {
+  constructor() {
+    // pubkey -> goal id -> goal
+    this.goalsByPubkey = new Map();
+  }
+
+  /**
+   * Sets a goal, replacing an older goal with the same id. A goal from a
+   * signed event is only replaced by a newer signed one.
+   * @param {string} pubkey - Runner's public key
+   * @param {Object} goal - Goal from parseGoal or goalFromEvent
+   * @returns {boolean} Whether the goal was stored
+   */
+  setGoal(pubkey, goal) {
+    const goals = this.goalsByPubkey.get(pubkey) || new Map();
+    this.goalsByPubkey.set(pubkey, goals);
+    const existing = goals.get(goal.id);
+    if (existing && (existing.createdAt > goal.createdAt || (existing.eventId && !goal.eventId))) {
+      return false;
+    }
+    goals.set(goal.id, goal);
+    return true;
+  }
+
+  /**
+   * Lists a runner's goals, soonest ending first
+   * @param {string} pubkey - Runner's public key
+   * @returns {Array} Goals
+   */
+  getGoals(pubkey) {
+    return [...(this.goalsByPubkey.get(pubkey) || new Map()).values()]
+      .sort((a, b) => (a.end ?? Infinity) - (b.end ?? Infinity));
+  }
+}
+
+/**
+ * Measures progress towards a goal
+ * @param {Object} goal - Goal
+ * @param {Object} data - The runner's workout data
+ * @param {Array} data.runs - Runs with timestamp and distance
+ * @param {Function} data.getEfforts - Returns efforts at a distance between two timestamps
+ * @param {Object} options - How to measure
+ * @param {number} options.now - Current time in unix seconds
+ * @param {string} options.timeZone - IANA time zone periods are counted in
+ * @param {string} options.weekStart - "iso" (Monday) or "sunday"
+ * @param {string} options.units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Goal with its progress, and dates as ISO strings
+ */
+function evaluateGoal(goal, { runs, getEfforts }, { now, timeZone, weekStart, units }) {
+  let progress;
+  if (goal.type === 'distance') {
+    progress = distanceProgress(goal, runs, now, units);
+  } else if (goal.type === 'frequency') {
+    progress = frequencyProgress(goal, runs, now, { timeZone, weekStart });
+  } else {
+    const efforts = getEfforts(goal.target.race, goal.start, Math.min(now, goal.end));
+    progress = raceTimeProgress(goal, efforts, now, units);
+  }
+
+  const toIso = timestamp => (timestamp === null ? null : new Date(timestamp * 1000).toISOString());
+  return {
+    id: goal.id,
+    title: goal.title,
+    type: goal.type,
+    target: goal.target,
+    start: toIso(goal.start),
+    end: toIso(goal.end),
+    eventId: goal.eventId || null,
+    progress: { ...progress, projectedFinish: toIso(progress.projectedFinish) }
+  };
+}
+
+module.exports = {
+  GOAL_KIND,
+  GOAL_TAG,
+  GoalTracker,
+  parseGoal,
+  goalFromEvent,
+  goalToEvent,
+  evaluateGoal
+};
@@ -0,0 +1,361 @@
+/**
+ * NIP-89 Handler Announcements
+ *
+ * Describes the DVM to apps that look for job handlers. Every task is
+ * announced in its own kind 31990 event, with a `k` tag for the job kind
+ * it answers and profile-style metadata in its content: the DVM's name,
+ * about text and picture, the inputs the task reads and a schema of its
+ * params (`nip90Params`, as DVM directories read it). Users recommend
+ * handlers with kind 31989 events, one per job kind (the `d` tag), that
+ * point to announcements by their `a` tags; the latest recommendation of
+ * each user for each kind replaces the ones before. Only recommendations
+ * of our own announcements are kept.
+ */
+
+const { touchRecent } = require('../utils/recent');
+
+const HANDLER_KIND = 31990;
+const RECOMMENDATION_KIND = 31989;
+const DELETION_KIND = 5;
+// Recommendations kept, least recently updated dropped first
+const DEFAULT_MAX_RECOMMENDATIONS = 10000;
+
+const UNITS = { required: false, values: ['metric', 'imperial'], description: 'Unit system of formatted strings, metric by default' };
+const TIME_ZONE = { required: false, description: 'IANA time zone, UTC by default' };
+const WEEK_START = { required: false, values: ['iso', 'sunday'], description: 'First day of the week, Monday (iso) by default' };
+const GROUP_BY = { required: false, values: ['week', 'month', 'year'], description: 'Also break the results down per calendar period' };
+const PUBKEY = { required: false, description: 'Runner\'s hex public key, the customer\'s own by default' };
+const SINCE = { required: false, description: 'Earliest activity, in unix seconds' };
+const UNTIL = { required: false, description: 'Latest activity, in unix seconds' };
+const RESTING_HEART_RATE = { required: false, description: 'Resting heart rate in bpm, 60 by default' };
+const MAX_HEART_RATE = { required: false, description: 'Maximum heart rate in bpm, 190 by default' };
+const THRESHOLD_PACE = { required: false, description: 'Threshold pace in seconds per km, estimated by default' };
+const LIMIT = { required: false, description: 'Most items returned, 20 by default' };
+const LANGUAGES = ['en', 'es', 'pt', 'de', 'fr', 'ja'];
+
+// Inputs read by tasks that work on a runner's activities
+const ACTIVITY_INPUTS = {
+  text: 'A running note',
+  event: 'A running note (kind 1) or workout record (kind 1301)',
+  url: 'JSON activities, or the text of a running note',
+  job: 'The result of an earlier job, such as parsed running notes'
+};
+
+// Inputs and params of each task, by task name
+const TASK_SCHEMAS = {
+  running_notes: {
+    inputs: {
+      text: 'The running note to parse',
+      event: 'A running note (kind 1)',
+      url: 'The text of a running note'
+    },
+    params: {
+      language: { required: false, values: LANGUAGES, description: 'Language of the note, detected by default' },
+      timeZone: TIME_ZONE,
+      units: UNITS
+    }
+  },
+  activity_summary: {
+    inputs: ACTIVITY_INPUTS,
+    params: { pubkey: PUBKEY, since: SINCE, until: UNTIL, groupBy: GROUP_BY, timeZone: TIME_ZONE, weekStart: WEEK_START, units: UNITS }
+  },
+  training_load: {
+    inputs: ACTIVITY_INPUTS,
+    params: {
+      restingHeartRate: RESTING_HEART_RATE,
+      maxHeartRate: MAX_HEART_RATE,
+      thresholdPace: THRESHOLD_PACE,
+      until: { required: false, description: 'Last day of the curves as an ISO date, today by default' },
+      timeZone: TIME_ZONE,
+      units: UNITS
+    }
+  },
+  race_predictor: {
+    inputs: ACTIVITY_INPUTS,
+    params: {
+      recentDays: { required: false, description: 'Days before the latest effort to look back, 90 by default' },
+      units: UNITS
+    }
+  },
+  heart_rate_zones: {
+    inputs: ACTIVITY_INPUTS,
+    params: {
+      model: { required: false, values: ['five_zone', 'karvonen', 'lthr'], description: 'Zone model, five_zone by default' },
+      profile: { required: false, description: 'JSON with maxHeartRate, restingHeartRate, lactateThresholdHeartRate and age' },
+      groupBy: GROUP_BY,
+      timeZone: TIME_ZONE,
+      weekStart: WEEK_START
+    }
+  },
+  compare: {
+    inputs: {},
+    params: {
+      a: { required: true, description: 'JSON of the first side: activities, records, pubkey, since, until and label' },
+      b: { required: true, description: 'JSON of the second side, in the same shape' },
+      pubkey: PUBKEY,
+      timeZone: TIME_ZONE,
+      units: UNITS
+    }
+  },
+  recap: {
+    inputs: {
+      ...ACTIVITY_INPUTS,
+      job: 'The result of an earlier activity summary or compare job'
+    },
+    params: {
+      period: { required: false, values: ['week', 'month', 'year'], description: 'Period the recap covers' },
+      language: { required: false, values: LANGUAGES, description: 'Language of the recap, English by default' },
+      includeEvent: { required: false, values: [true, false], description: 'Also return an unsigned kind 1 note' },
+      pubkey: PUBKEY,
+      timeZone: TIME_ZONE,
+      weekStart: WEEK_START,
+      units: UNITS
+    }
+  },
+  injury_risk: {
+    inputs: ACTIVITY_INPUTS,
+    params: {
+      restingHeartRate: RESTING_HEART_RATE,
+      maxHeartRate: MAX_HEART_RATE,
+      thresholdPace: THRESHOLD_PACE,
+      pubkey: PUBKEY,
+      since: SINCE,
+      until: UNTIL,
+      timeZone: TIME_ZONE,
+      weekStart: WEEK_START,
+      units: UNITS
+    }
+  },
+  get_running_feed: {
+    inputs: {},
+    params: {
+      limit: LIMIT,
+      since: SINCE,
+      until: UNTIL,
+      include_workouts: { required: false, values: [true, false], description: 'Include workout events, true by default' }
+    }
+  },
+  get_workout_templates: {
+    inputs: {},
+    params: {
+      limit: LIMIT,
+      since: SINCE,
+      until: UNTIL,
+      type: { required: false, description: 'Workout type, such as cardio' }
+    }
+  },
+  get_workout_records: {
+    inputs: {},
+    params: {
+      limit: LIMIT,
+      since: SINCE,
+      until: UNTIL,
+      completed: { required: false, values: [true, false], description: 'Only completed, or only uncompleted, workouts' }
+    }
+  },
+  gear_mileage: {
+    inputs: {},
+    params: {
+      pubkey: PUBKEY,
+      threshold_km: { required: false, description: 'Replacement threshold for shoes in km, 800 by default' },
+      units: UNITS
+    }
+  },
+  best_efforts: {
+    inputs: {},
+    params: { pubkey: PUBKEY, timeZone: TIME_ZONE, units: UNITS }
+  },
+  streaks: {
+    inputs: {},
+    params: {
+      pubkey: PUBKEY,
+      timeZone: TIME_ZONE,
+      weekStart: WEEK_START,
+      days: { required: false, description: 'Days in the calendar, 365 by default' }
+    }
+  },
+  set_goal: {
+    inputs: {},
+    params: {
+      goal: { required: false, description: 'JSON goal: distance, frequency or race_time, with its target and dates, set for the customer' },
+      event: { required: false, description: 'A signed goal event (kind 30078) instead of a goal' },
+      timeZone: TIME_ZONE,
+      weekStart: WEEK_START,
+      units: UNITS
+    }
+  },
+  goal_progress: {
+    inputs: {},
+    params: { pubkey: PUBKEY, timeZone: TIME_ZONE, weekStart: WEEK_START, units: UNITS }
+  },
+  get_recommendations: {
+    inputs: {},
+    params: {
+      task: { required: false, description: 'Only this task, all tasks by default' }
+    }
+  }
+};
+
+/**
+ * Names the `d` tag of a task's announcement
+ * @param {Object} task - Task with a name
+ * @returns {string} Identifier, e.g. "runstr-activity_summary"
+ */
+function handlerIdentifier(task) {
+  return `runstr-${task.name}`;
+}
+
+/**
+ * Names the address other events point to a task's announcement by
+ * @param {string} pubkey - DVM's public key
+ * @param {Object} task - Task with a name
+ * @returns {string} Address, e.g. "31990:<pubkey>:runstr-activity_summary"
+ */
+function handlerAddress(pubkey, task) {
+  return `${HANDLER_KIND}:${pubkey}:${handlerIdentifier(task)}`;
+}
+
+/**
+ * Builds the announcement of a task
+ * @param {Object} task - Task with a name, kind and description
+ * @param {Object} profile - DVM's name, about text, picture and website
+ * @returns {Object} Unsigned kind 31990 event
+ */
+function buildHandlerAnnouncement(task, profile) {
+  const schema = TASK_SCHEMAS[task.name] || { inputs: {}, params: {} };
+  const metadata = {
+    name: `${profile.name}: ${task.name}`,
+    about: `${task.description}. ${profile.about}`,
+    ...(profile.picture ? { picture: profile.picture, image: profile.picture } : {}),
+    ...(profile.website ? { website: profile.website } : {}),
+    task: task.name,
+    inputs: schema.inputs,
+    nip90Params: schema.params,
+    encryptionSupported: false,
+    amount: 'free'
+  };
+
+  return {
+    kind: HANDLER_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', handlerIdentifier(task)],
+      ['k', String(task.kind)],
+      ['t', 'running'],
+      ['t', 'runstr']
+    ],
+    content: JSON.stringify(metadata)
+  };
+}
+
+/**
+ * Tells whether a published announcement already says what a new one would
+ * @param {Object} published - Announcement found on a relay
+ * @param {Object} announcement - Announcement as it would be published now
+ * @returns {boolean} True when the tags and content match
+ */
+function sameAnnouncement(published, announcement) {
+  return published.content === announcement.content &&
+    JSON.stringify(published.tags) === JSON.stringify(announcement.tags);
+}
+
+/**
+ * Builds a deletion request for an announcement that is no longer offered
+ * @param {Object} published - Announcement found on a relay
+ * @returns {Object} Unsigned kind 5 event
+ */
+function buildAnnouncementDeletion(published) {
+  const identifier = published.tags.find(tag => tag[0] === 'd')?.[1] || '';
+  return {
+    kind: DELETION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['e', published.id],
+      ['a', `${HANDLER_KIND}:${published.pubkey}:${identifier}`],
+      ['k', String(HANDLER_KIND)]
+    ],
+    content: 'Task no longer offered'
+  };
+}
+
+/**
+ * Keeps the latest recommendation of each user for each job kind, and
+ * counts the users recommending each of our announcements
+ */
+class RecommendationTracker {
+  /**
+   * @param {string} handlerPubkey - Public key our announcements are signed with
+   * @param {number} [maxRecommendations] - Most recommendations kept
+   */
+  constructor(handlerPubkey, maxRecommendations = DEFAULT_MAX_RECOMMENDATIONS) {
+    this.addressPrefix = `${HANDLER_KIND}:${handlerPubkey}:`;
+    this.maxRecommendations = maxRecommendations;
+    // "<pubkey>:<job kind>" -> { pubkey, kind, created_at, addresses },
+    // least recently updated first
+    this.recommendations = new Map();
+  }
+
+  /**
+   * Stores a recommendation of our announcements, replacing the user's
+   * older one for the same job kind. A newer one that no longer points to
+   * us drops the older one.
+   * @param {Object} event - Kind 31989 event
+   * @returns {boolean} True if it was a newer recommendation of ours
+   */
+  addRecommendation(event) {
+    const kind = event.tags.find(tag => tag[0] === 'd')?.[1];
+    if (event.kind !== RECOMMENDATION_KIND || !kind) {
+      return false;
+    }
+
+    const key = `${event.pubkey}:${kind}`;
+    if ((this.recommendations.get(key)?.created_at ?? -1) >= event.created_at) {
+      return false;
+    }
+
+    const addresses = event.tags
+      .filter(tag => tag[0] === 'a' && tag[1]?.startsWith(this.addressPrefix))
+      .map(tag => ({ address: tag[1], relay: tag[2] || null, platform: tag[3] || null }));
+    if (addresses.length === 0) {
+      this.recommendations.delete(key);
+      return false;
+    }
+
+    this.recommendations.delete(key);
+    touchRecent(this.recommendations, key, () => ({
+      pubkey: event.pubkey,
+      kind,
+      created_at: event.created_at,
+      addresses
+    }), this.maxRecommendations);
+    return true;
+  }
+
+  /**
+   * Lists the users recommending an announcement
+   * @param {string} address - Announcement address
+   * @returns {Array} Pubkeys, when they recommended it and the relay and platform they named
+   */
+  getRecommenders(address) {
+    const recommenders = [];
+    for (const { pubkey, created_at: createdAt, addresses } of this.recommendations.values()) {
+      const match = addresses.find(a => a.address === address);
+      if (match) {
+        recommenders.push({ pubkey, created_at: createdAt, relay: match.relay, platform: match.platform });
+      }
+    }
+    return recommenders.sort((a, b) => b.created_at - a.created_at);
+  }
+}
+
+module.exports = {
+  HANDLER_KIND,
+  RECOMMENDATION_KIND,
+  TASK_SCHEMAS,
+  handlerAddress,
+  handlerIdentifier,
+  buildHandlerAnnouncement,
+  sameAnnouncement,
+  buildAnnouncementDeletion,
+  RecommendationTracker
+};
@@ -0,0 +1,152 @@
+/**
+ * NIP-90 Jobs
+ *
+ * Reads standard NIP-90 job requests and builds the events a service
+ * provider answers with. A job request (kinds 5000-5999) names its inputs
+ * in `i` tags, as text, the id of an event, a URL or the id of an earlier
+ * job whose result is the input. Options come in `param` tags, the
+ * expected format of the result in `output`, where to publish the answer
+ * in `relays` and the most the customer will pay in `bid` (millisats).
+ * Results are the request kind plus 1000 and carry the request and its
+ * inputs with them; progress is reported in kind 7000 feedback events.
+ * Events are returned unsigned, for the DVM to sign.
+ */
+
+const FEEDBACK_KIND = 7000;
+const RESULT_KIND_OFFSET = 1000;
+const INPUT_TYPES = ['text', 'event', 'url', 'job'];
+const JOB_STATUSES = ['payment-required', 'processing', 'error', 'success', 'partial'];
+const OUTPUT_FORMATS = ['application/json', 'text/plain'];
+
+/**
+ * Tells whether an event kind is a NIP-90 job request
+ * @param {number} kind - Event kind
+ * @returns {boolean} True for kinds 5000-5999
+ */
+function isJobRequestKind(kind) {
+  return Number.isInteger(kind) && kind >= 5000 && kind <= 5999;
+}
+
+/**
+ * Reads a `param` tag value, as JSON when it is JSON and as text otherwise
+ * @param {string} value - Tag value
+ * @returns {*} Number, boolean, object or array from JSON, or the text itself
+ */
+function parseParamValue(value) {
+  try {
+    const parsed = JSON.parse(value);
+    // Keep long digit strings such as ids, and "007", as written
+    if (typeof parsed === 'number' && String(parsed) !== value) {
+      return value;
+    }
+    return parsed;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Reads the inputs and options of a job request
+ * @param {Object} event - Job request event
+ * @returns {Object} Inputs, params, output format, relays, bid and the providers the job is addressed to
+ */
+function parseJobRequest(event) {
+  if (!isJobRequestKind(event.kind)) {
+    throw new Error(`Kind ${event.kind} is not a job request`);
+  }
+
+  const inputs = event.tags
+    .filter(tag => tag[0] === 'i')
+    .map(([, data, type = 'text', relay, marker]) => {
+      if (!INPUT_TYPES.includes(type)) {
+        throw new Error(`Unsupported input type: ${type}`);
+      }
+      if (data === undefined || data === '') {
+        throw new Error(`Input of type ${type} has no data`);
+      }
+      return { data, type, relay: relay || null, marker: marker || null };
+    });
+
+  const params = {};
+  for (const [, key, value] of event.tags.filter(tag => tag[0] === 'param')) {
+    if (key) {
+      params[key] = parseParamValue(value);
+    }
+  }
+
+  const output = event.tags.find(tag => tag[0] === 'output')?.[1] || 'application/json';
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new Error(`Unsupported output format: ${output}. Use ${OUTPUT_FORMATS.join(' or ')}`);
+  }
+
+  const bid = event.tags.find(tag => tag[0] === 'bid')?.[1];
+
+  return {
+    id: event.id,
+    kind: event.kind,
+    customer: event.pubkey,
+    created_at: event.created_at,
+    inputs,
+    params,
+    output,
+    relays: event.tags.find(tag => tag[0] === 'relays')?.slice(1) || [],
+    bid: bid !== undefined && Number.isFinite(Number(bid)) ? Number(bid) : null,
+    providers: event.tags.filter(tag => tag[0] === 'p').map(tag => tag[1])
+  };
+}
+
+/**
+ * Builds the result event of a job
+ * @param {Object} requestEvent - Job request event
+ * @param {string} content - Result payload
+ * @param {string} [relayUrl] - Relay the request was received from
+ * @returns {Object} Unsigned result event
+ */
+function buildJobResult(requestEvent, content, relayUrl) {
+  return {
+    kind: requestEvent.kind + RESULT_KIND_OFFSET,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['request', JSON.stringify(requestEvent)],
+      relayUrl ? ['e', requestEvent.id, relayUrl] : ['e', requestEvent.id],
+      ...requestEvent.tags.filter(tag => tag[0] === 'i'),
+      ['p', requestEvent.pubkey]
+    ],
+    content
+  };
+}
+
+/**
+ * Builds a feedback event about the progress of a job
+ * @param {Object} requestEvent - Job request event
+ * @param {string} status - "processing", "error", "success", "partial" or "payment-required"
+ * @param {string} [info] - Human-readable details of the status
+ * @param {string} [relayUrl] - Relay the request was received from
+ * @returns {Object} Unsigned kind 7000 event
+ */
+function buildJobFeedback(requestEvent, status, info, relayUrl) {
+  if (!JOB_STATUSES.includes(status)) {
+    throw new Error(`Unknown job status: ${status}`);
+  }
+
+  return {
+    kind: FEEDBACK_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      info ? ['status', status, info] : ['status', status],
+      relayUrl ? ['e', requestEvent.id, relayUrl] : ['e', requestEvent.id],
+      ['p', requestEvent.pubkey]
+    ],
+    content: ''
+  };
+}
+
+module.exports = {
+  FEEDBACK_KIND,
+  RESULT_KIND_OFFSET,
+  isJobRequestKind,
+  parseParamValue,
+  parseJobRequest,
+  buildJobResult,
+  buildJobFeedback
+};
@@ -1,6 +1,183 @@
 const { relayInit, getEventHash, getSignature, generatePrivateKey, getPublicKey } = require('nostr-tools');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const { runningNotesTask } = require('../tasks/runningNotes');
 const { activitySummaryTask } = require('../tasks/activitySummary');
+const { trainingLoadTask } = require('../tasks/trainingLoad');
+const { injuryRiskTask } = require('../tasks/injuryRisk');
+const { racePredictorTask } = require('../tasks/racePredictor');
+const { heartRateZonesTask } = require('../tasks/heartRateZones');
+const { compareTask } = require('../tasks/compare');
+const { recapTask } = require('../tasks/recap');
+const { validateWorkoutRecord } = require('../validation/plausibility');
+const { normalizeUnit, toMetres, assertUnitSystem, formatDistance } = require('../utils/units');
+const { GearTracker, gearFromEquipment } = require('../gear/gearTracker');
+const { BestEffortsTracker, findBestEfforts } = require('../efforts/bestEffortsTracker');
+const { StreakTracker, MAX_DAYS: MAX_STREAK_DAYS } = require('../streaks/streakTracker');
+const { ActivityStore } = require('../activities/activityStore');
+const { assertPublicUrl, publicAgent, PublicWebSocket } = require('../utils/network');
+const {
+  GOAL_KIND,
+  GOAL_TAG,
+  GoalTracker,
+  parseGoal,
+  goalFromEvent,
+  goalToEvent,
+  evaluateGoal
+} = require('../goals/goalTracker');
+const { assertTimeZone, assertPeriod, listPeriods } = require('../utils/dates');
+const {
+  RESULT_KIND_OFFSET,
+  parseJobRequest,
+  buildJobResult,
+  buildJobFeedback
+} = require('./nip90');
+const {
+  HANDLER_KIND,
+  RECOMMENDATION_KIND,
+  TASK_SCHEMAS,
+  handlerAddress,
+  handlerIdentifier,
+  buildHandlerAnnouncement,
+  sameAnnouncement,
+  buildAnnouncementDeletion,
+  RecommendationTracker
+} = require('./nip89');
+const { RUNNING_SPORTS, getSport, getRecordDistance, recordTime, recordToActivity, toEntries, getActivityDate } = require('../utils/activities');
+
+// Parameters a JSON job input may set, when its task takes them. Whose
+// activities a job reads or writes to only comes from the customer's own
+// param tags, or the customer's pubkey.
+const INPUT_PARAMS = new Set([
+  'since',
+  'until',
+  'groupBy',
+  'timeZone',
+  'weekStart',
+  'units',
+  'language',
+  'period',
+  'model',
+  'profile',
+  'restingHeartRate',
+  'maxHeartRate',
+  'thresholdPace',
+  'recentDays'
+]);
+
+/**
+ * Names the options a stored note was parsed with
+ * @param {string} timeZone - IANA time zone relative dates were resolved in
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {string} Key, e.g. "UTC:metric"
+ */
+function parseKey(timeZone, units) {
+  return `${timeZone}:${units}`;
+}
+
+/**
+ * Connects to a relay a job named. nostr-tools opens relays with the global
+ * WebSocket, so a PublicWebSocket stands in for it while the connection is
+ * opened, and the relay is only reached on a public address whatever its
+ * name resolves to by then.
+ * @param {string} url - Relay URL, as picked by dialableRelays
+ * @returns {Promise<Object>} Connected relay
+ */
+async function connectJobRelay(url) {
+  const relay = relayInit(url);
+  const { WebSocket } = global;
+  global.WebSocket = PublicWebSocket;
+  let connecting;
+  try {
+    // The socket is created before connect() first awaits
+    connecting = relay.connect();
+  } finally {
+    global.WebSocket = WebSocket;
+  }
+  await connecting;
+  return relay;
+}
+
+/**
+ * Converts a split time tag value ("3:45" or "1:02:10") to seconds
+ * @param {string} time - Split time from a `split` tag
+ * @returns {number|null} Seconds, or null if the value is not a clock time
+ */
+function parseSplitTime(time) {
+  if (!/^\d+(:\d{2}){1,2}$/.test(time || '')) {
+    return null;
+  }
+  return time.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Reads a workout record (kind 1301) from its tags
+ * @param {Object} event - Workout record event
+ * @returns {Object} Workout record with its plausibility warnings
+ */
+function parseWorkoutRecord(event) {
+  // Process record-specific tags
+  const dTag = event.tags.find(t => t[0] === 'd')?.[1] || '';
+  const title = event.tags.find(t => t[0] === 'title')?.[1] || 'Untitled Workout';
+  const type = event.tags.find(t => t[0] === 'type')?.[1] || '';
+  const start = event.tags.find(t => t[0] === 'start')?.[1] || '';
+  const end = event.tags.find(t => t[0] === 'end')?.[1] || '';
+  const exercises = event.tags.filter(t => t[0] === 'exercise').map(t => t.slice(1));
+  const completed = event.tags.find(t => t[0] === 'completed')?.[1] === 'true';
+  const hashtags = event.tags.filter(t => t[0] === 't').map(t => t[1]);
+  const equipment = event.tags.filter(t => t[0] === 'equipment').map(t => t[1]);
+  
+  // Running-specific metrics
+  const heartRateAvg = event.tags.find(t => t[0] === 'heart_rate_avg')?.slice(1) || [];
+  const cadenceAvg = event.tags.find(t => t[0] === 'cadence_avg')?.slice(1) || [];
+  const [elevationGain, elevationUnit = 'm'] = event.tags.find(t => t[0] === 'elevation_gain')?.slice(1) || [];
+  const elevationMetres = normalizeUnit(elevationUnit) ? toMetres(Number(elevationGain), elevationUnit) : NaN;
+  const weatherInfo = {
+    temp: event.tags.find(t => t[0] === 'weather_temp')?.slice(1) || [],
+    humidity: event.tags.find(t => t[0] === 'weather_humidity')?.slice(1) || [],
+    condition: event.tags.find(t => t[0] === 'weather_condition')?.[1] || ''
+  };
+  
+  // Get split data if available
+  const splits = event.tags.filter(t => t[0] === 'split').map(t => ({
+    number: t[1],
+    distance: t[2],
+    unit: t[3],
+    metres: normalizeUnit(t[3]) ? toMetres(Number(t[2]), t[3]) : null,
+    time: t[4],
+    seconds: parseSplitTime(t[4]),
+    heart_rate: t[5] === 'bpm' ? null : t[5],
+    heart_rate_unit: t[6] === 'bpm' ? t[6] : null
+  }));
+
+  const record = {
+    id: event.id,
+    kind: event.kind,
+    pubkey: event.pubkey,
+    created_at: event.created_at,
+    d_tag: dTag,
+    title,
+    description: event.content,
+    type,
+    start: start ? parseInt(start) : null,
+    end: end ? parseInt(end) : null,
+    // A record that ends before it starts has no usable duration
+    duration: (start && end && parseInt(end) >= parseInt(start)) ? (parseInt(end) - parseInt(start)) : null,
+    exercises,
+    equipment,
+    heart_rate_avg: heartRateAvg,
+    cadence_avg: cadenceAvg,
+    elevation_gain: Number.isFinite(elevationMetres) ? elevationMetres : null,
+    weather: weatherInfo,
+    splits,
+    completed,
+    hashtags,
+    raw_event: event // Store the original event for reference
+  };
+
+  // Flag impossible or unlikely values instead of trusting the publisher
+  record.warnings = validateWorkoutRecord(record);
+  return record;
+}
 
 class NostrDVM {
   constructor() {
@@ -8,33 +185,120 @@ class NostrDVM {
     this.publicKey = getPublicKey(this.privateKey);
     this.relays = (process.env.NOSTR_RELAYS || 'wss://relay.damus.io').split(',');
     this.connectedRelays = [];
+    // Each task answers NIP-90 job requests of its own kind, with results of kind + 1000
     this.tasks = [
       {
         name: 'running_notes',
+        kind: 5640,
         description: 'Extract and parse running-related notes',
         handler: runningNotesTask
       },
       {
         name: 'activity_summary',
-        description: 'Summarize running activities from a collection of notes',
-        handler: activitySummaryTask
+        kind: 5641,
+        description: 'Summarize running activities from a collection of notes, or from a runner\'s own notes and workout records',
+        handler: this.summarizeActivities.bind(this)
+      },
+      {
+        name: 'training_load',
+        kind: 5642,
+        description: 'Model training load, fitness, fatigue and form from a collection of notes',
+        handler: trainingLoadTask
+      },
+      {
+        name: 'race_predictor',
+        kind: 5643,
+        description: 'Predict race times and training paces from recent activities',
+        handler: racePredictorTask
+      },
+      {
+        name: 'heart_rate_zones',
+        kind: 5644,
+        description: 'Analyse time in heart rate zones per workout and over a period',
+        handler: heartRateZonesTask
+      },
+      {
+        name: 'compare',
+        kind: 5645,
+        description: 'Compare two sets of activities, time windows or runners side by side',
+        handler: this.compareActivities.bind(this)
+      },
+      {
+        name: 'recap',
+        kind: 5646,
+        description: 'Write a shareable recap of a runner\'s activities, optionally as an unsigned note',
+        handler: this.recapActivities.bind(this)
+      },
+      {
+        name: 'injury_risk',
+        kind: 5647,
+        description: 'Flag injury and overtraining risks such as mileage spikes and missing rest days, in a collection of notes or a runner\'s own notes and workout records',
+        handler: this.assessInjuryRisk.bind(this)
       },
       {
         name: 'get_running_feed',
+        kind: 5648,
         description: 'Get a feed of recent running-related notes',
         handler: this.getRunningFeed.bind(this)
       },
       {
         name: 'get_workout_templates',
+        kind: 5649,
         description: 'Get running exercise templates (NIP-101e)',
         handler: this.getWorkoutTemplates.bind(this)
       },
       {
         name: 'get_workout_records',
+        kind: 5650,
         description: 'Get workout records (NIP-101e)',
         handler: this.getWorkoutRecords.bind(this)
+      },
+      {
+        name: 'gear_mileage',
+        kind: 5651,
+        description: 'Get the distance on each shoe and other gear a runner uses',
+        handler: this.getGearMileage.bind(this)
+      },
+      {
+        name: 'best_efforts',
+        kind: 5652,
+        description: 'Get a runner\'s fastest 1K, mile, 5K, 10K, half and marathon, all-time and per year',
+        handler: this.getBestEfforts.bind(this)
+      },
+      {
+        name: 'streaks',
+        kind: 5653,
+        description: 'Get a runner\'s daily and weekly running streaks and activity calendar',
+        handler: this.getStreaks.bind(this)
+      },
+      {
+        name: 'set_goal',
+        kind: 5654,
+        description: 'Set a distance, frequency or race time goal for a runner',
+        handler: this.setGoal.bind(this)
+      },
+      {
+        name: 'goal_progress',
+        kind: 5655,
+        description: 'Get a runner\'s progress towards their goals',
+        handler: this.getGoalProgress.bind(this)
+      },
+      {
+        name: 'get_recommendations',
+        kind: 5656,
+        description: 'Get the users recommending each task (NIP-89)',
+        handler: this.getRecommendations.bind(this)
       }
     ];
+    // How the DVM describes itself in its handler announcements (NIP-89)
+    this.profile = {
+      name: process.env.DVM_NAME || 'RUNSTR DVM',
+      about: process.env.DVM_ABOUT || 'Running-related notes and activity analysis',
+      picture: process.env.DVM_PICTURE || null,
+      website: process.env.DVM_WEBSITE || null
+    };
+    // Users' recommendations of our handlers (NIP-89)
+    this.recommendationTracker = new RecommendationTracker(this.publicKey);
     // Running-related hashtags to monitor
     this.runningHashtags = ['runstr', 'Runstr', 'running', 'Running'];
     // Store running notes feed
@@ -47,6 +311,29 @@ class NostrDVM {
     this.maxFeedSize = 100;
     this.maxTemplatesSize = 100;
     this.maxRecordsSize = 100;
+    // Gear mentioned in notes and workout records, per pubkey
+    this.gearTracker = new GearTracker();
+    // Distance after which a shoe is due for replacement
+    this.gearThresholdKm = parseFloat(process.env.GEAR_THRESHOLD_KM) || 800;
+    // Fastest standard distances run in notes and workout records, per pubkey
+    this.bestEffortsTracker = new BestEffortsTracker();
+    // When each runner ran, for streaks
+    this.streakTracker = new StreakTracker();
+    // Goals set through the set_goal task or the runner's own goal events
+    this.goalTracker = new GoalTracker();
+    // Each runner's own notes and workout records, for summaries by pubkey
+    this.activityStore = new ActivityStore();
+    // Ids of NIP-90 jobs already taken on, since every relay delivers them
+    this.handledJobs = new Set();
+    this.maxHandledJobs = 1000;
+    // How long to wait for a URL input, how big it may be and how many
+    // redirects are followed to it
+    this.inputTimeoutMs = 10000;
+    this.maxInputBytes = 1024 * 1024;
+    this.maxInputRedirects = 3;
+    // Most relays a job may have us dial besides our own, for its relay
+    // hints and its `relays` tag
+    this.maxJobRelays = 3;
   }
 
   async start() {
@@ -55,68 +342,95 @@ class NostrDVM {
       for (const relayUrl of this.relays) {
         try {
           const relay = relayInit(relayUrl);
-          await relay.connect();
           
+          // Listen before connecting: the connect event fires before connect() resolves
           relay.on('connect', () => {
             console.log(`Connected to ${relayUrl}`);
             this.connectedRelays.push(relay);
             this.subscribeToTaskRequests(relay);
             this.subscribeToRunningNotes(relay); // Subscribe to running notes
             this.subscribeToWorkoutEvents(relay); // Subscribe to NIP-101e workout events
+            this.subscribeToGoals(relay); // Subscribe to runners' goal events
+            this.subscribeToRecommendations(relay); // Subscribe to recommendations of our handlers
           });
           
           relay.on('error', () => {
             console.log(`Failed to connect to ${relayUrl}`);
           });
+          
+          await relay.connect();
         } catch (error) {
           console.log(`Error connecting to ${relayUrl}: ${error.message}`);
         }
       }
 
-      // Publish DVM capabilities to the network
-      this.publishTaskList();
+      // Announce each task to the network (NIP-89)
+      this.publishAnnouncements();
       
     } catch (error) {
       console.error('Failed to start DVM:', error);
     }
   }
 
-  async publishTaskList() {
-    const taskListEvent = {
-      kind: 31990, // NIP-90 DVM TaskList
-      pubkey: this.publicKey,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ['d', 'taskList'],
-        ['name', 'RUNSTR DVM'],
-        ['description', 'Running-related notes and activity analysis']
-      ],
-      content: JSON.stringify(this.tasks.map(task => ({
-        name: task.name,
-        description: task.description
-      })))
-    };
-
-    taskListEvent.id = getEventHash(taskListEvent);
-    taskListEvent.sig = getSignature(taskListEvent, this.privateKey);
+  // Announces every task in its own handler event, publishing only what
+  // changed since the relay's copy and deleting tasks no longer offered
+  async publishAnnouncements() {
+    const announcements = this.tasks.map(task => buildHandlerAnnouncement(task, this.profile));
+    const identifiers = new Set(this.tasks.map(handlerIdentifier));
 
     for (const relay of this.connectedRelays) {
-      await relay.publish(taskListEvent);
+      try {
+        const published = await relay.list([{ kinds: [HANDLER_KIND], authors: [this.publicKey] }]);
+        let updated = 0;
+        
+        for (const announcement of announcements) {
+          const identifier = announcement.tags.find(t => t[0] === 'd')[1];
+          const current = published.find(e => e.tags.some(t => t[0] === 'd' && t[1] === identifier));
+          if (current && sameAnnouncement(current, announcement)) {
+            continue;
+          }
+          await relay.publish(this.signEvent({ ...announcement }));
+          updated++;
+        }
+        
+        // Includes the single "taskList" announcement of older versions
+        const stale = published.filter(e => !identifiers.has(e.tags.find(t => t[0] === 'd')?.[1]));
+        for (const event of stale) {
+          await relay.publish(this.signEvent(buildAnnouncementDeletion(event)));
+        }
+        
+        console.log(`Announced tasks to ${relay.url}: ${updated} updated, ${stale.length} withdrawn`);
+      } catch (error) {
+        console.error(`Error announcing tasks to ${relay.url}: ${error.message}`);
+      }
     }
-    
-    console.log('Published task list to relays');
+  }
+  
+  signEvent(event) {
+    event.pubkey = this.publicKey;
+    event.id = getEventHash(event);
+    event.sig = getSignature(event, this.privateKey);
+    return event;
   }
 
   subscribeToTaskRequests(relay) {
     const subscription = relay.sub([
       {
-        kinds: [23194], // NIP-90 Task Request
+        kinds: [23194], // Legacy task request with a JSON body
         "#p": [this.publicKey]
+      },
+      {
+        kinds: this.tasks.map(task => task.kind), // NIP-90 job requests
+        since: Math.floor(Date.now() / 1000)
       }
     ]);
 
     subscription.on('event', event => {
-      this.handleTaskRequest(event, relay);
+      if (event.kind === 23194) {
+        this.handleTaskRequest(event, relay);
+      } else {
+        this.handleJobRequest(event, relay);
+      }
     });
   }
 
@@ -168,6 +482,49 @@ class NostrDVM {
     console.log('Subscribed to NIP-101e workout events');
   }
 
+  subscribeToGoals(relay) {
+    const subscription = relay.sub([
+      {
+        kinds: [GOAL_KIND], // NIP-78 application data
+        "#t": [GOAL_TAG]
+      }
+    ]);
+
+    subscription.on('event', event => {
+      this.addGoalEvent(event);
+    });
+    
+    console.log('Subscribed to goal events');
+  }
+
+  subscribeToRecommendations(relay) {
+    const subscription = relay.sub([
+      {
+        kinds: [RECOMMENDATION_KIND], // NIP-89 recommendations
+        "#a": this.tasks.map(task => handlerAddress(this.publicKey, task))
+      }
+    ]);
+
+    subscription.on('event', event => {
+      if (this.recommendationTracker.addRecommendation(event)) {
+        console.log(`Recommendation from ${event.pubkey} for kind ${event.tags.find(t => t[0] === 'd')?.[1]}`);
+      }
+    });
+    
+    console.log('Subscribed to handler recommendations');
+  }
+
+  addGoalEvent(event) {
+    try {
+      const goal = goalFromEvent(event);
+      if (this.goalTracker.setGoal(event.pubkey, goal)) {
+        console.log(`Added goal ${goal.id} for ${event.pubkey}`);
+      }
+    } catch (error) {
+      console.error(`Error processing goal event: ${error.message}`);
+    }
+  }
+
   processWorkoutEvent(event) {
     try {
       switch (event.kind) {
@@ -280,56 +637,10 @@ class NostrDVM {
       return;
     }
 
-    // Process record-specific tags
-    const dTag = event.tags.find(t => t[0] === 'd')?.[1] || '';
-    const title = event.tags.find(t => t[0] === 'title')?.[1] || 'Untitled Workout';
-    const type = event.tags.find(t => t[0] === 'type')?.[1] || '';
-    const start = event.tags.find(t => t[0] === 'start')?.[1] || '';
-    const end = event.tags.find(t => t[0] === 'end')?.[1] || '';
-    const exercises = event.tags.filter(t => t[0] === 'exercise').map(t => t.slice(1));
-    const completed = event.tags.find(t => t[0] === 'completed')?.[1] === 'true';
-    const hashtags = event.tags.filter(t => t[0] === 't').map(t => t[1]);
-    
-    // Running-specific metrics
-    const heartRateAvg = event.tags.find(t => t[0] === 'heart_rate_avg')?.slice(1) || [];
-    const cadenceAvg = event.tags.find(t => t[0] === 'cadence_avg')?.slice(1) || [];
-    const weatherInfo = {
-      temp: event.tags.find(t => t[0] === 'weather_temp')?.slice(1) || [],
-      humidity: event.tags.find(t => t[0] === 'weather_humidity')?.slice(1) || [],
-      condition: event.tags.find(t => t[0] === 'weather_condition')?.[1] || ''
-    };
-    
-    // Get split data if available
-    const splits = event.tags.filter(t => t[0] === 'split').map(t => ({
-      number: t[1],
-      distance: t[2],
-      unit: t[3],
-      time: t[4],
-      heart_rate: t[5] === 'bpm' ? null : t[5],
-      heart_rate_unit: t[6] === 'bpm' ? t[6] : null
-    }));
-
-    const record = {
-      id: event.id,
-      kind: event.kind,
-      pubkey: event.pubkey,
-      created_at: event.created_at,
-      d_tag: dTag,
-      title,
-      description: event.content,
-      type,
-      start: start ? parseInt(start) : null,
-      end: end ? parseInt(end) : null,
-      duration: (start && end) ? (parseInt(end) - parseInt(start)) : null,
-      exercises,
-      heart_rate_avg: heartRateAvg,
-      cadence_avg: cadenceAvg,
-      weather: weatherInfo,
-      splits,
-      completed,
-      hashtags,
-      raw_event: event // Store the original event for reference
-    };
+    const record = parseWorkoutRecord(event);
+    if (record.warnings.length > 0) {
+      console.log(`Workout record ${event.id} has implausible values: ${record.warnings.map(w => w.code).join(', ')}`);
+    }
 
     // Add to records collection
     this.workoutRecords.unshift(record);
@@ -339,7 +650,9 @@ class NostrDVM {
       this.workoutRecords = this.workoutRecords.slice(0, this.maxRecordsSize);
     }
     
-    console.log(`Added workout record: ${title} (${event.id})`);
+    console.log(`Added workout record: ${record.title} (${event.id})`);
+    
+    this.trackRecord(record);
     
     // Also add to general running feed for completeness
     this.addNoteToFeed(event, 'Workout Record');
@@ -387,11 +700,92 @@ class NostrDVM {
       }
       
       console.log(`Added note to running feed: ${event.id}`);
+      
+      // Plain notes may describe a run, which shoes it was in and how fast it was
+      if (event.kind === 1 && !eventType) {
+        this.trackNote(event).catch(error => {
+          console.error('Error tracking run from note:', error);
+        });
+      }
     } catch (error) {
       console.error('Error adding note to feed:', error);
     }
   }
 
+  async trackNote(event) {
+    const parsed = await runningNotesTask({ content: event.content, created_at: event.created_at });
+    this.activityStore.addNote(event, { key: parseKey('UTC', 'metric'), result: parsed });
+    const { gear = [], distance, activityStart } = parsed.extractedData;
+    // A distance that failed validation shouldn't wear out anyone's shoes
+    const distanceFlagged = parsed.warnings.some(w => w.field === 'distance');
+    
+    this.gearTracker.recordUse(event.pubkey, gear, {
+      eventId: event.id,
+      distance: distance && !distanceFlagged ? distance.metres : null,
+      timestamp: activityStart.timestamp,
+      source: 'note'
+    });
+    
+    // Walks, rides and other sports have no place among running bests or streaks
+    const [entry] = toEntries([parsed]);
+    const isRun = RUNNING_SPORTS.has(getSport(parsed));
+    if (isRun) {
+      this.bestEffortsTracker.recordEfforts(event.pubkey, findBestEfforts(entry), {
+        eventId: event.id,
+        timestamp: activityStart.timestamp,
+        source: 'note'
+      });
+    }
+    
+    // Only notes describing an actual run count towards streaks
+    if (isRun && (distance || parsed.extractedData.time)) {
+      this.streakTracker.recordRun(event.pubkey, {
+        eventId: event.id,
+        timestamp: activityStart.timestamp,
+        distance: distance && !distanceFlagged ? distance.metres : null,
+        source: 'note'
+      });
+    }
+  }
+
+  trackRecord(record) {
+    const timestamp = recordTime(record);
+    // A start no date can hold would break every summary the record is in
+    if (timestamp === null) {
+      console.log(`Workout record ${record.id} has an unusable start time, not tracking it`);
+      return;
+    }
+    
+    this.activityStore.addRecord(record);
+    const gear = record.equipment.map(gearFromEquipment).filter(Boolean);
+    
+    this.gearTracker.recordUse(record.pubkey, gear, {
+      eventId: record.id,
+      distance: getRecordDistance(record),
+      timestamp,
+      source: 'workout_record'
+    });
+    
+    const [entry] = toEntries([recordToActivity(record)]);
+    const isRun = RUNNING_SPORTS.has(getSport(entry.activity));
+    if (isRun) {
+      this.bestEffortsTracker.recordEfforts(record.pubkey, findBestEfforts(entry), {
+        eventId: record.id,
+        timestamp,
+        source: 'workout_record'
+      });
+    }
+    
+    if (isRun) {
+      this.streakTracker.recordRun(record.pubkey, {
+        eventId: record.id,
+        timestamp,
+        distance: getRecordDistance(record),
+        source: 'workout_record'
+      });
+    }
+  }
+
   // Task handler for getting the running feed
   async getRunningFeed(params = {}) {
     // Optional parameters for pagination/filtering
@@ -479,6 +873,379 @@ class NostrDVM {
     };
   }
 
+  // Task handler for getting gear mileage
+  async getGearMileage(params = {}) {
+    const { pubkey, threshold_km: thresholdKm = this.gearThresholdKm, units = 'metric' } = params;
+    
+    if (!pubkey) {
+      throw new Error('No pubkey provided for gear mileage');
+    }
+    
+    if (!Number.isFinite(thresholdKm) || thresholdKm <= 0) {
+      throw new Error('threshold_km must be a positive number');
+    }
+    
+    assertUnitSystem(units);
+    
+    const threshold = thresholdKm * 1000;
+    const gear = this.gearTracker.getGear(pubkey).map(item => ({
+      ...item,
+      distanceFormatted: formatDistance(item.distance, units),
+      overThreshold: item.type === 'shoe' && item.distance >= threshold
+    }));
+    
+    // Only shoes wear out by distance
+    const warnings = gear
+      .filter(item => item.overThreshold)
+      .map(item => ({
+        key: item.key,
+        code: 'gear_distance_exceeded',
+        message: `${item.name} has ${formatDistance(item.distance, units)}, past the ${formatDistance(threshold, units)} replacement threshold`
+      }));
+    
+    return {
+      pubkey,
+      threshold,
+      thresholdFormatted: formatDistance(threshold, units),
+      gear,
+      warnings
+    };
+  }
+
+  // Task handler for getting best efforts
+  async getBestEfforts(params = {}) {
+    const { pubkey, units = 'metric', timeZone = 'UTC' } = params;
+    
+    if (!pubkey) {
+      throw new Error('No pubkey provided for best efforts');
+    }
+    
+    assertUnitSystem(units);
+    assertTimeZone(timeZone);
+    
+    return {
+      pubkey,
+      timeZone,
+      ...this.bestEffortsTracker.getBestEfforts(pubkey, units, timeZone)
+    };
+  }
+
+  // Task handler for summarizing activities, either sent by the client or
+  // gathered from a runner's own notes and workout records
+  async summarizeActivities(params = {}) {
+    const { pubkey, since = 0, until = Number.MAX_SAFE_INTEGER, ...options } = params;
+    
+    if (!pubkey) {
+      return activitySummaryTask(params);
+    }
+    
+    if (params.activities) {
+      throw new Error('Send either activities or a pubkey to summarize, not both');
+    }
+    
+    if (!Number.isFinite(since) || !Number.isFinite(until)) {
+      throw new Error('since and until must be unix timestamps in seconds');
+    }
+    
+    const activities = await this.gatherActivities(pubkey, {
+      since,
+      until,
+      timeZone: options.timeZone,
+      units: options.units
+    });
+    
+    if (activities.length === 0) {
+      throw new Error(`No activities found for pubkey ${pubkey}`);
+    }
+    
+    const summary = await activitySummaryTask({ ...options, activities });
+    
+    return {
+      pubkey,
+      // The activityIndex values in the summary point into this list
+      activities: activities.map((activity, activityIndex) => ({
+        activityIndex,
+        eventId: activity.eventId,
+        source: activity.source
+      })),
+      ...summary
+    };
+  }
+  
+  // Task handler for injury risk, of activities sent by the client or
+  // gathered from a runner's own notes and workout records
+  async assessInjuryRisk(params = {}) {
+    const { pubkey, since = 0, until = Number.MAX_SAFE_INTEGER, ...options } = params;
+    
+    if (!pubkey) {
+      return injuryRiskTask(params);
+    }
+    
+    if (params.activities || params.records) {
+      throw new Error('Send either activities or a pubkey to check for injury risks, not both');
+    }
+    
+    if (!Number.isFinite(since) || !Number.isFinite(until)) {
+      throw new Error('since and until must be unix timestamps in seconds');
+    }
+    
+    const activities = await this.gatherActivities(pubkey, {
+      since,
+      until,
+      timeZone: options.timeZone,
+      units: options.units
+    });
+    
+    if (activities.length === 0) {
+      throw new Error(`No activities found for pubkey ${pubkey}`);
+    }
+    
+    const risk = await injuryRiskTask({ ...options, activities });
+    
+    return {
+      pubkey,
+      // The activityIndex values in the warnings point into this list
+      activities: activities.map((activity, activityIndex) => ({
+        activityIndex,
+        eventId: activity.eventId,
+        source: activity.source
+      })),
+      ...risk
+    };
+  }
+  
+  // Task handler for comparing two sets of activities, each sent by the
+  // client or gathered from a runner's own notes and workout records
+  async compareActivities(params = {}) {
+    const { pubkey, a, b, timeZone, units } = params;
+    
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+      throw new Error('Two sides, a and b, are required to compare');
+    }
+    
+    const sides = {};
+    const sources = {};
+    for (const [name, side] of [['a', a], ['b', b]]) {
+      // Sides without activities of their own default to the request's pubkey
+      const sidePubkey = side.pubkey || (side.activities || side.records ? null : pubkey);
+      if (!sidePubkey) {
+        sides[name] = side;
+        continue;
+      }
+      if (side.activities || side.records) {
+        throw new Error(`Send either activities or a pubkey for side ${name}, not both`);
+      }
+      for (const field of ['since', 'until']) {
+        if (side[field] !== undefined && !Number.isFinite(side[field])) {
+          throw new Error(`${field} of side ${name} must be a unix timestamp in seconds`);
+        }
+      }
+      
+      const activities = await this.gatherActivities(sidePubkey, { since: side.since, until: side.until, timeZone, units });
+      if (activities.length === 0) {
+        throw new Error(`No activities found for pubkey ${sidePubkey} in side ${name}`);
+      }
+      sides[name] = { ...side, activities };
+      sources[name] = { pubkey: sidePubkey, activities };
+    }
+    
+    const comparison = await compareTask({ ...params, a: sides.a, b: sides.b });
+    
+    // The activityIndex values of a pubkey's side point into its activities list
+    for (const [name, { pubkey: sidePubkey, activities }] of Object.entries(sources)) {
+      comparison[name] = {
+        pubkey: sidePubkey,
+        ...comparison[name],
+        activities: activities.map((activity, activityIndex) => ({
+          activityIndex,
+          eventId: activity.eventId,
+          source: activity.source
+        }))
+      };
+    }
+    
+    return comparison;
+  }
+  
+  // Task handler for recaps, of a summary or comparison sent by the client,
+  // or of activities summarized or compared first
+  async recapActivities(params = {}) {
+    if (params.summary || params.comparison) {
+      return recapTask(params);
+    }
+    
+    if (params.a && params.b) {
+      const comparison = await this.compareActivities(params);
+      return recapTask({ ...params, comparison });
+    }
+    
+    // A runner's recap of a period covers that period so far, against the whole one before
+    const { pubkey, period, since, until, timeZone = 'UTC', weekStart = 'iso' } = params;
+    if (pubkey && period && since === undefined && until === undefined) {
+      assertTimeZone(timeZone);
+      assertPeriod(period, weekStart);
+      const now = Date.now();
+      const [current] = listPeriods(now, now, period, timeZone, weekStart);
+      const [previous] = listPeriods(current.start - 1, current.start - 1, period, timeZone, weekStart);
+      
+      const summary = await this.summarizeActivities({ ...params, since: current.start / 1000, until: now / 1000 });
+      const previousActivities = await this.gatherActivities(pubkey, {
+        since: previous.start / 1000,
+        until: (previous.end - 1) / 1000,
+        timeZone,
+        units: params.units
+      });
+      const previousSummary = previousActivities.length > 0
+        ? await activitySummaryTask({ ...params, activities: previousActivities })
+        : null;
+      return recapTask({ ...params, summary, previousSummary });
+    }
+    
+    const summary = await this.summarizeActivities(params);
+    return recapTask({ ...params, summary });
+  }
+  
+  // Parses a runner's stored notes and merges in their workout records,
+  // oldest first, keeping activities that happened within a time range
+  async gatherActivities(pubkey, { since = 0, until = Number.MAX_SAFE_INTEGER, timeZone = 'UTC', units = 'metric' }) {
+    const activities = [];
+    
+    const notes = await this.activityStore.getParsedNotes(pubkey, parseKey(timeZone, units), note =>
+      runningNotesTask({ content: note.content, created_at: note.created_at, timeZone, units }));
+    for (const { id, result } of notes) {
+      // Only notes describing an actual run count, as for streaks
+      if (result.extractedData.distance || result.extractedData.time) {
+        activities.push({ ...result, eventId: id, source: 'note' });
+      }
+    }
+    
+    for (const record of this.activityStore.getRecords(pubkey)) {
+      const activity = recordToActivity(record);
+      if (activity) {
+        activities.push({ ...activity, eventId: record.id, source: 'workout_record' });
+      }
+    }
+    
+    return activities
+      .map(activity => ({ activity, time: getActivityDate(activity).getTime() / 1000 }))
+      .filter(({ time }) => time >= since && time <= until)
+      .sort((a, b) => a.time - b.time)
+      .map(({ activity }) => activity);
+  }
+
+  // Task handler for getting running streaks
+  async getStreaks(params = {}) {
+    const { pubkey, timeZone = 'UTC', weekStart = 'iso', days = 365 } = params;
+    
+    if (!pubkey) {
+      throw new Error('No pubkey provided for streaks');
+    }
+    
+    if (!Number.isInteger(days) || days <= 0 || days > MAX_STREAK_DAYS) {
+      throw new Error(`days must be a whole number from 1 to ${MAX_STREAK_DAYS}`);
+    }
+    
+    assertTimeZone(timeZone);
+    assertPeriod('week', weekStart);
+    
+    return {
+      pubkey,
+      timeZone,
+      ...this.streakTracker.getStreaks(pubkey, { timeZone, weekStart, days })
+    };
+  }
+
+  // Task handler for setting a goal
+  // A signed goal event speaks for its author. An unsigned goal can only
+  // be set by the author of a signed request (a job's customer), for
+  // themselves, so the HTTP API needs the signed event.
+  async setGoal(params = {}, { customer } = {}) {
+    const { event, goal: definition, timeZone = 'UTC', weekStart = 'iso', units = 'metric' } = params;
+    
+    let pubkey;
+    let goal;
+    if (event) {
+      goal = goalFromEvent(event);
+      pubkey = event.pubkey;
+    } else {
+      if (!customer) {
+        throw new Error('A goal must come as a signed goal event (kind 30078)');
+      }
+      if (params.pubkey && params.pubkey !== customer) {
+        throw new Error('Unsigned goals can only be set for the requester\'s own pubkey');
+      }
+      goal = parseGoal(definition);
+      pubkey = customer;
+    }
+    
+    assertTimeZone(timeZone);
+    assertPeriod('week', weekStart);
+    assertUnitSystem(units);
+    
+    if (!this.goalTracker.setGoal(pubkey, goal)) {
+      throw new Error(`Goal ${goal.id} is already set by a newer or signed goal event`);
+    }
+    
+    return {
+      pubkey,
+      goal: this.evaluateGoal(pubkey, goal, { timeZone, weekStart, units }),
+      // Signed and published by the runner, the goal outlives this DVM's memory
+      event: event ? null : goalToEvent(pubkey, goal)
+    };
+  }
+
+  // Task handler for getting the users recommending each task
+  async getRecommendations(params = {}) {
+    const { task: name } = params;
+    
+    const tasks = name ? this.tasks.filter(t => t.name === name) : this.tasks;
+    if (tasks.length === 0) {
+      throw new Error(`Unknown task: ${name}`);
+    }
+    
+    return {
+      pubkey: this.publicKey,
+      tasks: tasks.map(task => {
+        const address = handlerAddress(this.publicKey, task);
+        const recommenders = this.recommendationTracker.getRecommenders(address);
+        return {
+          task: task.name,
+          kind: task.kind,
+          address,
+          recommendations: recommenders.length,
+          recommenders
+        };
+      })
+    };
+  }
+
+  // Task handler for getting goal progress
+  async getGoalProgress(params = {}) {
+    const { pubkey, timeZone = 'UTC', weekStart = 'iso', units = 'metric' } = params;
+    
+    if (!pubkey) {
+      throw new Error('No pubkey provided for goal progress');
+    }
+    
+    assertTimeZone(timeZone);
+    assertPeriod('week', weekStart);
+    assertUnitSystem(units);
+    
+    return {
+      pubkey,
+      goals: this.goalTracker.getGoals(pubkey)
+        .map(goal => this.evaluateGoal(pubkey, goal, { timeZone, weekStart, units }))
+    };
+  }
+
+  evaluateGoal(pubkey, goal, { timeZone, weekStart, units }) {
+    const data = {
+      runs: this.streakTracker.getRuns(pubkey),
+      getEfforts: (distance, since, until) => this.bestEffortsTracker.getEfforts(pubkey, distance, since, until)
+    };
+    return evaluateGoal(goal, data, { now: Math.floor(Date.now() / 1000), timeZone, weekStart, units });
+  }
+
   async handleTaskRequest(event, relay) {
     try {
       const taskRequest = JSON.parse(event.content);
@@ -496,8 +1263,8 @@ class NostrDVM {
         return;
       }
       
-      // Process the task
-      const result = await taskHandler(params);
+      // Process the task, for the request's signed author
+      const result = await taskHandler(params, { customer: event.pubkey });
       
       // Publish the result
       await this.publishTaskResult(event, relay, {
@@ -533,6 +1300,319 @@ class NostrDVM {
     console.log(`Published task result for ${requestEvent.id}`);
   }
 
+  // Answers a standard NIP-90 job request, with kind 7000 feedback along the way
+  async handleJobRequest(event, relay) {
+    if (this.handledJobs.has(event.id)) {
+      return;
+    }
+    this.handledJobs.add(event.id);
+    if (this.handledJobs.size > this.maxHandledJobs) {
+      this.handledJobs.delete(this.handledJobs.values().next().value);
+    }
+    
+    const task = this.tasks.find(t => t.kind === event.kind);
+    if (!task) {
+      return;
+    }
+    
+    let request;
+    try {
+      request = parseJobRequest(event);
+    } catch (error) {
+      await this.publishJobEvent(buildJobFeedback(event, 'error', error.message, relay.url), relay, []);
+      return;
+    }
+    
+    // Jobs addressed to other service providers are theirs to answer
+    if (request.providers.length > 0 && !request.providers.includes(this.publicKey)) {
+      return;
+    }
+    
+    console.log(`Received job request ${event.id}: ${task.name}`);
+    request.relays = await this.dialableRelays(request.relays);
+    // Jobs are free, so any bid is accepted
+    await this.publishJobEvent(buildJobFeedback(event, 'processing', null, relay.url), relay, request.relays);
+    
+    try {
+      const { inputs, skipped } = await this.resolveJobInputs(request, relay);
+      if (skipped.length > 0) {
+        if (inputs.length === 0) {
+          throw new Error(`No usable inputs: ${skipped.join('; ')}`);
+        }
+        await this.publishJobEvent(
+          buildJobFeedback(event, 'partial', `Skipped ${skipped.length} of ${request.inputs.length} inputs: ${skipped.join('; ')}`, relay.url),
+          relay,
+          request.relays
+        );
+      }
+      
+      const params = await this.jobParams(task.name, request, inputs);
+      const result = await task.handler(params, { customer: request.customer });
+      
+      const content = request.output === 'text/plain' && typeof result?.text === 'string'
+        ? result.text
+        : JSON.stringify(result);
+      await this.publishJobEvent(buildJobResult(event, content, relay.url), relay, request.relays);
+      await this.publishJobEvent(buildJobFeedback(event, 'success', null, relay.url), relay, request.relays);
+      console.log(`Published job result for ${event.id}`);
+    } catch (error) {
+      console.error(`Error handling job request ${event.id}:`, error.message);
+      await this.publishJobEvent(buildJobFeedback(event, 'error', error.message, relay.url), relay, request.relays);
+    }
+  }
+  
+  // Fetches the notes, workout records and data a job's `i` tags point to,
+  // listing the inputs that couldn't be used
+  async resolveJobInputs(request, relay) {
+    const inputs = [];
+    const skipped = [];
+    
+    const hints = await this.dialableRelays(request.inputs.map(input => input.relay).filter(Boolean));
+    for (const input of request.inputs) {
+      try {
+        const hint = hints.includes(input.relay) ? input.relay : null;
+        inputs.push(await this.resolveJobInput({ ...input, relay: hint }, request, relay));
+      } catch (error) {
+        skipped.push(`${input.type} ${input.data}: ${error.message}`);
+      }
+    }
+    
+    return { inputs, skipped };
+  }
+  
+  async resolveJobInput({ data, type, relay: hint }, request, relay) {
+    switch (type) {
+      case 'text':
+        return { type: 'note', content: data, created_at: request.created_at };
+      
+      case 'event': {
+        const event = await this.fetchEvent({ ids: [data] }, relay, hint);
+        if (!event) {
+          throw new Error('event not found');
+        }
+        if (event.kind === 1) {
+          return { type: 'note', content: event.content, created_at: event.created_at };
+        }
+        if (event.kind === 1301) {
+          return { type: 'record', record: parseWorkoutRecord(event) };
+        }
+        throw new Error(`unsupported event kind ${event.kind}`);
+      }
+      
+      case 'url':
+        return this.fetchUrlInput(data);
+      
+      case 'job': {
+        // The input is the result of an earlier job
+        const result = await this.fetchEvent({
+          '#e': [data],
+          kinds: this.tasks.map(task => task.kind + RESULT_KIND_OFFSET)
+        }, relay, hint);
+        if (!result) {
+          throw new Error('job result not found');
+        }
+        return this.dataInput(result.content, result.created_at);
+      }
+    }
+  }
+  
+  // Picks the relays a job may have us dial: relays we are connected to,
+  // and up to maxJobRelays others with a ws(s) URL on a public host
+  async dialableRelays(urls) {
+    const dialable = [];
+    let others = 0;
+    for (const url of new Set(urls)) {
+      if (this.connectedRelays.some(r => r.url === url)) {
+        dialable.push(url);
+        continue;
+      }
+      if (others >= this.maxJobRelays) {
+        continue;
+      }
+      try {
+        await assertPublicUrl(url, ['wss:', 'ws:']);
+        dialable.push(url);
+        others++;
+      } catch (error) {
+        console.error(`Not dialing relay ${url}: ${error.message}`);
+      }
+    }
+    return dialable;
+  }
+  
+  // Looks for an event on the relay hint, the request's relay and every connected relay
+  async fetchEvent(filter, relay, hint) {
+    const relays = [relay, ...this.connectedRelays.filter(r => r !== relay)];
+    let hintRelay = null;
+    if (hint && !relays.some(r => r.url === hint)) {
+      try {
+        hintRelay = await connectJobRelay(hint);
+        relays.unshift(hintRelay);
+      } catch (error) {
+        hintRelay = null;
+      }
+    }
+    
+    try {
+      for (const r of relays) {
+        const event = await r.get(filter);
+        if (event) {
+          return event;
+        }
+      }
+      return null;
+    } finally {
+      hintRelay?.close();
+    }
+  }
+  
+  // Fetches a URL input. Only public hosts are fetched, redirects are
+  // followed a few times and checked the same way, and the whole fetch
+  // must finish within the input timeout and the body size limit
+  async fetchUrlInput(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.inputTimeoutMs);
+    try {
+      let response;
+      let target = url;
+      for (let redirects = 0; ; redirects++) {
+        const parsed = await assertPublicUrl(target, ['http:', 'https:']);
+        response = await fetch(parsed.href, {
+          signal: controller.signal,
+          redirect: 'manual',
+          agent: publicAgent
+        });
+        if (response.status < 300 || response.status >= 400 || !response.headers.get('location')) {
+          break;
+        }
+        if (redirects >= this.maxInputRedirects) {
+          throw new Error('too many redirects');
+        }
+        target = new URL(response.headers.get('location'), parsed).href;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (Number(response.headers.get('content-length')) > this.maxInputBytes) {
+        throw new Error(`larger than ${this.maxInputBytes} bytes`);
+      }
+      
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > this.maxInputBytes) {
+          controller.abort();
+          throw new Error(`larger than ${this.maxInputBytes} bytes`);
+        }
+        chunks.push(chunk);
+      }
+      return this.dataInput(Buffer.concat(chunks).toString('utf8'), Math.floor(Date.now() / 1000));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`timed out after ${this.inputTimeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  
+  // Reads fetched content as JSON data, or as the text of a running note
+  dataInput(content, createdAt) {
+    try {
+      const value = JSON.parse(content);
+      if (value !== null && typeof value === 'object') {
+        return { type: 'data', value };
+      }
+    } catch (error) {
+      // Not JSON, so plain text
+    }
+    return { type: 'note', content, created_at: createdAt };
+  }
+  
+  // Turns a job's inputs and param tags into task parameters. Notes and
+  // workout records become activities (or the note to parse, for
+  // running_notes), summaries and comparisons from earlier jobs feed recaps,
+  // and other JSON objects may set the options in INPUT_PARAMS. Param tags
+  // win, and tasks about a runner default to the customer's own pubkey.
+  async jobParams(taskName, request, inputs) {
+    const params = {};
+    const activities = [];
+    const { timeZone, units } = request.params;
+    
+    for (const input of inputs) {
+      if (input.type === 'note') {
+        if (taskName === 'running_notes') {
+          if (params.content === undefined) {
+            params.content = input.content;
+            params.created_at = input.created_at;
+          }
+          continue;
+        }
+        activities.push(await runningNotesTask({ content: input.content, created_at: input.created_at, timeZone, units }));
+      } else if (input.type === 'record') {
+        const activity = recordToActivity(input.record);
+        if (activity) {
+          activities.push(activity);
+        }
+      } else if (Array.isArray(input.value)) {
+        activities.push(...input.value);
+      } else if (input.value.extractedData) {
+        activities.push(input.value);
+      } else if (input.value.deltas && input.value.a && input.value.b) {
+        params.comparison = input.value;
+      } else if (input.value.totals && input.value.averages) {
+        params.summary = input.value;
+      } else {
+        const taskParams = TASK_SCHEMAS[taskName]?.params || {};
+        for (const [key, value] of Object.entries(input.value)) {
+          if (INPUT_PARAMS.has(key) && key in taskParams) {
+            params[key] = value;
+          }
+        }
+      }
+    }
+    
+    if (activities.length > 0) {
+      params.activities = [...(params.activities || []), ...activities];
+    }
+    Object.assign(params, request.params);
+    
+    if (params.pubkey === undefined && !params.activities && !params.summary && !params.comparison && params.content === undefined) {
+      params.pubkey = request.customer;
+    }
+    
+    return params;
+  }
+  
+  // Signs a job result or feedback event and publishes it to the request's
+  // relay and the relays the customer asked for, as picked by dialableRelays
+  async publishJobEvent(event, relay, relayUrls) {
+    this.signEvent(event);
+    
+    const targets = [
+      relay,
+      ...relayUrls
+        .filter(url => url !== relay.url)
+        .map(url => this.connectedRelays.find(r => r.url === url) || url)
+    ];
+    for (const target of targets) {
+      // Relays we aren't connected to are connected to just for this event
+      let temporary = null;
+      try {
+        if (typeof target === 'string') {
+          temporary = await connectJobRelay(target);
+        }
+        await (temporary || target).publish(event);
+      } catch (error) {
+        console.error(`Error publishing job event to ${typeof target === 'string' ? target : target.url}: ${error.message}`);
+      } finally {
+        temporary?.close();
+      }
+    }
+  }
+
   // Method to handle API requests
   async processApiRequest(taskName, params) {
     const taskHandler = this.tasks.find(t => t.name === taskName)?.handler;
@@ -0,0 +1,140 @@
+/**
+ * Activity Start Resolution
+ *
+ * Turns the relative dates in a note ("this morning", "yesterday's long
+ * run", "Sunday's 20 miler", "at 5:30am") into the moment the activity
+ * started, counting back from when the note was posted in the runner's
+ * time zone. Notes that say nothing about when fall back to the posting
+ * time.
+ */
+
+const { getZonedParts, zonedTimeToTimestamp } = require('../utils/dates');
+const { CONFIDENCE } = require('./grammar');
+
+// Time of day assumed when a note names a past day but no time
+const DEFAULT_HOUR = 12;
+
+/**
+ * Converts a clock time entity to a 24-hour hour, using the part of the day
+ * to place times without am/pm ("this evening at 6:30")
+ * @param {Object} clockTime - Clock time entity
+ * @param {number|null} partHour - Hour of the part of the day named, if any
+ * @returns {number} Hour between 0 and 23
+ */
+function toTwentyFourHour(clockTime, partHour) {
+  const { hours, meridiem } = clockTime;
+  if (meridiem) {
+    const pm = meridiem.startsWith('p');
+    return (hours % 12) + (pm ? 12 : 0);
+  }
+  if (partHour !== null && partHour >= 15 && hours < 12) {
+    return hours + 12;
+  }
+  return hours;
+}
+
+/**
+ * Works out when an activity started from the date entities of its note
+ * @param {Array} entities - Labelled entities from the grammar
+ * @param {number} createdAt - When the note was posted, in unix seconds
+ * @param {string} [timeZone] - IANA time zone of the runner
+ * @returns {Object} Start in unix seconds, how it was derived, the entities used and a confidence
+ */
+function resolveActivityStart(entities, createdAt, timeZone = 'UTC') {
+  const postedAt = createdAt * 1000;
+  const posted = getZonedParts(postedAt, timeZone);
+  const first = label => entities.find(e => e.label === label);
+
+  const relativeDay = first('relativeDay');
+  const daysAgo = first('daysAgo');
+  const weekday = first('weekday');
+  const partOfDay = first('partOfDay');
+  const clockTime = first('clockTime');
+
+  const used = [];
+  const derivedFrom = [];
+  let dayOffset = null;
+  let hour = null;
+  let minute = 0;
+
+  if (relativeDay) {
+    dayOffset = relativeDay.offset;
+    hour = relativeDay.hour;
+    used.push(relativeDay);
+    derivedFrom.push('relative_day');
+  } else if (daysAgo) {
+    dayOffset = daysAgo.offset;
+    used.push(daysAgo);
+    derivedFrom.push('days_ago');
+  } else if (weekday) {
+    // The most recent such day, which is today unless the note says "last"
+    let diff = (posted.weekday - weekday.day + 7) % 7;
+    if (diff === 0 && weekday.last) {
+      diff = 7;
+    }
+    dayOffset = -diff;
+    used.push(weekday);
+    derivedFrom.push('weekday');
+  }
+
+  if (partOfDay) {
+    hour = hour ?? partOfDay.hour;
+    // "last night"
+    if (partOfDay.last && dayOffset === null) {
+      dayOffset = -1;
+    }
+    used.push(partOfDay);
+    derivedFrom.push('part_of_day');
+  }
+
+  if (clockTime) {
+    hour = toTwentyFourHour(clockTime, partOfDay ? partOfDay.hour : hour);
+    minute = clockTime.minutes;
+    used.push(clockTime);
+    derivedFrom.push('clock_time');
+  }
+
+  if (used.length === 0) {
+    return {
+      timestamp: createdAt,
+      derivedFrom: ['posted_at'],
+      entities: [],
+      confidence: CONFIDENCE.weak
+    };
+  }
+
+  const offset = dayOffset ?? 0;
+  const local = {
+    year: posted.year,
+    month: posted.month,
+    day: posted.day + offset
+  };
+  if (hour !== null) {
+    Object.assign(local, { hour, minute });
+  } else if (offset === 0) {
+    // "today's run" with no time: the post is the best guess
+    Object.assign(local, { hour: posted.hour, minute: posted.minute, second: posted.second });
+  } else {
+    local.hour = DEFAULT_HOUR;
+  }
+
+  let timestamp = zonedTimeToTimestamp(local, timeZone);
+
+  // "at 6pm" posted at 9am without naming a day was yesterday evening
+  if (dayOffset === null && clockTime && timestamp > postedAt) {
+    timestamp = zonedTimeToTimestamp({ ...local, day: local.day - 1 }, timeZone);
+    derivedFrom.push('previous_day');
+  }
+
+  // An activity cannot start after it was posted about
+  timestamp = Math.min(timestamp, postedAt);
+
+  return {
+    timestamp: Math.floor(timestamp / 1000),
+    derivedFrom,
+    entities: used,
+    confidence: Math.min(...used.map(e => e.confidence))
+  };
+}
+
+module.exports = { resolveActivityStart };
@@ -0,0 +1,1047 @@
+/**
+ * Running Note Grammar
+ *
+ * Labels the numbers in a tokenized note by what surrounds them: a clock
+ * value followed by "/km" is a pace, one after "splits:" is a split, one
+ * followed by "am" is a time of day, and so on. Each token is claimed by at
+ * most one entity, so the same span is never counted twice. The words the
+ * grammar looks for come from the lexicon of the note's language.
+ */
+
+const { getLexicon } = require('./lexicon');
+const { RACE_DISTANCES } = require('./races');
+const { toMetres } = require('../utils/units');
+
+// How sure the grammar is of a label: an explicit unit ("5:13/km", "152 bpm")
+// beats a cue word ("pace 5:13", "HR 152"), which beats position alone
+const CONFIDENCE = {
+  explicit: 0.95,
+  cued: 0.8,
+  inferred: 0.6,
+  weak: 0.4
+};
+
+// Sets nest a level or two deep in practice ("2x(3x1k)"); deeper brackets aren't an interval
+const MAX_NESTED_SETS = 3;
+
+// A bare h:mm before an activity ("1:30 run") is hours and minutes up to
+// here; later ones ("5:30 run") are more likely the time it started
+const MAX_BARE_HOURS = 3;
+
+/**
+ * Returns the lowercase text of a word token, or null for anything else
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Token index
+ * @returns {string|null} Lowercase word
+ */
+function wordAt(tokens, i) {
+  const token = tokens[i];
+  return token && token.type === 'word' ? token.lower : null;
+}
+
+/**
+ * Checks whether the token at an index is the given symbol
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Token index
+ * @param {string} symbol - Symbol to compare against
+ * @returns {boolean} True if the token is that symbol
+ */
+function symbolAt(tokens, i, symbol) {
+  const token = tokens[i];
+  return Boolean(token && token.type === 'symbol' && token.text === symbol);
+}
+
+/**
+ * Looks back from a token for a cue word, skipping fillers and punctuation
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the token being labelled
+ * @param {Set} cues - Cue words to look for
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @param {number} window - Maximum number of tokens to look back
+ * @returns {boolean} True if a cue word precedes the token
+ */
+function hasCueBefore(tokens, i, cues, lexicon, window = 3) {
+  for (let j = i - 1; j >= 0 && j >= i - window; j--) {
+    const token = tokens[j];
+    if (token.type === 'symbol' && lexicon.clauseBreaks.has(token.text)) {
+      return false;
+    }
+    if (token.type === 'word') {
+      if (cues.has(token.lower)) {
+        return true;
+      }
+      if (!lexicon.fillerWords.has(token.lower)) {
+        return false;
+      }
+    }
+    if (token.type === 'number' || token.type === 'clock') {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether a clock token belongs to a list of splits, i.e. a split cue
+ * appears earlier in the same clause with nothing but other clock values,
+ * punctuation and fillers in between
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the clock token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {boolean} True if the token is a split time
+ */
+function inSplitList(tokens, i, lexicon) {
+  for (let j = i - 1; j >= 0; j--) {
+    const token = tokens[j];
+    if (token.type === 'symbol' && lexicon.clauseBreaks.has(token.text)) {
+      return false;
+    }
+    if (token.type === 'word') {
+      if (lexicon.splitCues.has(token.lower)) {
+        return true;
+      }
+      if (lexicon.durationCues.has(token.lower) || lexicon.paceCues.has(token.lower)) {
+        return false;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether a clock token is a bare h:mm right before an activity word,
+ * or one word before it: "1:30 run", "2:15 long run"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the clock token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {boolean} True if the clock value reads as hours and minutes
+ */
+function isHoursBeforeActivity(tokens, i, lexicon) {
+  const parts = tokens[i].parts;
+  if (parts.length !== 2 || parts[0] > MAX_BARE_HOURS) {
+    return false;
+  }
+  const next = wordAt(tokens, i + 1);
+  return Boolean(next && (lexicon.activityWords[next] || lexicon.activityWords[wordAt(tokens, i + 2)]));
+}
+
+/**
+ * Converts a clock token to seconds, reading mm:ss or hh:mm:ss
+ * @param {Object} token - Clock token
+ * @returns {number} Total seconds
+ */
+function clockToSeconds(token) {
+  const parts = token.parts;
+  if (parts.length === 3) {
+    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  }
+  return parts[0] * 60 + parts[1];
+}
+
+/**
+ * Matches a pace unit after a clock value: "/km", "per mile", "min/km"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the clock token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Pace unit and index of the last token used
+ */
+function matchPaceUnit(tokens, i, lexicon) {
+  let j = i + 1;
+  if (lexicon.minuteUnits.has(wordAt(tokens, j))) {
+    j++;
+  }
+  if (symbolAt(tokens, j, '/') || lexicon.perWords.has(wordAt(tokens, j))) {
+    const unit = lexicon.distanceUnits[wordAt(tokens, j + 1)];
+    if (unit) {
+      return { unit: unit === 'mi' ? 'mi' : 'km', last: j + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a word is any unit the grammar knows
+ * @param {string|null} word - Lowercase word
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {boolean} True if the word is a unit
+ */
+function isUnit(word, lexicon) {
+  return Boolean(word && (
+    lexicon.distanceUnits[word] || lexicon.elevationUnits[word] ||
+    lexicon.cuelessElevationUnits[word] || lexicon.heartRateUnits.has(word) ||
+    lexicon.hourUnits.has(word) || lexicon.minuteUnits.has(word) ||
+    lexicon.secondUnits.has(word) || lexicon.meridiems.has(word)
+  ));
+}
+
+/**
+ * Reads a run of number + duration unit pairs ("1h 5m 30s", "45 minutes").
+ * A bare number right after the hours is read as minutes ("1h20", "1 heure 20").
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first number token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Total seconds and index of the last token used
+ */
+function readDurationPhrase(tokens, i, lexicon) {
+  let totalSeconds = 0;
+  let components = 0;
+  let last = null;
+  let lastFactor = null;
+  let j = i;
+
+  while (tokens[j] && tokens[j].type === 'number') {
+    const unit = wordAt(tokens, j + 1);
+    // A bare "m" only means minutes inside a compound like "1h 5m" or "5m 30s"
+    const compoundMinute = unit === 'm' && (components > 0 ||
+      (tokens[j + 2]?.type === 'number' && lexicon.secondUnits.has(wordAt(tokens, j + 3))));
+    let factor = null;
+
+    if (lexicon.hourUnits.has(unit)) {
+      factor = 3600;
+    } else if (lexicon.minuteUnits.has(unit) || compoundMinute) {
+      factor = 60;
+    } else if (lexicon.secondUnits.has(unit)) {
+      factor = 1;
+    }
+
+    if (!factor) {
+      const trailingMinutes = components > 0 && lastFactor === 3600 &&
+        Number.isInteger(tokens[j].value) && tokens[j].value < 60 &&
+        !isUnit(unit, lexicon);
+      if (trailingMinutes) {
+        totalSeconds += tokens[j].value * 60;
+        last = j;
+      }
+      break;
+    }
+
+    totalSeconds += tokens[j].value * factor;
+    lastFactor = factor;
+    components++;
+    last = j + 1;
+    j += 2;
+
+    if (lexicon.andWords.has(wordAt(tokens, j)) && tokens[j + 1]?.type === 'number') {
+      j++;
+    }
+  }
+
+  return components > 0 ? { totalSeconds, last } : null;
+}
+
+/**
+ * Reads a single distance or duration: "800m", "1k", "1 mile", "90s",
+ * "2 min", "1:00". A bare number of 100 or more is taken as metres, the way
+ * track reps are usually written ("10x400").
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Metres or seconds, whether a unit was given, and index of the last token used
+ */
+function readQuantity(tokens, i, lexicon) {
+  const token = tokens[i];
+  if (!token) {
+    return null;
+  }
+
+  if (token.type === 'clock') {
+    return { distance: null, duration: clockToSeconds(token), explicit: true, last: i };
+  }
+
+  if (token.type !== 'number') {
+    return null;
+  }
+
+  const unit = wordAt(tokens, i + 1);
+  const distanceUnit = lexicon.distanceUnits[unit];
+  if (distanceUnit) {
+    return { distance: Math.round(toMetres(token.value, distanceUnit)), duration: null, explicit: true, last: i + 1 };
+  }
+
+  if (lexicon.elevationUnits[unit] === 'm') {
+    return { distance: token.value, duration: null, explicit: true, last: i + 1 };
+  }
+
+  const duration = readDurationPhrase(tokens, i, lexicon);
+  if (duration) {
+    return { distance: null, duration: duration.totalSeconds, explicit: true, last: duration.last };
+  }
+
+  if (!isUnit(unit, lexicon) && token.value >= 100) {
+    return { distance: token.value, duration: null, explicit: false, last: i };
+  }
+
+  return null;
+}
+
+/**
+ * Reads a comma-separated list of clock values ("3:08, 3:05, 3:04")
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first clock token
+ * @returns {Object|null} Seconds for each value and index of the last token used
+ */
+function readClockList(tokens, i) {
+  const times = [];
+  let j = i;
+
+  while (tokens[j] && tokens[j].type === 'clock') {
+    times.push(clockToSeconds(tokens[j]));
+    if (!symbolAt(tokens, j + 1, ',') || tokens[j + 2]?.type !== 'clock') {
+      break;
+    }
+    j += 2;
+  }
+
+  return times.length > 0 ? { times, last: j } : null;
+}
+
+/**
+ * Reads the recovery after an interval: "w/ 400m jog", "with 90s rest",
+ * "(2:00 recovery)", "400m jog"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first token after the rep
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Recovery distance, duration and type, and index of the last token used
+ */
+function readRecovery(tokens, i, lexicon) {
+  let j = i;
+  let cued = false;
+  let type = null;
+  const opened = symbolAt(tokens, j, '(');
+  if (opened) {
+    j++;
+  }
+
+  while (tokens[j] && (lexicon.recoveryCues.has(tokens[j].lower) || symbolAt(tokens, j, '/') ||
+    lexicon.recoveryTypes[wordAt(tokens, j)])) {
+    type = type || lexicon.recoveryTypes[wordAt(tokens, j)] || null;
+    cued = true;
+    j++;
+  }
+
+  const quantity = readQuantity(tokens, j, lexicon);
+  if (!quantity) {
+    return null;
+  }
+  j = quantity.last;
+
+  if (lexicon.recoveryTypes[wordAt(tokens, j + 1)]) {
+    type = type || lexicon.recoveryTypes[wordAt(tokens, j + 1)];
+    cued = true;
+    j++;
+  }
+
+  if (!cued) {
+    return null;
+  }
+
+  if (opened && symbolAt(tokens, j + 1, ')')) {
+    j++;
+  }
+
+  return {
+    recovery: { distance: quantity.distance, duration: quantity.duration, type },
+    last: j
+  };
+}
+
+/**
+ * Reads a temperature from a number: "28°C", "-3°", "85 degrees F" or
+ * "85F". A degree sign or word without a unit is read as Celsius, or as
+ * Fahrenheit above 50 degrees, which would be too hot to run in Celsius.
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the number token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Value, unit, whether the unit was written and the indexes of the first and last tokens used
+ */
+function readTemperature(tokens, i, lexicon) {
+  let j = i + 1;
+  const degrees = symbolAt(tokens, j, '°') || symbolAt(tokens, j, 'º') || lexicon.degreeWords.has(wordAt(tokens, j));
+  if (degrees) {
+    j++;
+  }
+  const unit = lexicon.temperatureUnits[wordAt(tokens, j)];
+  if (!degrees && !unit) {
+    return null;
+  }
+
+  // A minus sign straight before the number, rather than a range like "20-25"
+  const negative = symbolAt(tokens, i - 1, '-') && tokens[i - 1].end === tokens[i].start &&
+    tokens[i - 2]?.type !== 'number';
+  const value = negative ? -tokens[i].value : tokens[i].value;
+  return {
+    value,
+    unit: unit || (value > 50 ? 'f' : 'c'),
+    explicitUnit: Boolean(unit),
+    first: negative ? i - 1 : i,
+    last: unit ? j : j - 1
+  };
+}
+
+/**
+ * Reads what may follow an interval's reps, in any order: a target time
+ * ("@ 3:10", "@ 5:00/km"), actual rep times ("@ 3:08, 3:05", ": 3:08, 3:05")
+ * and a recovery ("w/ 400m jog")
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first token after the rep
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object} Target, actual times, recovery and index of the last token used
+ */
+function readIntervalTrailer(tokens, i, lexicon) {
+  const trailer = { target: null, actual: [], recovery: null, last: i - 1 };
+  let progress = true;
+
+  while (progress) {
+    progress = false;
+    const j = trailer.last + 1;
+    const token = tokens[j];
+    if (!token) {
+      break;
+    }
+
+    const cue = lexicon.targetCues.has(token.lower) || symbolAt(tokens, j, ':') || symbolAt(tokens, j, '-');
+    const list = cue ? readClockList(tokens, j + 1) : null;
+    if (list && trailer.target === null && trailer.actual.length === 0) {
+      const paceUnit = list.times.length === 1 ? matchPaceUnit(tokens, list.last, lexicon) : null;
+      if (list.times.length > 1 || !lexicon.targetCues.has(token.lower)) {
+        trailer.actual = list.times;
+        trailer.last = list.last;
+      } else {
+        trailer.target = { seconds: list.times[0], per: paceUnit ? paceUnit.unit : null };
+        trailer.last = paceUnit ? paceUnit.last : list.last;
+      }
+      progress = true;
+      continue;
+    }
+
+    const recovery = trailer.recovery ? null : readRecovery(tokens, j, lexicon);
+    if (recovery) {
+      trailer.recovery = recovery.recovery;
+      trailer.last = recovery.last;
+      progress = true;
+    }
+  }
+
+  return trailer;
+}
+
+/**
+ * Checks whether a token is the repetition count of an interval: a whole
+ * number from 1 to 100 followed by "x"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Token index
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {boolean} True if an interval starts at the token
+ */
+function isRepeatCount(tokens, i, lexicon) {
+  const count = tokens[i];
+  return Boolean(count && count.type === 'number' && Number.isInteger(count.value) &&
+    count.value >= 1 && count.value <= 100 && lexicon.repeatWords.has(tokens[i + 1]?.lower));
+}
+
+/**
+ * Adds what follows an interval's reps or closing bracket to the interval
+ * @param {Object} interval - Interval read so far
+ * @param {Array} tokens - Tokenized note
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object} The interval
+ */
+function addIntervalTrailer(interval, tokens, lexicon) {
+  const trailer = readIntervalTrailer(tokens, interval.last + 1, lexicon);
+  interval.target = interval.target || trailer.target;
+  interval.actual = interval.actual.length > 0 ? interval.actual : trailer.actual;
+  if (trailer.recovery) {
+    // A recovery after a closing bracket is the rest between sets
+    if (interval.sets > 1 && interval.recovery) {
+      interval.setRecovery = trailer.recovery;
+    } else {
+      interval.recovery = trailer.recovery;
+    }
+  }
+  interval.last = Math.max(interval.last, trailer.last);
+  return interval;
+}
+
+/**
+ * Reads interval notation starting at a repetition count: "6x800m",
+ * "5 x 3 min", "8x1:00" and nested sets like "2x(3x1k)"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the repetition count
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Interval structure and index of the last token used
+ */
+function readInterval(tokens, i, lexicon) {
+  // Outer counts of nested sets, outermost first
+  const setCounts = [];
+  let j = i;
+  while (isRepeatCount(tokens, j, lexicon) && symbolAt(tokens, j + 2, '(')) {
+    if (setCounts.length === MAX_NESTED_SETS) {
+      return null;
+    }
+    setCounts.push(tokens[j].value);
+    j += 3;
+  }
+  if (!isRepeatCount(tokens, j, lexicon)) {
+    return null;
+  }
+
+  const rep = readQuantity(tokens, j + 2, lexicon);
+  if (!rep) {
+    return null;
+  }
+  const interval = addIntervalTrailer({
+    sets: 1,
+    reps: tokens[j].value,
+    repDistance: rep.distance,
+    repDuration: rep.duration,
+    explicit: rep.explicit,
+    target: null,
+    actual: [],
+    recovery: null,
+    setRecovery: null,
+    last: rep.last
+  }, tokens, lexicon);
+
+  // Close the brackets from the inside out: each outer count multiplies the sets inside it
+  for (let level = setCounts.length - 1; level >= 0; level--) {
+    if (!symbolAt(tokens, interval.last + 1, ')')) {
+      return null;
+    }
+    interval.sets *= setCounts[level];
+    interval.last++;
+    addIntervalTrailer(interval, tokens, lexicon);
+  }
+
+  return interval;
+}
+
+/**
+ * Builds an entity covering a range of tokens
+ * @param {string} label - Entity label
+ * @param {Array} tokens - Tokenized note
+ * @param {number} first - Index of the first token
+ * @param {number} last - Index of the last token
+ * @param {number} confidence - Confidence in the label, between 0 and 1
+ * @param {Object} fields - Label-specific values
+ * @returns {Object} Entity with character and token offsets
+ */
+function createEntity(label, tokens, first, last, confidence, fields) {
+  return {
+    label,
+    start: tokens[first].start,
+    end: tokens[last].end,
+    tokenStart: first,
+    tokenEnd: last,
+    confidence,
+    ...fields
+  };
+}
+
+/**
+ * Looks back through the current clause for a finish cue such as
+ * "finished in" or "chip time"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first token of the time
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @param {number} window - Maximum number of tokens to look back
+ * @returns {Object|null} Whether the cue names an official (chip/gun) time, or null without a cue
+ */
+function findFinishCue(tokens, i, lexicon, window = 6) {
+  for (let j = i - 1; j >= 0 && j >= i - window; j--) {
+    const token = tokens[j];
+    if ((token.type === 'symbol' && lexicon.clauseBreaks.has(token.text)) ||
+      token.type === 'number' || token.type === 'clock') {
+      return null;
+    }
+    if (lexicon.finishCues.has(token.lower)) {
+      return { official: lexicon.officialCues.has(token.lower) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Labels a personal record claim: "new PR", "PB by 20s", "personal best",
+ * and notes when it is negated ("no PR today", "missed my PB")
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first word of the claim
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object} Entity for the claim
+ */
+function labelPersonalRecord(tokens, i, lexicon) {
+  let last = lexicon.personalWords.has(tokens[i].lower) ? i + 1 : i;
+
+  // "PR'd"
+  if (symbolAt(tokens, last + 1, "'") && wordAt(tokens, last + 2) === 'd') {
+    last += 2;
+  }
+
+  const negated = lexicon.negationWords.has(wordAt(tokens, i - 1)) ||
+    lexicon.negationWords.has(wordAt(tokens, i - 2));
+
+  let improvement = null;
+  if (lexicon.improvementCues.has(wordAt(tokens, last + 1))) {
+    const quantity = readQuantity(tokens, last + 2, lexicon);
+    if (quantity && quantity.duration !== null) {
+      improvement = quantity.duration;
+      last = quantity.last;
+    }
+  }
+
+  return createEntity('pr', tokens, i, last, negated ? CONFIDENCE.inferred : CONFIDENCE.explicit, {
+    negated,
+    improvement
+  });
+}
+
+/**
+ * Checks whether a number of days is marked as past: "3 days ago",
+ * "hace 3 días", "vor 3 Tagen", "il y a 3 jours"
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the number token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @param {number} window - Maximum number of tokens to look back
+ * @returns {boolean} True if an "ago" word follows the unit or precedes the number
+ */
+function hasAgoWord(tokens, i, lexicon, window = 3) {
+  if (lexicon.agoWords.has(wordAt(tokens, i + 2))) {
+    return true;
+  }
+  for (let j = i - 1; j >= 0 && j >= i - window; j--) {
+    const token = tokens[j];
+    if (token.type !== 'word') {
+      return false;
+    }
+    if (lexicon.agoWords.has(token.lower)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Looks up a shoe model, allowing a plural ("Vaporflys")
+ * @param {string|null} word - Lowercase word
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {string|null} Model key, or null if the word is not a known model
+ */
+function gearModelKey(word, lexicon) {
+  if (!word) {
+    return null;
+  }
+  if (lexicon.gearModels[word]) {
+    return word;
+  }
+  const singular = word.replace(/s$/, '');
+  return lexicon.gearModels[singular] ? singular : null;
+}
+
+/**
+ * Labels a gear mention: a brand and model ("Nike Pegasus 40"), a model
+ * alone ("Vaporflys") or a brand after a cue ("in my Hokas")
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the first word of the mention
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Entity for the mention, or null if it is not gear
+ */
+function labelGear(tokens, i, lexicon) {
+  const word = tokens[i].lower;
+  const next = wordAt(tokens, i + 1);
+  const pairBrand = next ? lexicon.gearBrands[word + next] : null;
+  const brand = pairBrand || lexicon.gearBrands[word] || lexicon.gearBrands[word.replace(/s$/, '')] || null;
+  let last = pairBrand ? i + 1 : i;
+  let modelKey = null;
+
+  if (brand) {
+    modelKey = gearModelKey(wordAt(tokens, last + 1), lexicon);
+    if (modelKey) {
+      last++;
+    } else if (!hasCueBefore(tokens, i, lexicon.gearCues, lexicon)) {
+      return null;
+    }
+  } else {
+    modelKey = gearModelKey(word, lexicon);
+    if (!modelKey || lexicon.brandOnlyGearModels.has(modelKey)) {
+      return null;
+    }
+  }
+
+  // "Pegasus 40", but not the "10" of "Pegasus 10 km"
+  let version = null;
+  const versionToken = tokens[last + 1];
+  if (modelKey && versionToken?.type === 'number' && Number.isInteger(versionToken.value) &&
+    versionToken.value < 100 && !isUnit(wordAt(tokens, last + 2), lexicon)) {
+    version = versionToken.value;
+    last++;
+  }
+
+  const model = modelKey ? lexicon.gearModels[modelKey] : null;
+  const name = [brand || model.brand, model?.model, version].filter(Boolean).join(' ');
+  const isNew = lexicon.newWords.has(wordAt(tokens, i - 1));
+
+  return createEntity('gear', tokens, isNew ? i - 1 : i, last,
+    brand && model ? CONFIDENCE.explicit : (model ? CONFIDENCE.cued : CONFIDENCE.inferred), {
+      key: name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-'),
+      name,
+      brand: brand || model.brand,
+      model: model?.model || null,
+      version,
+      isNew
+    });
+}
+
+/**
+ * Labels a word token: personal records, gear, race names, race cues, days,
+ * weekdays, parts of the day, sports, weather and mood
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the word token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Entity for the word, or null if it has no label
+ */
+function labelWord(tokens, i, lexicon) {
+  const word = tokens[i].lower;
+  const next = wordAt(tokens, i + 1);
+
+  if (lexicon.prWords.has(word) || (lexicon.personalWords.has(word) && lexicon.bestWords.has(next))) {
+    return labelPersonalRecord(tokens, i, lexicon);
+  }
+
+  const gear = labelGear(tokens, i, lexicon);
+  if (gear) {
+    return gear;
+  }
+
+  // "half marathon", "semi-marathon", "media maratón", or "the half in 1:45"
+  if (lexicon.halfWords.has(word)) {
+    const j = symbolAt(tokens, i + 1, '-') ? i + 2 : i + 1;
+    if (lexicon.raceNames[wordAt(tokens, j)] === 'marathon') {
+      return createEntity('raceName', tokens, i, j, CONFIDENCE.explicit, { value: 'half_marathon' });
+    }
+    if (i > 0 && (!next || lexicon.durationCues.has(next))) {
+      return createEntity('raceName', tokens, i, i, CONFIDENCE.inferred, { value: 'half_marathon' });
+    }
+  }
+
+  if (lexicon.raceNames[word]) {
+    const last = lexicon.raceNames[word] === 'ultra' && lexicon.raceNames[next] === 'marathon' ? i + 1 : i;
+    return createEntity('raceName', tokens, i, last, CONFIDENCE.explicit, { value: lexicon.raceNames[word] });
+  }
+
+  if (lexicon.raceCues.has(word)) {
+    return createEntity('raceCue', tokens, i, i, CONFIDENCE.cued, { value: word });
+  }
+
+  // "yesterday", "tonight", "anoche"
+  if (lexicon.dayWords[word]) {
+    const { offset, hour = null } = lexicon.dayWords[word];
+    return createEntity('relativeDay', tokens, i, i, CONFIDENCE.explicit, { offset, hour });
+  }
+
+  // "last Sunday", "el domingo pasado"; a bare "Sunday" may be a plan for later in the week
+  if (lexicon.weekdays[word] !== undefined) {
+    const lastBefore = lexicon.lastWords.has(wordAt(tokens, i - 1));
+    const lastAfter = lexicon.lastWords.has(next);
+    return createEntity('weekday', tokens, lastBefore ? i - 1 : i, lastAfter ? i + 1 : i,
+      CONFIDENCE.cued, { day: lexicon.weekdays[word], last: lastBefore || lastAfter });
+  }
+
+  // "morning", "last night"
+  if (lexicon.partsOfDay[word] !== undefined) {
+    const last = lexicon.lastWords.has(wordAt(tokens, i - 1));
+    return createEntity('partOfDay', tokens, last ? i - 1 : i, i, CONFIDENCE.cued, {
+      hour: lexicon.partsOfDay[word],
+      last
+    });
+  }
+
+  if (lexicon.activityWords[word]) {
+    return createEntity('activity', tokens, i, i, CONFIDENCE.cued, { value: lexicon.activityWords[word] });
+  }
+
+  if (lexicon.weatherWords[word]) {
+    return createEntity('weather', tokens, i, i, CONFIDENCE.inferred, { value: lexicon.weatherWords[word] });
+  }
+
+  if (lexicon.moodWords[word]) {
+    return createEntity('mood', tokens, i, i, CONFIDENCE.weak, { value: lexicon.moodWords[word] });
+  }
+
+  return null;
+}
+
+/**
+ * Labels a clock token
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the clock token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object} Entity for the token
+ */
+function labelClock(tokens, i, lexicon) {
+  const token = tokens[i];
+  const paceUnit = matchPaceUnit(tokens, i, lexicon);
+
+  if (paceUnit) {
+    return createEntity('pace', tokens, i, paceUnit.last, CONFIDENCE.explicit, {
+      totalSeconds: clockToSeconds(token),
+      unit: paceUnit.unit
+    });
+  }
+
+  if (lexicon.meridiems.has(wordAt(tokens, i + 1))) {
+    return createEntity('clockTime', tokens, i, i + 1, CONFIDENCE.explicit, {
+      hours: token.parts[0],
+      minutes: token.parts[1],
+      meridiem: wordAt(tokens, i + 1)
+    });
+  }
+
+  const finishCue = findFinishCue(tokens, i, lexicon);
+  if (finishCue) {
+    return createEntity('duration', tokens, i, i, CONFIDENCE.explicit, {
+      totalSeconds: clockToSeconds(token),
+      finish: true,
+      official: finishCue.official
+    });
+  }
+
+  if (lexicon.paceCues.has(wordAt(tokens, i + 1)) || hasCueBefore(tokens, i, lexicon.paceCues, lexicon)) {
+    return createEntity('pace', tokens, i, i, CONFIDENCE.cued, {
+      totalSeconds: clockToSeconds(token),
+      unit: null
+    });
+  }
+
+  if (lexicon.clockCues.has(wordAt(tokens, i - 1)) && token.parts.length === 2 && token.parts[0] < 24) {
+    return createEntity('clockTime', tokens, i, i, CONFIDENCE.inferred, {
+      hours: token.parts[0],
+      minutes: token.parts[1],
+      meridiem: null
+    });
+  }
+
+  if (inSplitList(tokens, i, lexicon)) {
+    return createEntity('split', tokens, i, i, CONFIDENCE.cued, { totalSeconds: clockToSeconds(token) });
+  }
+
+  if (isHoursBeforeActivity(tokens, i, lexicon)) {
+    return createEntity('duration', tokens, i, i, CONFIDENCE.inferred, {
+      totalSeconds: token.parts[0] * 3600 + token.parts[1] * 60
+    });
+  }
+
+  return createEntity('duration', tokens, i, i, CONFIDENCE.inferred, { totalSeconds: clockToSeconds(token) });
+}
+
+/**
+ * Labels a plain number token
+ * @param {Array} tokens - Tokenized note
+ * @param {number} i - Index of the number token
+ * @param {Object} lexicon - Lexicon of the note's language
+ * @returns {Object|null} Entity for the token, or null if it has no label
+ */
+function labelNumber(tokens, i, lexicon) {
+  const token = tokens[i];
+  const unit = wordAt(tokens, i + 1);
+
+  const interval = readInterval(tokens, i, lexicon);
+  if (interval) {
+    const { last, explicit, ...fields } = interval;
+    return createEntity('interval', tokens, i, last,
+      explicit ? CONFIDENCE.explicit : CONFIDENCE.inferred, fields);
+  }
+
+  // "50 miler"
+  if (lexicon.milerWords.has(unit)) {
+    const name = `${token.value}_mile`;
+    return createEntity('raceName', tokens, i, i + 1, CONFIDENCE.explicit, {
+      value: name,
+      distance: RACE_DISTANCES[name] || toMetres(token.value, 'mi')
+    });
+  }
+
+  if (lexicon.dayUnits.has(unit) && Number.isInteger(token.value) && hasAgoWord(tokens, i, lexicon)) {
+    const last = lexicon.agoWords.has(wordAt(tokens, i + 2)) ? i + 2 : i + 1;
+    return createEntity('daysAgo', tokens, i, last, CONFIDENCE.explicit, { offset: -token.value });
+  }
+
+  const temperature = readTemperature(tokens, i, lexicon);
+  if (temperature) {
+    const { first, last, explicitUnit, ...fields } = temperature;
+    return createEntity('temperature', tokens, first, last,
+      explicitUnit ? CONFIDENCE.explicit : CONFIDENCE.cued, fields);
+  }
+
+  // "80% humidity", "humidity 80%"
+  if (symbolAt(tokens, i + 1, '%') && (
+    hasCueBefore(tokens, i, lexicon.humidityCues, lexicon) ||
+    lexicon.humidityCues.has(wordAt(tokens, i + 2))
+  )) {
+    const last = lexicon.humidityCues.has(wordAt(tokens, i + 2)) ? i + 2 : i + 1;
+    return createEntity('humidity', tokens, i, last, CONFIDENCE.explicit, { value: token.value });
+  }
+
+  if (lexicon.distanceUnits[unit]) {
+    return createEntity('distance', tokens, i, i + 1, CONFIDENCE.explicit, {
+      value: token.value,
+      unit: lexicon.distanceUnits[unit]
+    });
+  }
+
+  if (lexicon.cuelessElevationUnits[unit]) {
+    return createEntity('elevation', tokens, i, i + 1, CONFIDENCE.explicit, {
+      value: token.value,
+      unit: lexicon.cuelessElevationUnits[unit]
+    });
+  }
+
+  if (lexicon.elevationUnits[unit] && (
+    hasCueBefore(tokens, i, lexicon.elevationCues, lexicon) ||
+    lexicon.elevationCues.has(wordAt(tokens, i + 2)) ||
+    lexicon.elevationCues.has(wordAt(tokens, i + 3))
+  )) {
+    return createEntity('elevation', tokens, i, i + 1, CONFIDENCE.explicit, {
+      value: token.value,
+      unit: lexicon.elevationUnits[unit]
+    });
+  }
+
+  if (lexicon.heartRateUnits.has(unit)) {
+    return createEntity('heartRate', tokens, i, i + 1, CONFIDENCE.explicit, { value: token.value });
+  }
+
+  // "150 hr" is a heart rate, "2 hr" is a duration
+  if ((unit === 'hr' || unit === 'heart') && token.value > 24) {
+    const last = unit === 'heart' && wordAt(tokens, i + 2) === 'rate' ? i + 2 : i + 1;
+    return createEntity('heartRate', tokens, i, last, CONFIDENCE.cued, { value: token.value });
+  }
+
+  if (lexicon.meridiems.has(unit)) {
+    return createEntity('clockTime', tokens, i, i + 1, CONFIDENCE.explicit, {
+      hours: token.value,
+      minutes: 0,
+      meridiem: unit
+    });
+  }
+
+  const duration = readDurationPhrase(tokens, i, lexicon);
+  if (duration) {
+    const finishCue = findFinishCue(tokens, i, lexicon);
+    return createEntity('duration', tokens, i, duration.last, CONFIDENCE.explicit, {
+      totalSeconds: duration.totalSeconds,
+      finish: Boolean(finishCue),
+      official: Boolean(finishCue?.official)
+    });
+  }
+
+  // "800m" without an elevation cue is a distance; "5m 30s" was read as a duration above
+  if (lexicon.elevationUnits[unit] === 'm') {
+    return createEntity('distance', tokens, i, i + 1, CONFIDENCE.explicit, { value: token.value, unit: 'm' });
+  }
+
+  // Generous bounds, so an impossible rate after "HR" is flagged by validation rather than missed
+  if (hasCueBefore(tokens, i, lexicon.heartRateCues, lexicon) && token.value >= 20 && token.value <= 300) {
+    return createEntity('heartRate', tokens, i, i, CONFIDENCE.cued, { value: token.value });
+  }
+
+  return null;
+}
+
+/**
+ * Labels every number and clock value in a tokenized note
+ * @param {Array} tokens - Tokenized note
+ * @param {Object} [lexicon] - Lexicon of the note's language, English by default
+ * @returns {Array} Entities in the order they appear in the note
+ */
+function labelTokens(tokens, lexicon = getLexicon('en')) {
+  const entities = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    let entity = null;
+
+    if (token.type === 'clock') {
+      entity = labelClock(tokens, i, lexicon);
+    } else if (token.type === 'number') {
+      entity = labelNumber(tokens, i, lexicon);
+    } else if (token.type === 'word') {
+      entity = labelWord(tokens, i, lexicon);
+    }
+
+    if (entity) {
+      entities.push(entity);
+      i = entity.tokenEnd + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return entities;
+}
+
+/**
+ * Picks the duration that describes the whole activity: a finish time
+ * ("finished in", "chip time") first, then the first one introduced by a
+ * cue like "in" or "for" (or followed by a postposition like Japanese
+ * "で"), otherwise the longest. A cue raises confidence in the pick;
+ * choosing among several uncued durations lowers it.
+ * @param {Array} tokens - Tokenized note
+ * @param {Array} durations - Duration entities
+ * @param {Object} [lexicon] - Lexicon of the note's language, English by default
+ * @returns {Object|null} The chosen duration entity
+ */
+function pickMainDuration(tokens, durations, lexicon = getLexicon('en')) {
+  if (durations.length === 0) {
+    return null;
+  }
+
+  const cued = durations.find(d => d.finish) || durations.find(d =>
+    lexicon.durationCues.has(wordAt(tokens, d.tokenStart - 1)) ||
+    lexicon.durationCuesAfter.has(wordAt(tokens, d.tokenEnd + 1))
+  );
+  if (cued) {
+    return { ...cued, confidence: Math.max(cued.confidence, CONFIDENCE.cued) };
+  }
+
+  const longest = durations.reduce((best, d) => (d.totalSeconds > best.totalSeconds ? d : best));
+  if (durations.length > 1) {
+    return { ...longest, confidence: Math.min(longest.confidence, CONFIDENCE.weak) };
+  }
+  return longest;
+}
+
+/**
+ * Works out which sport a note describes. Running variants ("trail",
+ * "treadmill") win over a plain "ran"; otherwise the sport named closest
+ * before the distance wins, then the first one named. Notes that name no
+ * sport are assumed to be runs, since the DVM collects running hashtags.
+ * @param {Array} activities - Activity entities
+ * @param {Object|null} distance - Distance entity, if any
+ * @returns {Object} Activity entity, or a low-confidence default
+ */
+function pickActivityType(activities, distance) {
+  if (activities.length === 0) {
+    return { label: 'activity', value: 'run', start: null, end: null, confidence: CONFIDENCE.weak };
+  }
+
+  const before = distance
+    ? activities.filter(a => a.tokenEnd < distance.tokenStart)
+    : [];
+  const chosen = before.length > 0 ? before[before.length - 1] : activities[0];
+
+  if (chosen.value === 'run') {
+    const variant = activities.find(a => a.value === 'trail_run' || a.value === 'treadmill');
+    if (variant) {
+      return variant;
+    }
+  }
+
+  return chosen;
+}
+
+module.exports = {
+  labelTokens,
+  pickMainDuration,
+  pickActivityType,
+  CONFIDENCE
+};
@@ -0,0 +1,113 @@
+/**
+ * Note Language Detection
+ *
+ * Guesses which language a running note is written in, so the grammar can
+ * use the matching lexicon. Japanese is recognised by its script; the
+ * Latin-script languages are scored by common words and running
+ * vocabulary, and English wins ties and notes with no word of another
+ * language in them.
+ */
+
+const { getLexicon, SUPPORTED_LANGUAGES } = require('./lexicon');
+
+const JAPANESE_SCRIPT_REGEX = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u;
+const WORD_REGEX = /\p{L}+/gu;
+
+// Everyday words that give a language away even in a short note
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'i', 'with', 'my', 'was', 'today', 'this', 'of', 'a', 'it', 'felt'],
+  es: ['el', 'la', 'los', 'las', 'y', 'con', 'hoy', 'muy', 'fue', 'mi', 'por', 'una', 'que'],
+  pt: ['o', 'os', 'com', 'hoje', 'muito', 'não', 'foi', 'meu', 'minha', 'uma', 'que', 'no', 'na'],
+  de: ['und', 'ich', 'bin', 'mit', 'heute', 'war', 'nicht', 'sehr', 'der', 'die', 'das', 'habe'],
+  fr: ['et', 'je', 'avec', 'aujourd', 'était', 'très', 'le', 'les', 'une', 'du', 'des', 'ce', 'suis']
+};
+
+// Workout names runners write in English whatever language they speak, so
+// "tempo" in "10k tempo" isn't Portuguese for "time"
+const WORKOUT_WORDS = ['tempo', 'fartlek', 'intervals', 'strides', 'repeats', 'threshold', 'progression', 'hills', 'long', 'easy'];
+
+// Abbreviations like "km", "min" and the "x" in "6x800m" are written the
+// same way in every language, so they say nothing about which one a note is in
+const SHARED_KEYS = [
+  'distanceUnits', 'hourUnits', 'minuteUnits', 'secondUnits', 'elevationUnits',
+  'heartRateUnits', 'meridiems', 'clauseBreaks', 'repeatWords', 'recoveryCues',
+  'prWords', 'raceNames', 'gearBrands', 'gearModels', 'brandOnlyGearModels'
+];
+
+/**
+ * Lists the words of a lexicon
+ * @param {Object} lexicon - Lexicon from getLexicon
+ * @param {Array} [skipKeys] - Keys whose words are left out
+ * @returns {Array} Words
+ */
+function lexiconWords(lexicon, skipKeys = []) {
+  return Object.entries(lexicon)
+    .filter(([key]) => !skipKeys.includes(key))
+    .flatMap(([, value]) => {
+      if (value instanceof Set) {
+        return [...value];
+      }
+      return value && typeof value === 'object' ? Object.keys(value) : [];
+    });
+}
+
+// Every word the English lexicon knows, shared ones included. Other
+// lexicons are layered on top of English, so these say nothing about them.
+const ENGLISH_LEXICON = new Set([...lexiconWords(getLexicon('en')), ...WORKOUT_WORDS]);
+
+/**
+ * Collects the words that point to one language: its everyday words and
+ * the words of its lexicon, leaving out the shared keys and, for other
+ * languages, every word English knows too ("mi" is a mile before it is "my")
+ * @param {string} code - Language code
+ * @returns {Set} Vocabulary of that language
+ */
+function languageVocabulary(code) {
+  const words = [
+    ...FUNCTION_WORDS[code],
+    ...lexiconWords(getLexicon(code), SHARED_KEYS),
+    ...(code === 'en' ? WORKOUT_WORDS : [])
+  ];
+  return new Set(code === 'en' ? words : words.filter(word => !ENGLISH_LEXICON.has(word)));
+}
+
+const VOCABULARIES = Object.fromEntries(
+  SUPPORTED_LANGUAGES
+    .filter(code => code !== 'ja')
+    .map(code => [code, languageVocabulary(code)])
+);
+
+/**
+ * Detects the language of a note
+ * @param {string} content - The note content
+ * @returns {Object} Language code and a confidence between 0 and 1
+ */
+function detectLanguage(content) {
+  if (JAPANESE_SCRIPT_REGEX.test(content)) {
+    return { code: 'ja', confidence: 0.95 };
+  }
+
+  const words = (content.toLowerCase().match(WORD_REGEX) || []);
+  const scores = {};
+  let hits = 0;
+
+  for (const [code, vocabulary] of Object.entries(VOCABULARIES)) {
+    scores[code] = words.filter(word => vocabulary.has(word)).length;
+    hits += scores[code];
+  }
+
+  if (hits === 0) {
+    return { code: 'en', confidence: 0.5 };
+  }
+
+  let best = 'en';
+  for (const [code, score] of Object.entries(scores)) {
+    if (score > scores[best]) {
+      best = code;
+    }
+  }
+
+  return { code: best, confidence: Math.round((scores[best] / hits) * 100) / 100 };
+}
+
+module.exports = { detectLanguage };
@@ -0,0 +1,501 @@
+/**
+ * Running Note Lexicons
+ *
+ * Vocabulary the grammar uses to label tokens, per language. Every
+ * language is layered on top of English, since runners mix "km", "pace"
+ * and "splits" into notes written in any language. Foreign words map to
+ * the English value the grammar would produce, so the parsed output has
+ * the same shape whatever language the note is in.
+ */
+
+const ENGLISH = {
+  // Every spelling maps to a canonical unit: km, mi, yd, m or ft
+  distanceUnits: {
+    k: 'km', km: 'km', kms: 'km', kilometer: 'km', kilometers: 'km', kilometre: 'km',
+    kilometres: 'km', mi: 'mi', mile: 'mi', miles: 'mi', yd: 'yd', yds: 'yd', yard: 'yd',
+    yards: 'yd'
+  },
+  hourUnits: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  minuteUnits: ['min', 'mins', 'minute', 'minutes'],
+  secondUnits: ['s', 'sec', 'secs', 'second', 'seconds'],
+  // Metres count as a distance too ("800m") unless an elevation cue says otherwise
+  elevationUnits: {
+    m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm', ft: 'ft', foot: 'ft', feet: 'ft'
+  },
+  // Units that name elevation on their own, without a cue word
+  cuelessElevationUnits: {},
+  elevationCues: [
+    'elevation', 'elev', 'climb', 'climbed', 'climbing', 'gain', 'gained',
+    'vert', 'vertical', 'ascent'
+  ],
+  heartRateUnits: ['bpm'],
+  heartRateCues: ['hr', 'bpm', 'heart', 'heartrate'],
+  // Conditions: "28°C", "85 degrees F", "80% humidity"
+  temperatureUnits: { c: 'c', celsius: 'c', f: 'f', fahrenheit: 'f' },
+  degreeWords: ['degree', 'degrees', 'deg'],
+  humidityCues: ['humidity', 'humid', 'rh'],
+  paceCues: ['pace'],
+  splitCues: ['split', 'splits', 'lap', 'laps'],
+  durationCues: ['in', 'for', 'time', 'took', 'total', 'duration'],
+  // Postpositions that follow a duration instead of preceding it
+  durationCuesAfter: [],
+  clockCues: ['at'],
+  perWords: ['per'],
+  andWords: ['and'],
+  meridiems: ['am', 'pm'],
+  clauseBreaks: ['.', '!', '?', ';'],
+  // Interval notation: "6x800m @ 3:10 w/ 400m jog"
+  repeatWords: ['x', '×'],
+  targetCues: ['@', 'at', 'in'],
+  recoveryCues: ['w', 'with', 'r', 'between'],
+  // Races and personal records: "new PR in the half, chip time 1:39:12"
+  halfWords: ['half'],
+  milerWords: ['miler', 'milers'],
+  raceCues: ['race', 'raced', 'racing', 'bib', 'medal', 'podium'],
+  finishCues: ['finished', 'finish', 'finishing', 'crossed', 'chip', 'gun', 'official'],
+  officialCues: ['chip', 'gun', 'official'],
+  prWords: ['pr', 'pb', 'prs', 'pbs', 'prd', 'pbd'],
+  personalWords: ['personal'],
+  bestWords: ['best', 'record'],
+  negationWords: ['no', 'not', 'missed', 'missing', 'without', 'almost', 'nearly'],
+  improvementCues: ['by'],
+  // When the activity happened: "yesterday morning", "Sunday's long run", "3 days ago"
+  lastWords: ['last'],
+  dayUnits: ['day', 'days'],
+  agoWords: ['ago'],
+  // Gear: "in my Vaporflys", "new Pegasus 40", "wearing Hokas"
+  gearCues: ['in', 'my', 'wearing', 'wore', 'new'],
+  newWords: ['new', 'fresh'],
+  // Models shared with everyday words ("ride", "ghost") only count after their brand
+  brandOnlyGearModels: [
+    'ride', 'ghost', 'boston', 'launch', 'mach', 'guide', 'triumph', 'rebel', 'adrenaline',
+    'endorphin', 'invincible'
+  ],
+  // Words that may sit between a cue and its number ("HR was 150", "pace of 5:00")
+  fillerWords: ['avg', 'average', 'was', 'of', 'at', 'around', 'about', 'my'],
+  activityWords: {
+    run: 'run', runs: 'run', ran: 'run', running: 'run',
+    jog: 'run', jogs: 'run', jogged: 'run', jogging: 'run',
+    trail: 'trail_run', trails: 'trail_run',
+    treadmill: 'treadmill', dreadmill: 'treadmill',
+    walk: 'walk', walks: 'walk', walked: 'walk', walking: 'walk',
+    hike: 'hike', hikes: 'hike', hiked: 'hike', hiking: 'hike',
+    ride: 'ride', rides: 'ride', rode: 'ride', riding: 'ride',
+    bike: 'ride', biked: 'ride', biking: 'ride', cycled: 'ride', cycling: 'ride',
+    swim: 'swim', swims: 'swim', swam: 'swim', swimming: 'swim',
+    ruck: 'ruck', rucks: 'ruck', rucked: 'ruck', rucking: 'ruck'
+  },
+  gearBrands: {
+    nike: 'Nike', hoka: 'Hoka', asics: 'Asics', brooks: 'Brooks', saucony: 'Saucony',
+    adidas: 'Adidas', altra: 'Altra', mizuno: 'Mizuno', puma: 'Puma', salomon: 'Salomon',
+    newbalance: 'New Balance', nb: 'New Balance', inov8: 'Inov-8', topo: 'Topo',
+    merrell: 'Merrell', reebok: 'Reebok', lasportiva: 'La Sportiva'
+  },
+  gearModels: {
+    vaporfly: { brand: 'Nike', model: 'Vaporfly' },
+    alphafly: { brand: 'Nike', model: 'Alphafly' },
+    pegasus: { brand: 'Nike', model: 'Pegasus' },
+    invincible: { brand: 'Nike', model: 'Invincible' },
+    vomero: { brand: 'Nike', model: 'Vomero' },
+    streakfly: { brand: 'Nike', model: 'Streakfly' },
+    clifton: { brand: 'Hoka', model: 'Clifton' },
+    bondi: { brand: 'Hoka', model: 'Bondi' },
+    speedgoat: { brand: 'Hoka', model: 'Speedgoat' },
+    mach: { brand: 'Hoka', model: 'Mach' },
+    novablast: { brand: 'Asics', model: 'Novablast' },
+    kayano: { brand: 'Asics', model: 'Gel-Kayano' },
+    nimbus: { brand: 'Asics', model: 'Gel-Nimbus' },
+    superblast: { brand: 'Asics', model: 'Superblast' },
+    metaspeed: { brand: 'Asics', model: 'Metaspeed' },
+    ghost: { brand: 'Brooks', model: 'Ghost' },
+    glycerin: { brand: 'Brooks', model: 'Glycerin' },
+    hyperion: { brand: 'Brooks', model: 'Hyperion' },
+    launch: { brand: 'Brooks', model: 'Launch' },
+    adrenaline: { brand: 'Brooks', model: 'Adrenaline' },
+    kinvara: { brand: 'Saucony', model: 'Kinvara' },
+    endorphin: { brand: 'Saucony', model: 'Endorphin' },
+    triumph: { brand: 'Saucony', model: 'Triumph' },
+    ride: { brand: 'Saucony', model: 'Ride' },
+    guide: { brand: 'Saucony', model: 'Guide' },
+    adios: { brand: 'Adidas', model: 'Adios' },
+    boston: { brand: 'Adidas', model: 'Boston' },
+    ultraboost: { brand: 'Adidas', model: 'Ultraboost' },
+    lightstrike: { brand: 'Adidas', model: 'Lightstrike' },
+    torin: { brand: 'Altra', model: 'Torin' },
+    rebel: { brand: 'New Balance', model: 'FuelCell Rebel' },
+    speedcross: { brand: 'Salomon', model: 'Speedcross' },
+    deviate: { brand: 'Puma', model: 'Deviate Nitro' }
+  },
+  dayWords: {
+    today: { offset: 0 }, yesterday: { offset: -1 }, tonight: { offset: 0, hour: 20 }
+  },
+  partsOfDay: {
+    morning: 7, noon: 12, lunch: 12, lunchtime: 12, afternoon: 15, evening: 19, night: 20
+  },
+  weekdays: {
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+  },
+  raceNames: {
+    marathon: 'marathon', halfmarathon: 'half_marathon', hm: 'half_marathon',
+    parkrun: 'parkrun', ultra: 'ultra', ultramarathon: 'ultra'
+  },
+  recoveryTypes: {
+    jog: 'jog', jogging: 'jog', rest: 'rest', recovery: 'rest', rec: 'rest', recov: 'rest',
+    walk: 'walk', walking: 'walk', float: 'float'
+  },
+  weatherWords: {
+    sunny: 'sunny', cloudy: 'cloudy', rainy: 'rainy', snowy: 'snowy', windy: 'windy',
+    hot: 'hot', cold: 'cold', warm: 'warm', cool: 'cool', humid: 'humid'
+  },
+  moodWords: {
+    great: 'great', good: 'good', okay: 'okay', ok: 'ok', bad: 'bad', terrible: 'terrible',
+    amazing: 'amazing', excellent: 'excellent', difficult: 'difficult', hard: 'hard',
+    easy: 'easy', challenging: 'challenging', tough: 'tough', struggled: 'struggled'
+  },
+  decimalComma: false
+};
+
+const LANGUAGES = {
+  es: {
+    distanceUnits: {
+      kilómetro: 'km', kilómetros: 'km', kilometro: 'km', kilometros: 'km',
+      milla: 'mi', millas: 'mi'
+    },
+    hourUnits: ['hora', 'horas'],
+    minuteUnits: ['minuto', 'minutos'],
+    secondUnits: ['segundo', 'segundos', 'seg'],
+    elevationUnits: { metro: 'm', metros: 'm', pie: 'ft', pies: 'ft' },
+    elevationCues: ['desnivel', 'elevación', 'subida', 'ascenso', 'positivo'],
+    heartRateUnits: ['ppm'],
+    heartRateCues: ['pulso', 'pulsaciones', 'ppm', 'fc'],
+    degreeWords: ['grado', 'grados'],
+    humidityCues: ['humedad'],
+    paceCues: ['ritmo'],
+    splitCues: ['parcial', 'parciales', 'vuelta', 'vueltas'],
+    durationCues: ['en', 'durante', 'tiempo'],
+    clockCues: ['las'],
+    perWords: ['por'],
+    andWords: ['y'],
+    targetCues: ['a', 'en'],
+    recoveryCues: ['con', 'entre'],
+    halfWords: ['media'],
+    raceCues: ['carrera', 'competición', 'dorsal', 'medalla'],
+    finishCues: ['terminé', 'llegué', 'crucé', 'oficial'],
+    officialCues: ['oficial'],
+    prWords: ['mmp', 'mp'],
+    personalWords: ['marca', 'récord', 'record'],
+    bestWords: ['personal'],
+    negationWords: ['sin'],
+    improvementCues: ['por'],
+    lastWords: ['pasado'],
+    dayUnits: ['día', 'días', 'dia', 'dias'],
+    agoWords: ['hace'],
+    fillerWords: ['de', 'del', 'promedio', 'medio', 'fue', 'un', 'una', 'a'],
+    activityWords: {
+      corrí: 'run', correr: 'run', corriendo: 'run', carrera: 'run', trote: 'run', troté: 'run',
+      caminé: 'walk', caminata: 'walk', caminar: 'walk', senderismo: 'hike', montaña: 'trail_run',
+      bici: 'ride', pedaleé: 'ride', ciclismo: 'ride', nadé: 'swim', natación: 'swim', cinta: 'treadmill'
+    },
+    dayWords: {
+      hoy: { offset: 0 }, ayer: { offset: -1 }, anteayer: { offset: -2 }, anoche: { offset: -1, hour: 20 }
+    },
+    partsOfDay: { mañana: 7, mediodía: 12, tarde: 15, noche: 20, madrugada: 5 },
+    weekdays: {
+      domingo: 0, lunes: 1, martes: 2, miércoles: 3, miercoles: 3, jueves: 4, viernes: 5,
+      sábado: 6, sabado: 6
+    },
+    raceNames: { maratón: 'marathon', maraton: 'marathon', mediamaratón: 'half_marathon' },
+    recoveryTypes: {
+      trote: 'jog', descanso: 'rest', recuperación: 'rest', pausa: 'rest', caminando: 'walk'
+    },
+    weatherWords: {
+      soleado: 'sunny', sol: 'sunny', nublado: 'cloudy', lluvia: 'rainy', lluvioso: 'rainy',
+      nieve: 'snowy', nevando: 'snowy', viento: 'windy', ventoso: 'windy', calor: 'hot',
+      caluroso: 'hot', frío: 'cold', frio: 'cold', templado: 'warm', fresco: 'cool',
+      húmedo: 'humid', humedad: 'humid'
+    },
+    moodWords: {
+      genial: 'great', excelente: 'excellent', bien: 'good', bueno: 'good', buena: 'good',
+      mal: 'bad', terrible: 'terrible', increíble: 'amazing', difícil: 'difficult',
+      duro: 'hard', dura: 'hard', fácil: 'easy', suave: 'easy'
+    },
+    decimalComma: true
+  },
+  pt: {
+    distanceUnits: {
+      quilômetro: 'km', quilômetros: 'km', quilometro: 'km', quilometros: 'km',
+      milha: 'mi', milhas: 'mi'
+    },
+    hourUnits: ['hora', 'horas'],
+    minuteUnits: ['minuto', 'minutos'],
+    secondUnits: ['segundo', 'segundos', 'seg'],
+    elevationUnits: { metro: 'm', metros: 'm', pé: 'ft', pés: 'ft' },
+    elevationCues: ['elevação', 'altimetria', 'subida', 'ganho', 'desnível'],
+    heartRateCues: ['fc', 'batimentos', 'frequência'],
+    degreeWords: ['grau', 'graus'],
+    humidityCues: ['umidade', 'humidade'],
+    paceCues: ['ritmo'],
+    splitCues: ['parcial', 'parciais', 'volta', 'voltas'],
+    durationCues: ['em', 'durante', 'tempo'],
+    clockCues: ['às', 'as'],
+    perWords: ['por'],
+    andWords: ['e'],
+    targetCues: ['a', 'em'],
+    recoveryCues: ['com', 'entre'],
+    halfWords: ['meia'],
+    raceCues: ['prova', 'competição', 'medalha'],
+    finishCues: ['terminei', 'completei', 'cruzei', 'oficial'],
+    officialCues: ['oficial'],
+    prWords: ['rp'],
+    personalWords: ['recorde'],
+    bestWords: ['pessoal'],
+    negationWords: ['não', 'sem'],
+    improvementCues: ['por'],
+    lastWords: ['passado', 'passada'],
+    dayUnits: ['dia', 'dias'],
+    agoWords: ['há', 'atrás'],
+    fillerWords: ['de', 'do', 'da', 'média', 'médio', 'foi', 'um', 'uma'],
+    activityWords: {
+      corri: 'run', correr: 'run', corrida: 'run', correndo: 'run', trote: 'run',
+      caminhei: 'walk', caminhada: 'walk', caminhar: 'walk', trilha: 'trail_run',
+      pedalei: 'ride', pedal: 'ride', bicicleta: 'ride', nadei: 'swim', natação: 'swim',
+      esteira: 'treadmill'
+    },
+    dayWords: { hoje: { offset: 0 }, ontem: { offset: -1 }, anteontem: { offset: -2 } },
+    partsOfDay: { manhã: 7, madrugada: 5, tarde: 15, noite: 20 },
+    weekdays: {
+      domingo: 0, segunda: 1, terça: 2, terca: 2, quarta: 3, quinta: 4, sexta: 5,
+      sábado: 6, sabado: 6
+    },
+    raceNames: { maratona: 'marathon' },
+    recoveryTypes: {
+      trote: 'jog', descanso: 'rest', recuperação: 'rest', pausa: 'rest', caminhando: 'walk'
+    },
+    weatherWords: {
+      ensolarado: 'sunny', sol: 'sunny', nublado: 'cloudy', chuva: 'rainy', chuvoso: 'rainy',
+      neve: 'snowy', vento: 'windy', ventoso: 'windy', calor: 'hot', quente: 'hot',
+      frio: 'cold', morno: 'warm', fresco: 'cool', úmido: 'humid', abafado: 'humid'
+    },
+    moodWords: {
+      ótimo: 'great', ótima: 'great', bom: 'good', boa: 'good', bem: 'good', ruim: 'bad',
+      terrível: 'terrible', incrível: 'amazing', excelente: 'excellent', difícil: 'difficult',
+      duro: 'hard', pesado: 'hard', fácil: 'easy', leve: 'easy'
+    },
+    decimalComma: true
+  },
+  de: {
+    distanceUnits: { kilometern: 'km', meile: 'mi', meilen: 'mi' },
+    hourUnits: ['std', 'stunde', 'stunden'],
+    minuteUnits: ['minute', 'minuten'],
+    secondUnits: ['sek', 'sekunde', 'sekunden'],
+    elevationUnits: { metern: 'm', fuß: 'ft' },
+    cuelessElevationUnits: { hm: 'm', höhenmeter: 'm', höhenmetern: 'm' },
+    elevationCues: ['anstieg', 'aufstieg', 'steigung', 'höhe'],
+    heartRateCues: ['puls', 'hf', 'herzfrequenz'],
+    degreeWords: ['grad'],
+    humidityCues: ['luftfeuchtigkeit', 'feuchtigkeit', 'luftfeuchte'],
+    paceCues: ['tempo'],
+    splitCues: ['zwischenzeiten', 'runde', 'runden'],
+    durationCues: ['zeit', 'dauer'],
+    clockCues: ['um'],
+    perWords: ['pro'],
+    andWords: ['und'],
+    targetCues: ['in'],
+    recoveryCues: ['mit'],
+    raceCues: ['wettkampf', 'rennen', 'startnummer', 'medaille'],
+    finishCues: ['ziel', 'zielzeit', 'nettozeit', 'bruttozeit', 'offizielle'],
+    officialCues: ['nettozeit', 'bruttozeit', 'offizielle'],
+    prWords: ['bestzeit'],
+    personalWords: ['persönliche', 'neue'],
+    bestWords: ['bestzeit', 'bestleistung'],
+    negationWords: ['kein', 'keine', 'nicht', 'ohne'],
+    improvementCues: ['um'],
+    lastWords: ['letzten', 'letzte', 'letzter', 'vergangenen'],
+    dayUnits: ['tag', 'tage', 'tagen'],
+    agoWords: ['vor'],
+    fillerWords: ['von', 'durchschnitt', 'durchschnittlich', 'ein', 'eine', 'war', 'mit'],
+    activityWords: {
+      laufen: 'run', gelaufen: 'run', lauf: 'run', lief: 'run', joggen: 'run', gejoggt: 'run',
+      spaziergang: 'walk', spazieren: 'walk', gehen: 'walk', gegangen: 'walk',
+      wandern: 'hike', wanderung: 'hike', gewandert: 'hike', radfahren: 'ride', rad: 'ride',
+      radtour: 'ride', schwimmen: 'swim', geschwommen: 'swim', laufband: 'treadmill',
+      traillauf: 'trail_run'
+    },
+    dayWords: { heute: { offset: 0 }, gestern: { offset: -1 }, vorgestern: { offset: -2 } },
+    partsOfDay: { morgen: 7, früh: 7, vormittag: 10, mittag: 12, nachmittag: 15, abend: 19, nacht: 20 },
+    weekdays: {
+      sonntag: 0, montag: 1, dienstag: 2, mittwoch: 3, donnerstag: 4, freitag: 5,
+      samstag: 6, sonnabend: 6
+    },
+    raceNames: { halbmarathon: 'half_marathon' },
+    recoveryTypes: {
+      trabpause: 'jog', pause: 'rest', gehpause: 'walk', erholung: 'rest'
+    },
+    weatherWords: {
+      sonnig: 'sunny', sonne: 'sunny', bewölkt: 'cloudy', wolkig: 'cloudy', regen: 'rainy',
+      regnerisch: 'rainy', schnee: 'snowy', windig: 'windy', wind: 'windy', heiß: 'hot',
+      hitze: 'hot', kalt: 'cold', kühl: 'cool', schwül: 'humid', feucht: 'humid'
+    },
+    moodWords: {
+      super: 'great', toll: 'great', gut: 'good', schlecht: 'bad', schrecklich: 'terrible',
+      fantastisch: 'amazing', großartig: 'amazing', schwer: 'hard', hart: 'hard',
+      schwierig: 'difficult', leicht: 'easy', locker: 'easy', anstrengend: 'tough'
+    },
+    decimalComma: true
+  },
+  fr: {
+    distanceUnits: { kilomètre: 'km', kilomètres: 'km', bornes: 'km' },
+    hourUnits: ['heure', 'heures'],
+    minuteUnits: [],
+    secondUnits: ['seconde', 'secondes'],
+    elevationUnits: { mètre: 'm', mètres: 'm', pied: 'ft', pieds: 'ft' },
+    elevationCues: ['dénivelé', 'dénivelée', 'd', 'montée', 'ascension'],
+    heartRateCues: ['fc', 'pouls', 'fréquence'],
+    degreeWords: ['degré', 'degrés'],
+    humidityCues: ['humidité'],
+    paceCues: ['allure', 'rythme'],
+    splitCues: ['tour', 'tours', 'intermédiaires'],
+    durationCues: ['en', 'pendant', 'temps'],
+    clockCues: ['à', 'vers'],
+    perWords: ['par'],
+    andWords: ['et'],
+    targetCues: ['à', 'en'],
+    recoveryCues: ['avec'],
+    halfWords: ['semi'],
+    raceCues: ['dossard', 'médaille', 'compétition'],
+    finishCues: ['fini', 'terminé', 'arrivée', 'officiel', 'chrono'],
+    officialCues: ['officiel', 'puce'],
+    prWords: ['rp'],
+    personalWords: ['record'],
+    bestWords: ['personnel', 'perso'],
+    negationWords: ['pas', 'sans'],
+    improvementCues: ['de'],
+    lastWords: ['dernier'],
+    dayUnits: ['jour', 'jours'],
+    // "il y a 3 jours"
+    agoWords: ['il'],
+    fillerWords: ['de', 'du', 'moyenne', 'moyen', 'était', 'un', 'une'],
+    activityWords: {
+      couru: 'run', courir: 'run', course: 'run', footing: 'run', jogging: 'run',
+      marché: 'walk', marche: 'walk', marcher: 'walk', randonnée: 'hike', rando: 'hike',
+      vélo: 'ride', pédalé: 'ride', nagé: 'swim', natation: 'swim', tapis: 'treadmill'
+    },
+    dayWords: { aujourd: { offset: 0 }, hier: { offset: -1 } },
+    partsOfDay: { matin: 7, midi: 12, soir: 19, soirée: 19, nuit: 20 },
+    weekdays: {
+      dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6
+    },
+    raceNames: { semimarathon: 'half_marathon' },
+    recoveryTypes: {
+      trot: 'jog', footing: 'jog', récup: 'rest', récupération: 'rest', repos: 'rest'
+    },
+    weatherWords: {
+      ensoleillé: 'sunny', soleil: 'sunny', nuageux: 'cloudy', pluie: 'rainy', pluvieux: 'rainy',
+      neige: 'snowy', vent: 'windy', venteux: 'windy', chaud: 'hot', chaleur: 'hot',
+      froid: 'cold', doux: 'warm', frais: 'cool', humide: 'humid'
+    },
+    moodWords: {
+      génial: 'great', super: 'great', bien: 'good', bon: 'good', bonne: 'good',
+      mauvais: 'bad', terrible: 'terrible', incroyable: 'amazing', excellent: 'excellent',
+      difficile: 'difficult', dur: 'hard', dure: 'hard', facile: 'easy', tranquille: 'easy'
+    },
+    decimalComma: true
+  },
+  ja: {
+    distanceUnits: { キロ: 'km', キロメートル: 'km', マイル: 'mi' },
+    hourUnits: ['時間'],
+    minuteUnits: ['分'],
+    secondUnits: ['秒'],
+    elevationUnits: { メートル: 'm' },
+    elevationCues: ['標高', '獲得標高', '上昇', '累積標高'],
+    heartRateCues: ['心拍', '心拍数'],
+    degreeWords: ['度'],
+    humidityCues: ['湿度'],
+    paceCues: ['ペース'],
+    splitCues: ['ラップ', 'スプリット'],
+    durationCuesAfter: ['で'],
+    raceCues: ['大会', 'レース'],
+    finishCues: ['完走', 'ゴール', 'タイム'],
+    prWords: ['自己ベスト', '自己新', '自己記録'],
+    dayUnits: ['日'],
+    agoWords: ['前'],
+    andWords: [],
+    clauseBreaks: ['。', '！', '？'],
+    fillerWords: ['の', 'は', '平均'],
+    dayWords: {
+      今日: { offset: 0 }, 昨日: { offset: -1 }, 一昨日: { offset: -2 },
+      今朝: { offset: 0, hour: 7 }, 今夜: { offset: 0, hour: 20 }, 昨夜: { offset: -1, hour: 20 }
+    },
+    partsOfDay: { 朝: 7, 昼: 12, 午後: 15, 夕方: 18, 夜: 20 },
+    weekdays: { 日曜: 0, 月曜: 1, 火曜: 2, 水曜: 3, 木曜: 4, 金曜: 5, 土曜: 6 },
+    raceNames: {
+      マラソン: 'marathon', フルマラソン: 'marathon', ハーフマラソン: 'half_marathon',
+      ハーフ: 'half_marathon'
+    },
+    activityWords: {
+      走: 'run', ラン: 'run', ランニング: 'run', ジョギング: 'run', ジョグ: 'run',
+      歩: 'walk', ウォーキング: 'walk', 散歩: 'walk', ハイキング: 'hike', 登山: 'hike',
+      自転車: 'ride', サイクリング: 'ride', 泳: 'swim', 水泳: 'swim',
+      トレッドミル: 'treadmill', ランニングマシン: 'treadmill', トレイル: 'trail_run'
+    },
+    weatherWords: {
+      晴: 'sunny', 曇: 'cloudy', 雨: 'rainy', 雪: 'snowy', 風: 'windy', 暑: 'hot',
+      寒: 'cold', 暖: 'warm', 涼: 'cool', 蒸し暑: 'humid'
+    },
+    moodWords: {
+      最高: 'amazing', 良: 'good', 楽: 'easy', きつ: 'tough', 辛: 'tough', 悪: 'bad'
+    },
+    decimalComma: false
+  }
+};
+
+const SET_KEYS = [
+  'hourUnits', 'minuteUnits', 'secondUnits', 'elevationCues', 'heartRateUnits',
+  'heartRateCues', 'paceCues', 'splitCues', 'durationCues', 'durationCuesAfter',
+  'clockCues', 'perWords', 'andWords', 'meridiems', 'clauseBreaks', 'repeatWords',
+  'targetCues', 'recoveryCues', 'halfWords', 'milerWords', 'raceCues', 'finishCues',
+  'officialCues', 'prWords', 'personalWords', 'bestWords', 'negationWords',
+  'improvementCues', 'lastWords', 'dayUnits', 'agoWords', 'gearCues', 'newWords',
+  'brandOnlyGearModels', 'fillerWords', 'degreeWords', 'humidityCues'
+];
+const MAP_KEYS = [
+  'distanceUnits', 'elevationUnits', 'cuelessElevationUnits', 'activityWords',
+  'gearBrands', 'gearModels', 'dayWords', 'partsOfDay', 'weekdays', 'raceNames', 'recoveryTypes', 'weatherWords',
+  'moodWords', 'temperatureUnits'
+];
+
+/**
+ * Builds the lexicon for a language, layered on top of English
+ * @param {string} code - Language code (en, es, pt, de, fr, ja)
+ * @returns {Object} Lexicon with Set and map lookups for the grammar
+ */
+function getLexicon(code = 'en') {
+  const language = LANGUAGES[code] || {};
+  const lexicon = { code: LANGUAGES[code] ? code : 'en' };
+
+  for (const key of SET_KEYS) {
+    lexicon[key] = new Set([...ENGLISH[key], ...(language[key] || [])]);
+  }
+
+  for (const key of MAP_KEYS) {
+    lexicon[key] = { ...ENGLISH[key], ...(language[key] || {}) };
+  }
+
+  lexicon.decimalComma = language.decimalComma ?? ENGLISH.decimalComma;
+
+  // Unspaced scripts are segmented by longest known word first
+  lexicon.segmentWords = code === 'ja'
+    ? [...new Set(Object.values(language).flatMap(value => {
+      if (Array.isArray(value)) return value;
+      if (value && typeof value === 'object') return Object.keys(value);
+      return [];
+    }))].sort((a, b) => b.length - a.length)
+    : [];
+
+  return lexicon;
+}
+
+module.exports = {
+  getLexicon,
+  SUPPORTED_LANGUAGES: ['en', ...Object.keys(LANGUAGES)]
+};
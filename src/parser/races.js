@@ -0,0 +1,64 @@
+/**
+ * Race Distances
+ *
+ * Canonical race distances in metres and the names runners use for them,
+ * so "HM", "half" and a 21.1 km run in a race note all come out as the
+ * same half marathon.
+ */
+
+const RACE_DISTANCES = {
+  '1_mile': 1609.344,
+  '5k': 5000,
+  '8k': 8000,
+  '10k': 10000,
+  '15k': 15000,
+  '10_mile': 16093.44,
+  half_marathon: 21097.5,
+  marathon: 42195,
+  '50k': 50000,
+  '50_mile': 80467.2,
+  '100k': 100000,
+  '100_mile': 160934.4
+};
+
+// Events named for a race format rather than a distance
+const NAMED_RACES = {
+  parkrun: 5000,
+  ultra: null
+};
+
+// How far a measured distance may be from a standard one and still count
+const DISTANCE_TOLERANCE = 0.015;
+
+/**
+ * Finds the standard race distance closest to a measured one
+ * @param {number} metres - Measured distance in metres
+ * @returns {string|null} Race name, or null if no standard distance is close
+ */
+function matchRaceDistance(metres) {
+  for (const [name, standard] of Object.entries(RACE_DISTANCES)) {
+    if (Math.abs(metres - standard) / standard <= DISTANCE_TOLERANCE) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up the canonical distance of a race name
+ * @param {string} name - Race name such as "marathon", "10k" or "parkrun"
+ * @returns {number|null} Distance in metres, or null if the name has no fixed distance
+ */
+function raceDistance(name) {
+  if (name in RACE_DISTANCES) {
+    return RACE_DISTANCES[name];
+  }
+  return NAMED_RACES[name] ?? null;
+}
+
+module.exports = {
+  RACE_DISTANCES,
+  DISTANCE_TOLERANCE,
+  matchRaceDistance,
+  raceDistance
+};
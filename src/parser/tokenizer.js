@@ -0,0 +1,90 @@
+/**
+ * Note Tokenizer
+ *
+ * Splits free-form note text into clock, number, word and symbol tokens.
+ * Every token keeps its character offsets so the grammar can label it by
+ * its neighbours and report where each value came from.
+ */
+
+// Clock values (52:15, 3:28:41), plain numbers (10, 10.5), words and any
+// other single non-space character, in that order of precedence
+const TOKEN_REGEX = /(\d+(?::\d{2}){1,2})|(\d+(?:\.\d+)?)|(\p{L}+)|(\S)/gu;
+// Same, but also reading "10,5" as a decimal for languages that write it so
+const DECIMAL_COMMA_TOKEN_REGEX = /(\d+(?::\d{2}){1,2})|(\d+(?:[.,]\d+)?)|(\p{L}+)|(\S)/gu;
+const UNSPACED_SCRIPT_REGEX = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u;
+
+/**
+ * Replaces full-width digits and colons with their ASCII forms. Each
+ * replacement is a single character, so offsets are unchanged.
+ * @param {string} content - The note content
+ * @returns {string} Content with ASCII digits
+ */
+function normalizeWidth(content) {
+  return content.replace(/[０-９：]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0));
+}
+
+/**
+ * Cuts a run of unspaced text (e.g. Japanese) into known words, longest
+ * first, falling back to single characters
+ * @param {string} text - The run of letters
+ * @param {number} offset - Character offset of the run in the note
+ * @param {Array} segmentWords - Known words, longest first
+ * @returns {Array} Pieces with their text and start offset
+ */
+function segmentWord(text, offset, segmentWords) {
+  const pieces = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const known = segmentWords.find(word => text.startsWith(word, i));
+    const piece = known || text[i];
+    pieces.push({ text: piece, start: offset + i });
+    i += piece.length;
+  }
+
+  return pieces;
+}
+
+/**
+ * Splits note content into positioned tokens
+ * @param {string} content - The note content to tokenize
+ * @param {Object} [lexicon] - Lexicon of the note's language
+ * @returns {Array} Tokens with type, text, lowercase text and offsets
+ */
+function tokenize(content, lexicon = null) {
+  const tokens = [];
+  const regex = lexicon?.decimalComma ? DECIMAL_COMMA_TOKEN_REGEX : TOKEN_REGEX;
+  const segmentWords = lexicon?.segmentWords || [];
+
+  const push = (fields) => {
+    tokens.push({
+      index: tokens.length,
+      lower: fields.text.toLowerCase(),
+      end: fields.start + fields.text.length,
+      ...fields
+    });
+  };
+
+  for (const match of normalizeWidth(content).matchAll(regex)) {
+    const [text, clock, number, word] = match;
+    const start = match.index;
+
+    if (clock) {
+      push({ type: 'clock', text, start, parts: clock.split(':').map(part => parseInt(part, 10)) });
+    } else if (number) {
+      push({ type: 'number', text, start, value: parseFloat(number.replace(',', '.')) });
+    } else if (word && segmentWords.length > 0 && UNSPACED_SCRIPT_REGEX.test(word)) {
+      for (const piece of segmentWord(word, start, segmentWords)) {
+        push({ type: 'word', ...piece });
+      }
+    } else if (word) {
+      push({ type: 'word', text, start });
+    } else {
+      push({ type: 'symbol', text, start });
+    }
+  }
+
+  return tokens;
+}
+
+module.exports = { tokenize };
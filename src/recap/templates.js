@@ -0,0 +1,137 @@
+/**
+ * Recap Templates
+ *
+ * Wording of recap paragraphs, per language, so every client shares a
+ * recap in the same words. `{name}` placeholders are filled in by the
+ * recap task with numbers already formatted for the language. Headings and
+ * comparisons are keyed by period: "week", "month", "year", or "other"
+ * for summaries of any other stretch of time.
+ */
+
+const TEMPLATES = {
+  en: {
+    locale: 'en',
+    headings: { week: 'This week', month: 'This month', year: 'This year', other: 'My running' },
+    previous: { week: 'last week', month: 'last month', year: 'last year', other: 'the previous period' },
+    recap: '{heading}: {details}',
+    separator: ', ',
+    changeSeparator: ' — ',
+    runs: { one: '{count} run', other: '{count} runs' },
+    volume: '{distance} over {runs}',
+    pace: 'avg {pace}',
+    longest: 'longest {longest}',
+    noRuns: 'no runs logged',
+    up: 'up {percent}% on {previous}',
+    down: 'down {percent}% on {previous}',
+    same: 'level with {previous}'
+  },
+  es: {
+    locale: 'es',
+    headings: { week: 'Esta semana', month: 'Este mes', year: 'Este año', other: 'Mis carreras' },
+    previous: { week: 'la semana pasada', month: 'el mes pasado', year: 'el año pasado', other: 'el periodo anterior' },
+    recap: '{heading}: {details}',
+    separator: ', ',
+    changeSeparator: ' — ',
+    runs: { one: '{count} carrera', other: '{count} carreras' },
+    volume: '{distance} en {runs}',
+    pace: 'ritmo medio {pace}',
+    longest: 'la más larga {longest}',
+    noRuns: 'ninguna carrera registrada',
+    up: '{percent}% más que {previous}',
+    down: '{percent}% menos que {previous}',
+    same: 'igual que {previous}'
+  },
+  pt: {
+    locale: 'pt',
+    headings: { week: 'Esta semana', month: 'Este mês', year: 'Este ano', other: 'Minhas corridas' },
+    previous: { week: 'a semana passada', month: 'o mês passado', year: 'o ano passado', other: 'o período anterior' },
+    recap: '{heading}: {details}',
+    separator: ', ',
+    changeSeparator: ' — ',
+    runs: { one: '{count} corrida', other: '{count} corridas' },
+    volume: '{distance} em {runs}',
+    pace: 'ritmo médio {pace}',
+    longest: 'a mais longa {longest}',
+    noRuns: 'nenhuma corrida registrada',
+    up: '{percent}% a mais que {previous}',
+    down: '{percent}% a menos que {previous}',
+    same: 'o mesmo que {previous}'
+  },
+  de: {
+    locale: 'de',
+    headings: { week: 'Diese Woche', month: 'Diesen Monat', year: 'Dieses Jahr', other: 'Mein Training' },
+    previous: { week: 'letzte Woche', month: 'letzten Monat', year: 'letztes Jahr', other: 'im vorigen Zeitraum' },
+    recap: '{heading}: {details}',
+    separator: ', ',
+    changeSeparator: ' — ',
+    runs: { one: '{count} Lauf', other: '{count} Läufen' },
+    volume: '{distance} in {runs}',
+    pace: 'Ø {pace}',
+    longest: 'längster Lauf {longest}',
+    noRuns: 'keine Läufe eingetragen',
+    up: '{percent} % mehr als {previous}',
+    down: '{percent} % weniger als {previous}',
+    same: 'genauso viel wie {previous}'
+  },
+  fr: {
+    locale: 'fr',
+    headings: { week: 'Cette semaine', month: 'Ce mois-ci', year: 'Cette année', other: 'Mes sorties' },
+    previous: { week: 'la semaine dernière', month: 'le mois dernier', year: 'l\'année dernière', other: 'la période précédente' },
+    recap: '{heading} : {details}',
+    separator: ', ',
+    changeSeparator: ' — ',
+    runs: { one: '{count} sortie', other: '{count} sorties' },
+    volume: '{distance} en {runs}',
+    pace: 'allure moyenne {pace}',
+    longest: 'la plus longue {longest}',
+    noRuns: 'aucune sortie enregistrée',
+    up: 'en hausse de {percent} % par rapport à {previous}',
+    down: 'en baisse de {percent} % par rapport à {previous}',
+    same: 'stable par rapport à {previous}'
+  },
+  ja: {
+    locale: 'ja',
+    headings: { week: '今週', month: '今月', year: '今年', other: 'ランニング記録' },
+    previous: { week: '先週', month: '先月', year: '昨年', other: '前期間' },
+    recap: '{heading}：{details}',
+    separator: '、',
+    changeSeparator: '。',
+    runs: { one: '{count}回のラン', other: '{count}回のラン' },
+    volume: '{runs}で{distance}',
+    pace: '平均ペース{pace}',
+    longest: '最長{longest}',
+    noRuns: 'ランの記録なし',
+    up: '{previous}比{percent}%増',
+    down: '{previous}比{percent}%減',
+    same: '{previous}と同じ'
+  }
+};
+
+/**
+ * Fills in a template's placeholders
+ * @param {string} template - Text with {name} placeholders
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} Filled-in text
+ */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Looks up the recap wording of a language
+ * @param {string} [code] - Language code, English by default
+ * @returns {Object} Templates
+ */
+function getTemplates(code = 'en') {
+  const templates = TEMPLATES[code];
+  if (!templates) {
+    throw new Error(`Unsupported recap language: ${code}`);
+  }
+  return templates;
+}
+
+module.exports = {
+  fill,
+  getTemplates,
+  RECAP_LANGUAGES: Object.keys(TEMPLATES)
+};
@@ -0,0 +1,181 @@
+/**
+ * Streak Tracker
+ *
+ * Remembers when each runner ran, from their running notes and workout
+ * records, and works out their daily and weekly running streaks and a
+ * per-day activity calendar in the style of a contribution graph. Runs are
+ * kept as timestamps, so days and weeks can be counted in whatever time
+ * zone the runner asks for. Every event is counted once. Only the most
+ * recently active runners, and their latest runs, are kept.
+ */
+
+const { listPeriods } = require('../utils/dates');
+const { touchRecent } = require('../utils/recent');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Number of shades in the calendar, not counting days without a run
+const CALENDAR_LEVELS = 4;
+// Streaks are counted over the last ten years at most, and the calendar
+// covers no more, so an implausibly old start can't make us walk centuries
+const MAX_DAYS = 3660;
+const DEFAULT_MAX_PUBKEYS = 10000;
+// Runs kept per runner, enough for two a day over MAX_DAYS
+const MAX_RUNS_PER_PUBKEY = 2 * MAX_DAYS;
+
+/**
+ * Tells which periods had a run, in one pass over both
+ * @param {Array} periods - Consecutive periods, oldest first
+ * @param {Array} times - Times of the runs in milliseconds, oldest first
+ * @returns {Array} Whether each period had a run
+ */
+function markActive(periods, times) {
+  let next = 0;
+  return periods.map(period => {
+    while (next < times.length && times[next] < period.start) {
+      next++;
+    }
+    return next < times.length && times[next] < period.end;
+  });
+}
+
+/**
+ * Measures the longest and current runs of consecutive active periods
+ * @param {Array} active - Whether each consecutive period had a run, oldest first
+ * @param {boolean} currentMayBeEmpty - Whether the latest period still counts as ongoing without a run
+ * @returns {Object} Current and longest streak lengths
+ */
+function measureStreaks(active, currentMayBeEmpty) {
+  let longest = 0;
+  let length = 0;
+  for (const isActive of active) {
+    length = isActive ? length + 1 : 0;
+    longest = Math.max(longest, length);
+  }
+
+  // Today's run may not have happened yet, so a streak up to yesterday is still current
+  let end = active.length - 1;
+  if (currentMayBeEmpty && end >= 0 && !active[end]) {
+    end--;
+  }
+  let current = 0;
+  while (end >= 0 && active[end]) {
+    current++;
+    end--;
+  }
+
+  return { current, longest };
+}
+
+class StreakTracker {
+  /**
+   * @param {number} [maxPubkeys] - Most runners kept, least recently active dropped first
+   */
+  constructor(maxPubkeys = DEFAULT_MAX_PUBKEYS) {
+    this.maxPubkeys = maxPubkeys;
+    // pubkey -> event id -> run, least recently active runner first
+    this.runsByPubkey = new Map();
+  }
+
+  /**
+   * Records that a runner ran
+   * @param {string} pubkey - Runner's public key
+   * @param {Object} run - The run
+   * @param {string} run.eventId - Id of the event describing it
+   * @param {number} run.timestamp - When it happened, in unix seconds
+   * @param {number|null} run.distance - Distance in metres, if known
+   * @param {string} run.source - "note" or "workout_record"
+   */
+  recordRun(pubkey, { eventId, timestamp, distance, source }) {
+    if (!Number.isFinite(timestamp)) {
+      return;
+    }
+    const runs = touchRecent(this.runsByPubkey, pubkey, () => new Map(), this.maxPubkeys);
+    if (runs.has(eventId)) {
+      return;
+    }
+    runs.set(eventId, { timestamp, distance, source });
+
+    // Past the limit, the run longest ago goes
+    if (runs.size > MAX_RUNS_PER_PUBKEY) {
+      let oldest = null;
+      for (const [id, run] of runs) {
+        if (oldest === null || run.timestamp < runs.get(oldest).timestamp) {
+          oldest = id;
+        }
+      }
+      runs.delete(oldest);
+    }
+  }
+
+  /**
+   * Lists a runner's runs
+   * @param {string} pubkey - Runner's public key
+   * @returns {Array} Runs with eventId, timestamp, distance and source, oldest first
+   */
+  getRuns(pubkey) {
+    const runs = this.runsByPubkey.get(pubkey) || new Map();
+    return [...runs.entries()]
+      .map(([eventId, run]) => ({ eventId, ...run }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Works out a runner's streaks and activity calendar
+   * @param {string} pubkey - Runner's public key
+   * @param {Object} options - How to count
+   * @param {string} options.timeZone - IANA time zone days are counted in
+   * @param {string} options.weekStart - "iso" (Monday) or "sunday"
+   * @param {number} options.days - Number of days the calendar covers, ending today, up to MAX_DAYS
+   * @param {number} [options.now] - Current time in milliseconds, for testing
+   * @returns {Object} Daily and weekly streaks and the calendar
+   */
+  getStreaks(pubkey, { timeZone, weekStart, days, now = Date.now() }) {
+    const runs = [...(this.runsByPubkey.get(pubkey) || new Map()).values()]
+      .map(run => ({ ...run, time: run.timestamp * 1000 }))
+      .filter(run => run.time <= now)
+      .sort((a, b) => a.time - b.time);
+
+    const first = Math.max(runs.length > 0 ? runs[0].time : now, now - (MAX_DAYS - 1) * DAY);
+    const times = runs.map(run => run.time);
+    const allDays = listPeriods(first, now, 'day', timeZone);
+    const weeks = listPeriods(first, now, 'week', timeZone, weekStart);
+
+    const daily = runs.length > 0 ? measureStreaks(markActive(allDays, times), true) : { current: 0, longest: 0 };
+    const weekly = runs.length > 0 ? measureStreaks(markActive(weeks, times), true) : { current: 0, longest: 0 };
+
+    // One cell per day, shaded by distance like a contribution graph
+    const calendarDays = listPeriods(now - (days - 1) * DAY, now, 'day', timeZone).slice(-days);
+    let next = 0;
+    const cells = calendarDays.map(day => {
+      const cell = { date: day.key, count: 0, distance: 0 };
+      while (next < runs.length && runs[next].time < day.start) {
+        next++;
+      }
+      for (; next < runs.length && runs[next].time < day.end; next++) {
+        cell.count++;
+        cell.distance += runs[next].distance || 0;
+      }
+      return cell;
+    });
+    const maxDistance = Math.max(0, ...cells.map(cell => cell.distance));
+    for (const cell of cells) {
+      if (cell.count === 0) {
+        cell.level = 0;
+      } else if (maxDistance === 0 || cell.distance === 0) {
+        cell.level = 1;
+      } else {
+        cell.level = Math.max(1, Math.ceil(cell.distance / maxDistance * CALENDAR_LEVELS));
+      }
+    }
+
+    return {
+      daily,
+      weekly,
+      totalRuns: runs.length,
+      activeDays: cells.filter(cell => cell.count > 0).length,
+      calendar: cells
+    };
+  }
+}
+
+module.exports = { StreakTracker, MAX_DAYS };
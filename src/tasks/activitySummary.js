@@ -6,25 +6,266 @@
  * insights from multiple running activities.
  */
 
+const {
+  METRES_PER_UNIT,
+  assertUnitSystem,
+  readDistance,
+  readPace,
+  formatDuration,
+  formatDistance,
+  formatPace,
+  formatTemperature
+} = require('../utils/units');
+const { MAX_GROUPS, assertTimeZone, assertPeriod, listPeriods } = require('../utils/dates');
+const { RUNNING_SPORTS, getSport, getActivityDate, toEntries } = require('../utils/activities');
+const { findBestEfforts } = require('../efforts/bestEffortsTracker');
+const { gradeAdjustPace } = require('../utils/gradeAdjustment');
+const { getWeatherAdjustment, weatherAdjustPace, temperatureBucket } = require('../utils/weather');
+
 /**
  * Summarizes running activities from a collection of notes
  * @param {Object} params - Task parameters 
  * @param {Array} params.activities - Array of parsed running activities
+ * @param {string} [params.units] - "metric" (default) or "imperial", for formatted strings
+ * @param {string} [params.groupBy] - "week", "month" or "year" to also summarize each calendar period
+ * @param {string} [params.timeZone] - IANA time zone the calendar periods are in, UTC by default
+ * @param {string} [params.weekStart] - "iso" (Monday, default) or "sunday"
  * @returns {Object} Activity summary and statistics
  */
 async function activitySummaryTask(params) {
-  const { activities } = params;
+  const { activities, units = 'metric', groupBy, timeZone = 'UTC', weekStart = 'iso' } = params;
   
   if (!activities || !Array.isArray(activities) || activities.length === 0) {
     throw new Error('No activities provided for summary');
   }
   
+  assertUnitSystem(units);
+  assertTimeZone(timeZone);
+  if (groupBy) {
+    assertPeriod(groupBy, weekStart);
+  }
+  
+  const entries = toEntries(activities);
+  const runningEntries = entries.filter(e => RUNNING_SPORTS.has(getSport(e.activity)));
+  
   const summary = {
     totalActivities: activities.length,
+    runningActivities: runningEntries.length,
     period: {
       start: null,
       end: null
     },
+    // Totals, averages and bests below cover running sports only
+    ...summarizeEntries(runningEntries, units),
+    trends: {
+      improvement: false,
+      consistency: false,
+      heatExplainsSlowdown: false
+    },
+    bySport: {},
+    races: [],
+    warnings: entries.flatMap(({ index, warnings }) =>
+      warnings.map(warning => ({ activityIndex: index, ...warning })))
+  };
+  
+  // Extract timestamps if available
+  const timestamps = activities
+    .map(getActivityDate)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  
+  if (timestamps.length > 0) {
+    summary.period.start = timestamps[0].toISOString();
+    summary.period.end = timestamps[timestamps.length - 1].toISOString();
+  }
+  
+  // Summarize each sport on its own
+  for (const entry of entries) {
+    const sport = getSport(entry.activity);
+    summary.bySport[sport] = summary.bySport[sport] || [];
+    summary.bySport[sport].push(entry);
+  }
+  
+  for (const [sport, sportEntries] of Object.entries(summary.bySport)) {
+    summary.bySport[sport] = {
+      totalActivities: sportEntries.length,
+      ...summarizeEntries(sportEntries, units)
+    };
+  }
+  
+  // Fastest standard distances, which unlike the best average pace compare like with like
+  summary.bestEfforts = findSummaryBestEfforts(runningEntries, units, 'seconds');
+  summary.gradeAdjustedBestEfforts = findSummaryBestEfforts(runningEntries, units, 'gradeAdjustedSeconds');
+  
+  // Compare paces across the conditions they were run in
+  summary.weather = summarizeConditions(runningEntries, units);
+  
+  // Summarize each calendar period, including empty ones so charts have no gaps
+  if (groupBy) {
+    summary.groups = groupEntries(entries, groupBy, timeZone, weekStart, units);
+    summary.ungroupedActivities = entries.filter(e => !getActivityDate(e.activity)).length;
+  }
+  
+  // Report race results separately from training
+  for (const { activity, index } of entries) {
+    const race = activity.extractedData?.race;
+    if (race) {
+      summary.races.push({
+        activityIndex: index,
+        timestamp: getActivityDate(activity)?.toISOString() || null,
+        name: race.name,
+        distance: race.distance,
+        finishTime: race.finishTime?.formatted || null,
+        pr: Boolean(race.pr?.claimed)
+      });
+    }
+  }
+  summary.trainingActivities = summary.totalActivities - summary.races.length;
+  
+  // Analyze trends (simplified)
+  const runs = runningEntries
+    .filter(e => !e.flagged.has('pace') && !e.flagged.has('calculatedPace'));
+  if (runs.length >= 3 && runs.filter(e => getActivityDate(e.activity)).length >= 3) {
+    // Check for pace improvement
+    const paceTrend = analyzePaceTrend(runs);
+    summary.trends.improvement = paceTrend.improving;
+    summary.trends.consistency = paceTrend.consistent;
+    summary.trends.heatExplainsSlowdown = paceTrend.heatExplainsSlowdown;
+  }
+  
+  return summary;
+}
+
+/**
+ * Finds the fastest effort at each standard distance across activities
+ * @param {Array} entries - Activities paired with their index in the request and flagged fields
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @param {string} rankBy - "seconds" or "gradeAdjustedSeconds"
+ * @returns {Array} Best efforts, shortest distance first, with the activity they came from
+ */
+function findSummaryBestEfforts(entries, units, rankBy) {
+  const bests = {};
+  for (const entry of entries) {
+    for (const effort of findBestEfforts(entry)) {
+      if (!bests[effort.distance] || effort[rankBy] < bests[effort.distance][rankBy]) {
+        bests[effort.distance] = { ...effort, activityIndex: entry.index };
+      }
+    }
+  }
+  
+  return Object.values(bests)
+    .sort((a, b) => a.metres - b.metres)
+    .map(effort => ({
+      ...effort,
+      formatted: formatDuration(effort.seconds),
+      paceFormatted: formatPace(effort.seconds / (effort.metres / 1000), units),
+      gradeAdjustedFormatted: formatDuration(effort.gradeAdjustedSeconds)
+    }));
+}
+
+/**
+ * Compares the paces of running activities across temperature ranges and
+ * weather conditions
+ * @param {Array} entries - Activities paired with their index in the request and flagged fields
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Activities with a temperature, and pace by temperature range and by condition
+ */
+function summarizeConditions(entries, units) {
+  const byTemperature = {};
+  const byCondition = {};
+  const add = (groups, key, fields, pace, adjustedPace) => {
+    groups[key] = groups[key] || { ...fields, activities: 0, totalPace: 0, totalAdjustedPace: 0 };
+    groups[key].activities++;
+    groups[key].totalPace += pace;
+    groups[key].totalAdjustedPace += adjustedPace;
+  };
+  
+  let withTemperature = 0;
+  for (const entry of entries) {
+    const { activity, flagged } = entry;
+    const pace = activity.extractedData?.pace || activity.extractedData?.calculatedPace;
+    const weather = getWeatherAdjustment(entry);
+    withTemperature += weather ? 1 : 0;
+    if (!pace || flagged.has('pace') || flagged.has('calculatedPace')) {
+      continue;
+    }
+    
+    const paceInSecondsPerKm = readPace(pace);
+    const adjustedPace = weatherAdjustPace(entry, gradeAdjustPace(entry, paceInSecondsPerKm));
+    if (weather) {
+      const bucket = temperatureBucket(weather.celsius);
+      add(byTemperature, bucket.key, {
+        ...bucket,
+        label: `${formatTemperature(bucket.min, units)} to ${formatTemperature(bucket.max, units)}`
+      }, paceInSecondsPerKm, adjustedPace);
+    }
+    for (const condition of new Set((activity.extractedData.weather || []).map(w => w.value))) {
+      add(byCondition, condition, { condition }, paceInSecondsPerKm, adjustedPace);
+    }
+  }
+  
+  const describe = ({ totalPace, totalAdjustedPace, ...group }) => ({
+    ...group,
+    averagePace: totalPace / group.activities,
+    averagePaceFormatted: formatPace(totalPace / group.activities, units),
+    averageAdjustedPace: totalAdjustedPace / group.activities,
+    averageAdjustedPaceFormatted: formatPace(totalAdjustedPace / group.activities, units)
+  });
+  
+  return {
+    activitiesWithTemperature: withTemperature,
+    byTemperature: Object.values(byTemperature).sort((a, b) => a.min - b.min).map(describe),
+    byCondition: Object.values(byCondition).sort((a, b) => b.activities - a.activities).map(describe)
+  };
+}
+
+/**
+ * Buckets activities into consecutive calendar periods and summarizes the
+ * running activities in each
+ * @param {Array} entries - Activities paired with their index in the request and flagged fields
+ * @param {string} groupBy - "week", "month" or "year"
+ * @param {string} timeZone - IANA time zone the calendar periods are in
+ * @param {string} weekStart - "iso" or "sunday"
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Array} Periods in chronological order with their own totals, averages and bests
+ */
+function groupEntries(entries, groupBy, timeZone, weekStart, units) {
+  const dated = entries
+    .map(entry => ({ entry, time: getActivityDate(entry.activity)?.getTime() }))
+    .filter(d => Number.isFinite(d.time));
+  if (dated.length === 0) {
+    return [];
+  }
+  
+  const times = dated.map(d => d.time);
+  const periods = listPeriods(Math.min(...times), Math.max(...times), groupBy, timeZone, weekStart, MAX_GROUPS);
+  
+  return periods.map(period => {
+    const periodEntries = dated
+      .filter(d => d.time >= period.start && d.time < period.end)
+      .map(d => d.entry);
+    const runningEntries = periodEntries.filter(e => RUNNING_SPORTS.has(getSport(e.activity)));
+    
+    return {
+      key: period.key,
+      start: new Date(period.start).toISOString(),
+      end: new Date(period.end).toISOString(),
+      totalActivities: periodEntries.length,
+      runningActivities: runningEntries.length,
+      ...summarizeEntries(runningEntries, units)
+    };
+  });
+}
+
+/**
+ * Computes totals, averages and best performances for a group of activities,
+ * skipping values flagged as implausible
+ * @param {Array} entries - Activities paired with their index in the request and flagged fields
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Totals, averages, bests and distance categories
+ */
+function summarizeEntries(entries, units) {
+  const result = {
     totals: {
       distance: 0,
       duration: 0
@@ -32,31 +273,21 @@ async function activitySummaryTask(params) {
     averages: {
       distance: 0,
       duration: 0,
-      pace: 0
+      pace: 0,
+      gradeAdjustedPace: 0,
+      weatherAdjustedPace: 0,
+      temperature: null,
+      heatSlowdownPercent: 0
     },
     best: {
       pace: null,
+      gradeAdjustedPace: null,
       distance: null,
       duration: null
     },
-    trends: {
-      improvement: false,
-      consistency: false
-    },
     activityTypes: {}
   };
   
-  // Extract timestamps if available
-  const timestamps = activities
-    .filter(a => a.timestamp)
-    .map(a => new Date(a.timestamp))
-    .sort((a, b) => a - b);
-  
-  if (timestamps.length > 0) {
-    summary.period.start = timestamps[0].toISOString();
-    summary.period.end = timestamps[timestamps.length - 1].toISOString();
-  }
-  
   // Process activities
   let totalDistance = 0;
   let totalDuration = 0;
@@ -64,184 +295,212 @@ async function activitySummaryTask(params) {
   let validPaceCount = 0;
   let bestPace = Infinity;
   let bestPaceActivity = null;
+  let totalGradeAdjustedPace = 0;
+  let bestGradeAdjustedPace = Infinity;
+  let bestGradeAdjustedPaceActivity = null;
+  let totalWeatherAdjustedPace = 0;
+  let totalSlowdown = 0;
+  let totalTemperature = 0;
+  let temperatureCount = 0;
   let longestDistance = 0;
   let longestDistanceActivity = null;
   let longestDuration = 0;
   let longestDurationActivity = null;
   
-  // Convert all units to km and seconds for consistency
-  activities.forEach((activity, index) => {
+  // Work in metres, seconds and seconds per km throughout
+  entries.forEach((entry, entryIndex) => {
+    const { activity, flagged } = entry;
+    const weather = getWeatherAdjustment(entry);
+    
+    if (weather) {
+      totalTemperature += weather.celsius;
+      temperatureCount++;
+    }
+    
     // Process distance
-    if (activity.extractedData?.distance) {
-      const distance = activity.extractedData.distance;
-      let distanceInKm = distance.value;
-      
-      if (distance.unit === 'mi' || distance.unit === 'mile' || distance.unit === 'miles') {
-        distanceInKm = distance.value * 1.60934;
-      }
+    if (activity.extractedData?.distance && !flagged.has('distance')) {
+      const metres = readDistance(activity.extractedData.distance);
       
-      totalDistance += distanceInKm;
+      totalDistance += metres;
       
-      if (distanceInKm > longestDistance) {
-        longestDistance = distanceInKm;
-        longestDistanceActivity = index;
+      if (metres > longestDistance) {
+        longestDistance = metres;
+        longestDistanceActivity = entryIndex;
       }
       
       // Track activity types based on distance
       let activityType = 'short';
-      if (distanceInKm >= 10) {
+      if (metres >= 10 * METRES_PER_UNIT.km) {
         activityType = 'long';
-      } else if (distanceInKm >= 5) {
+      } else if (metres >= 5 * METRES_PER_UNIT.km) {
         activityType = 'medium';
       }
       
-      summary.activityTypes[activityType] = (summary.activityTypes[activityType] || 0) + 1;
+      result.activityTypes[activityType] = (result.activityTypes[activityType] || 0) + 1;
     }
     
     // Process duration
-    if (activity.extractedData?.time) {
+    if (activity.extractedData?.time && !flagged.has('time')) {
       const duration = activity.extractedData.time.totalSeconds;
       totalDuration += duration;
       
       if (duration > longestDuration) {
         longestDuration = duration;
-        longestDurationActivity = index;
+        longestDurationActivity = entryIndex;
       }
     }
     
     // Process pace
     const pace = activity.extractedData?.pace || activity.extractedData?.calculatedPace;
-    if (pace) {
-      const paceInSecondsPerKm = (pace.minutes * 60 + pace.seconds) * 
-        (pace.unit === 'mi' || pace.unit === 'mile' ? 0.621371 : 1);
+    if (pace && !flagged.has('pace') && !flagged.has('calculatedPace')) {
+      const paceInSecondsPerKm = readPace(pace);
       
       totalPace += paceInSecondsPerKm;
       validPaceCount++;
       
       if (paceInSecondsPerKm < bestPace) {
         bestPace = paceInSecondsPerKm;
-        bestPaceActivity = index;
+        bestPaceActivity = entryIndex;
       }
+      
+      // Flat runs count at the pace they were run
+      const gradeAdjustedPace = gradeAdjustPace(entry, paceInSecondsPerKm);
+      totalGradeAdjustedPace += gradeAdjustedPace;
+      
+      if (gradeAdjustedPace < bestGradeAdjustedPace) {
+        bestGradeAdjustedPace = gradeAdjustedPace;
+        bestGradeAdjustedPaceActivity = entryIndex;
+      }
+      
+      // On top of the hills, the pace it would have been in cool weather
+      totalWeatherAdjustedPace += weatherAdjustPace(entry, gradeAdjustedPace);
+      totalSlowdown += weather?.slowdown || 0;
     }
   });
   
   // Calculate averages
-  if (summary.totalActivities > 0) {
-    summary.averages.distance = totalDistance / summary.totalActivities;
+  if (entries.length > 0) {
+    result.averages.distance = totalDistance / entries.length;
+    result.averages.duration = totalDuration / entries.length;
   }
   
-  if (summary.totalActivities > 0) {
-    summary.averages.duration = totalDuration / summary.totalActivities;
+  if (validPaceCount > 0) {
+    result.averages.pace = totalPace / validPaceCount;
+    result.averages.gradeAdjustedPace = totalGradeAdjustedPace / validPaceCount;
+    result.averages.weatherAdjustedPace = totalWeatherAdjustedPace / validPaceCount;
+    result.averages.heatSlowdownPercent = Math.round(totalSlowdown / validPaceCount * 1000) / 10;
   }
   
-  if (validPaceCount > 0) {
-    summary.averages.pace = totalPace / validPaceCount;
+  if (temperatureCount > 0) {
+    result.averages.temperature = totalTemperature / temperatureCount;
   }
   
   // Format averages
-  summary.averages.distanceFormatted = `${summary.averages.distance.toFixed(2)} km`;
-  
-  const avgDurationHours = Math.floor(summary.averages.duration / 3600);
-  const avgDurationMinutes = Math.floor((summary.averages.duration % 3600) / 60);
-  const avgDurationSeconds = Math.floor(summary.averages.duration % 60);
-  summary.averages.durationFormatted = 
-    `${avgDurationHours.toString().padStart(2, '0')}:${avgDurationMinutes.toString().padStart(2, '0')}:${avgDurationSeconds.toString().padStart(2, '0')}`;
+  result.averages.distanceFormatted = formatDistance(result.averages.distance, units);
+  result.averages.durationFormatted = formatDuration(result.averages.duration);
+  result.averages.paceFormatted = formatPace(result.averages.pace, units);
+  result.averages.gradeAdjustedPaceFormatted = formatPace(result.averages.gradeAdjustedPace, units);
+  result.averages.weatherAdjustedPaceFormatted = formatPace(result.averages.weatherAdjustedPace, units);
+  result.averages.temperatureFormatted = result.averages.temperature === null
+    ? null
+    : formatTemperature(result.averages.temperature, units);
   
-  const avgPaceMinutes = Math.floor(summary.averages.pace / 60);
-  const avgPaceSeconds = Math.floor(summary.averages.pace % 60);
-  summary.averages.paceFormatted = `${avgPaceMinutes}:${avgPaceSeconds.toString().padStart(2, '0')}/km`;
-  
-  // Record best performances
+  // Record best performances, pointing back to the activity's index in the request
   if (bestPaceActivity !== null) {
-    const pace = activities[bestPaceActivity].extractedData?.pace || 
-                activities[bestPaceActivity].extractedData?.calculatedPace;
-    
-    summary.best.pace = {
-      activityIndex: bestPaceActivity,
-      value: pace.formatted
+    result.best.pace = {
+      activityIndex: entries[bestPaceActivity].index,
+      value: formatPace(bestPace, units)
+    };
+  }
+  
+  if (bestGradeAdjustedPaceActivity !== null) {
+    result.best.gradeAdjustedPace = {
+      activityIndex: entries[bestGradeAdjustedPaceActivity].index,
+      value: formatPace(bestGradeAdjustedPace, units)
     };
   }
   
   if (longestDistanceActivity !== null) {
-    const distance = activities[longestDistanceActivity].extractedData.distance;
-    
-    summary.best.distance = {
-      activityIndex: longestDistanceActivity,
-      value: `${distance.value} ${distance.unit}`
+    result.best.distance = {
+      activityIndex: entries[longestDistanceActivity].index,
+      metres: longestDistance,
+      value: formatDistance(longestDistance, units)
     };
   }
   
   if (longestDurationActivity !== null) {
-    const time = activities[longestDurationActivity].extractedData.time;
-    
-    summary.best.duration = {
-      activityIndex: longestDurationActivity,
-      value: time.formatted
+    result.best.duration = {
+      activityIndex: entries[longestDurationActivity].index,
+      seconds: longestDuration,
+      value: formatDuration(longestDuration)
     };
   }
   
   // Calculate totals
-  summary.totals.distance = totalDistance;
-  summary.totals.distanceFormatted = `${totalDistance.toFixed(2)} km`;
+  result.totals.distance = totalDistance;
+  result.totals.distanceFormatted = formatDistance(totalDistance, units);
   
-  summary.totals.duration = totalDuration;
-  const totalHours = Math.floor(totalDuration / 3600);
-  const totalMinutes = Math.floor((totalDuration % 3600) / 60);
-  const totalSeconds = Math.floor(totalDuration % 60);
-  summary.totals.durationFormatted = 
-    `${totalHours.toString().padStart(2, '0')}:${totalMinutes.toString().padStart(2, '0')}:${totalSeconds.toString().padStart(2, '0')}`;
+  result.totals.duration = totalDuration;
+  result.totals.durationFormatted = formatDuration(totalDuration);
   
-  // Analyze trends (simplified)
-  if (activities.length >= 3 && timestamps.length >= 3) {
-    // Check for pace improvement
-    const paceTrend = analyzePaceTrend(activities);
-    summary.trends.improvement = paceTrend.improving;
-    summary.trends.consistency = paceTrend.consistent;
+  return result;
+}
+
+/**
+ * Fits a straight line through paces over time
+ * @param {Array} timestamps - Times in milliseconds
+ * @param {Array} paces - Paces in seconds per km
+ * @returns {number} Change in pace per millisecond
+ */
+function paceSlope(timestamps, paces) {
+  const n = timestamps.length;
+  const avgTimestamp = timestamps.reduce((sum, t) => sum + t, 0) / n;
+  const avgPace = paces.reduce((sum, p) => sum + p, 0) / n;
+  
+  let numerator = 0;
+  let denominator = 0;
+  
+  for (let i = 0; i < n; i++) {
+    numerator += (timestamps[i] - avgTimestamp) * (paces[i] - avgPace);
+    denominator += Math.pow(timestamps[i] - avgTimestamp, 2);
   }
   
-  return summary;
+  return numerator / denominator;
 }
 
 /**
- * Analyzes pace trend from a series of activities
- * @param {Array} activities - Array of parsed running activities
+ * Analyzes pace trend from a series of activities, using paces adjusted for
+ * hills and heat so a block of trail runs or a hot summer doesn't look like
+ * a loss of fitness
+ * @param {Array} entries - Activities paired with their flagged fields
  * @returns {Object} Trend analysis
  */
-function analyzePaceTrend(activities) {
+function analyzePaceTrend(entries) {
   // Extract activities with pace and timestamp
-  const activitiesWithPace = activities
-    .filter(a => (a.extractedData?.pace || a.extractedData?.calculatedPace) && a.timestamp)
-    .map(a => {
-      const pace = a.extractedData?.pace || a.extractedData?.calculatedPace;
-      const paceInSeconds = pace.minutes * 60 + pace.seconds;
+  const activitiesWithPace = entries
+    .filter(({ activity: a }) => (a.extractedData?.pace || a.extractedData?.calculatedPace) && getActivityDate(a))
+    .map(entry => {
+      const pace = entry.activity.extractedData?.pace || entry.activity.extractedData?.calculatedPace;
+      const gradeAdjusted = gradeAdjustPace(entry, readPace(pace));
       return {
-        timestamp: new Date(a.timestamp),
-        paceInSeconds
+        timestamp: getActivityDate(entry.activity),
+        gradeAdjusted,
+        paceInSeconds: weatherAdjustPace(entry, gradeAdjusted)
       };
     })
     .sort((a, b) => a.timestamp - b.timestamp);
   
   if (activitiesWithPace.length < 3) {
-    return { improving: false, consistent: false };
+    return { improving: false, consistent: false, heatExplainsSlowdown: false };
   }
   
   // Calculate linear regression
   const n = activitiesWithPace.length;
   const timestamps = activitiesWithPace.map(a => a.timestamp.getTime());
   const paces = activitiesWithPace.map(a => a.paceInSeconds);
-  
-  const avgTimestamp = timestamps.reduce((sum, t) => sum + t, 0) / n;
   const avgPace = paces.reduce((sum, p) => sum + p, 0) / n;
   
-  let numerator = 0;
-  let denominator = 0;
-  
-  for (let i = 0; i < n; i++) {
-    numerator += (timestamps[i] - avgTimestamp) * (paces[i] - avgPace);
-    denominator += Math.pow(timestamps[i] - avgTimestamp, 2);
-  }
-  
-  const slope = numerator / denominator;
+  const slope = paceSlope(timestamps, paces);
   
   // Calculate standard deviation to measure consistency
   const variance = paces.reduce((sum, p) => sum + Math.pow(p - avgPace, 2), 0) / n;
@@ -250,7 +509,9 @@ function analyzePaceTrend(activities) {
   
   return {
     improving: slope < 0, // Negative slope means pace is improving (lower seconds per km)
-    consistent: coefficientOfVariation < 0.1 // Less than 10% variation is considered consistent
+    consistent: coefficientOfVariation < 0.1, // Less than 10% variation is considered consistent
+    // Slowing down on hill-adjusted paces, but not once the heat is allowed for
+    heatExplainsSlowdown: paceSlope(timestamps, activitiesWithPace.map(a => a.gradeAdjusted)) > 0 && slope <= 0
   };
 }
 
@@ -0,0 +1,353 @@
+/**
+ * Compare Task
+ *
+ * Summarizes two sets of activities side by side and works out what changed
+ * from the first (`a`) to the second (`b`): distance, time, pace, how often
+ * the runner ran, their long run and their best efforts. Each side can be
+ * its own activities, or one runner's activities limited to a time window,
+ * so "this month vs last month" and "you vs your training partner" come out
+ * in the same shape. Every delta is `b` minus `a` in SI units (metres,
+ * seconds, seconds per km), with formatted strings in the preferred units.
+ * Pace changes come with a Welch's t-test on the two sides' run paces, so a
+ * few seconds per km from a handful of runs isn't read as real progress.
+ */
+
+const { assertUnitSystem, readPace, formatDistance, formatPace, formatDuration } = require('../utils/units');
+const { RUNNING_SPORTS, getSport, getActivityDate, toEntries, recordToActivity } = require('../utils/activities');
+const { activitySummaryTask } = require('./activitySummary');
+
+const SIDES = ['a', 'b'];
+// p-value below which a pace change is reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+// Runs per week are worked out over at least a week, so one run isn't seven a week
+const MIN_FREQUENCY_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Natural logarithm of the gamma function, by the Lanczos approximation
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((c, i) => {
+    series += c / (x + i + 1);
+  });
+  const t = x + 5.5;
+  return Math.log(2.5066282746310005 * series / x) - t + (x + 0.5) * Math.log(t);
+}
+
+/**
+ * Regularized incomplete beta function, by its continued fraction
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  // The continued fraction converges quickly only on this side
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - incompleteBeta(1 - x, b, a);
+  }
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      result *= c * d;
+    }
+    if (Math.abs(c * d - 1) < 1e-10) {
+      break;
+    }
+  }
+
+  return front * result;
+}
+
+/**
+ * Works out the mean and sample variance of some values
+ * @param {Array} values - Numbers
+ * @returns {Object} Count, mean and variance
+ */
+function describeSample(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  return { n, mean, variance };
+}
+
+/**
+ * Tests whether two sets of paces differ, with Welch's t-test, which
+ * doesn't assume both sides vary as much
+ * @param {Array} pacesA - Paces of the first side in seconds per km
+ * @param {Array} pacesB - Paces of the second side in seconds per km
+ * @returns {Object} t statistic, degrees of freedom, two-sided p-value and whether it is significant
+ */
+function testPaceChange(pacesA, pacesB) {
+  if (pacesA.length < 2 || pacesB.length < 2) {
+    return {
+      test: 'welch_t',
+      t: null,
+      degreesOfFreedom: null,
+      pValue: null,
+      significant: false,
+      reason: 'too_few_runs'
+    };
+  }
+
+  const a = describeSample(pacesA);
+  const b = describeSample(pacesB);
+  const errorA = a.variance / a.n;
+  const errorB = b.variance / b.n;
+  const standardError = Math.sqrt(errorA + errorB);
+
+  // Every run on both sides at one pace each: any difference is certain
+  if (standardError === 0) {
+    const pValue = a.mean === b.mean ? 1 : 0;
+    return { test: 'welch_t', t: null, degreesOfFreedom: null, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+  }
+
+  const t = (b.mean - a.mean) / standardError;
+  const degreesOfFreedom = (errorA + errorB) ** 2 /
+    (errorA ** 2 / (a.n - 1) + errorB ** 2 / (b.n - 1));
+  const pValue = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+
+  return {
+    test: 'welch_t',
+    t: Math.round(t * 100) / 100,
+    degreesOfFreedom: Math.round(degreesOfFreedom * 10) / 10,
+    pValue: Math.round(pValue * 10000) / 10000,
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+/**
+ * Describes the change in a value from one side to the other
+ * @param {number|null} a - Value of the first side
+ * @param {number|null} b - Value of the second side
+ * @param {Function} format - Formats a value, or the size of a change
+ * @returns {Object} Both values, the delta (b - a), its percentage of a and formatted strings
+ */
+function describeDelta(a, b, format) {
+  const known = a !== null && b !== null;
+  const delta = known ? b - a : null;
+  let deltaFormatted = null;
+  if (known) {
+    deltaFormatted = `${delta < 0 ? '-' : '+'}${format(Math.abs(delta))}`;
+  }
+
+  return {
+    a,
+    b,
+    delta,
+    percentChange: known && a !== 0 ? Math.round(delta / a * 1000) / 10 : null,
+    aFormatted: a === null ? null : format(a),
+    bFormatted: b === null ? null : format(b),
+    deltaFormatted
+  };
+}
+
+/**
+ * Keeps the activities of one side that happened within its time window
+ * @param {Object} side - Activities, workout records and an optional window
+ * @param {string} name - "a" or "b", for error messages
+ * @returns {Array} Activities, workout records converted to activities
+ */
+function selectActivities(side, name) {
+  const { activities = [], records = [], since, until } = side;
+  if (!Array.isArray(activities) || !Array.isArray(records)) {
+    throw new Error(`Activities and records of side ${name} must be arrays`);
+  }
+  for (const [field, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined && !Number.isFinite(value)) {
+      throw new Error(`${field} of side ${name} must be a unix timestamp in seconds`);
+    }
+  }
+
+  const all = [...activities, ...records.map(recordToActivity).filter(Boolean)];
+  if (since === undefined && until === undefined) {
+    return all;
+  }
+  // Undated activities can't be placed in a window
+  return all.filter(activity => {
+    const time = getActivityDate(activity)?.getTime() / 1000;
+    return time >= (since ?? -Infinity) && time <= (until ?? Infinity);
+  });
+}
+
+/**
+ * Works out the stretch of time one side covers, for its running frequency:
+ * its window when it has one, up to now at most, and its first to last
+ * activity otherwise
+ * @param {Object} side - Side with an optional window
+ * @param {Object} summary - Activity summary of the side
+ * @returns {Object} Start and end as ISO strings, and the length in days
+ */
+function sidePeriod(side, summary) {
+  const start = side.since !== undefined ? side.since * 1000 : Date.parse(summary.period.start);
+  const end = side.until !== undefined ? Math.min(side.until * 1000, Date.now()) : Date.parse(summary.period.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    return { start: null, end: null, days: null };
+  }
+  return {
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    days: Math.round(Math.max(0, end - start) / DAY * 10) / 10
+  };
+}
+
+/**
+ * Lists the paces of a side's running activities that passed validation
+ * @param {Array} activities - Activities of one side
+ * @returns {Array} Paces in seconds per km
+ */
+function runPaces(activities) {
+  return toEntries(activities)
+    .filter(({ activity, flagged }) => RUNNING_SPORTS.has(getSport(activity)) &&
+      (activity.extractedData?.pace || activity.extractedData?.calculatedPace) &&
+      !flagged.has('pace') && !flagged.has('calculatedPace'))
+    .map(({ activity }) => readPace(activity.extractedData.pace || activity.extractedData.calculatedPace));
+}
+
+/**
+ * Compares the best effort at each standard distance across the two sides
+ * @param {Object} summaries - Activity summaries of sides a and b
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Array} Distances run on either side, shortest first
+ */
+function compareBestEfforts(summaries, units) {
+  const distances = new Map();
+  for (const name of SIDES) {
+    for (const effort of summaries[name].bestEfforts) {
+      distances.set(effort.distance, { ...distances.get(effort.distance), metres: effort.metres, [name]: effort });
+    }
+  }
+
+  return [...distances.entries()]
+    .sort(([, x], [, y]) => x.metres - y.metres)
+    .map(([distance, efforts]) => {
+      const describeEffort = effort => effort
+        ? { seconds: effort.seconds, formatted: effort.formatted, paceFormatted: effort.paceFormatted, activityIndex: effort.activityIndex }
+        : null;
+      const { delta, deltaFormatted, percentChange } = describeDelta(
+        efforts.a?.seconds ?? null,
+        efforts.b?.seconds ?? null,
+        formatDuration
+      );
+      return {
+        distance,
+        metres: efforts.metres,
+        a: describeEffort(efforts.a),
+        b: describeEffort(efforts.b),
+        delta,
+        deltaFormatted,
+        percentChange
+      };
+    });
+}
+
+/**
+ * Compares two sets of running activities
+ * @param {Object} params - Task parameters
+ * @param {Object} params.a - First side: `activities`, optional `records` (kind 1301), `since` and `until` (unix seconds) and `label`
+ * @param {Object} params.b - Second side, in the same shape
+ * @param {string} [params.units] - "metric" (default) or "imperial", for formatted strings
+ * @param {string} [params.timeZone] - IANA time zone, UTC by default
+ * @returns {Object} Summary of each side and the deltas from a to b
+ */
+async function compareTask(params) {
+  const { a, b, units = 'metric', timeZone = 'UTC' } = params;
+
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    throw new Error('Two sides, a and b, are required to compare');
+  }
+  assertUnitSystem(units);
+
+  const sides = { a, b };
+  const activities = {};
+  const summaries = {};
+  for (const name of SIDES) {
+    activities[name] = selectActivities(sides[name], name);
+    if (activities[name].length === 0) {
+      throw new Error(`No activities to compare in side ${name}`);
+    }
+    summaries[name] = await activitySummaryTask({ activities: activities[name], units, timeZone });
+  }
+
+  const result = { a: {}, b: {}, deltas: {} };
+  const metrics = {};
+  for (const name of SIDES) {
+    const summary = summaries[name];
+    const period = sidePeriod(sides[name], summary);
+    const runs = summary.runningActivities;
+
+    metrics[name] = {
+      distance: summary.totals.distance,
+      time: summary.totals.duration,
+      pace: summary.averages.pace || null,
+      runs,
+      runsPerWeek: period.days === null
+        ? null
+        : Math.round(runs / Math.max(MIN_FREQUENCY_DAYS, period.days) * 7 * 10) / 10,
+      longRun: summary.best.distance?.metres ?? null
+    };
+
+    result[name] = {
+      label: sides[name].label || name,
+      period,
+      summary
+    };
+  }
+
+  const format = {
+    distance: metres => formatDistance(metres, units),
+    time: formatDuration,
+    pace: secondsPerKm => formatPace(secondsPerKm, units),
+    count: value => `${value}`
+  };
+
+  result.deltas = {
+    distance: describeDelta(metrics.a.distance, metrics.b.distance, format.distance),
+    time: describeDelta(metrics.a.time, metrics.b.time, format.time),
+    pace: {
+      ...describeDelta(metrics.a.pace, metrics.b.pace, format.pace),
+      // Fewer seconds per km is faster
+      faster: metrics.a.pace === null || metrics.b.pace === null || metrics.a.pace === metrics.b.pace
+        ? null
+        : (metrics.b.pace < metrics.a.pace ? 'b' : 'a'),
+      significance: testPaceChange(runPaces(activities.a), runPaces(activities.b))
+    },
+    runs: describeDelta(metrics.a.runs, metrics.b.runs, format.count),
+    runsPerWeek: describeDelta(metrics.a.runsPerWeek, metrics.b.runsPerWeek, format.count),
+    longRun: describeDelta(metrics.a.longRun, metrics.b.longRun, format.distance)
+  };
+
+  result.bestEfforts = compareBestEfforts(summaries, units);
+
+  return result;
+}
+
+module.exports = { compareTask };
@@ -0,0 +1,268 @@
+/**
+ * Heart Rate Zones Task
+ *
+ * Reports how long a runner spent in each heart rate zone, per workout
+ * and over the whole period sent. Zones come from an athlete profile
+ * (max, resting and lactate threshold heart rate, with age-based
+ * estimates for anything missing) and one of three zone models:
+ * - five_zone: 50-100% of max heart rate in steps of 10%;
+ * - karvonen: the same steps as a fraction of heart rate reserve;
+ * - lthr: Joe Friel's running zones as a fraction of lactate threshold.
+ * Workouts with per-split heart rates are counted split by split; the
+ * others count their whole duration in the zone of their average.
+ */
+
+const { formatDuration } = require('../utils/units');
+const { MAX_GROUPS, assertTimeZone, assertPeriod, listPeriods } = require('../utils/dates');
+const { getActivityDate, toEntries, recordToActivity } = require('../utils/activities');
+
+const ZONE_MODELS = ['five_zone', 'karvonen', 'lthr'];
+const ZONE_NAMES = ['Recovery', 'Endurance', 'Tempo', 'Threshold', 'VO2max'];
+// Lower bounds of zones 1 to 5, and the top of zone 5
+const PERCENT_BOUNDS = [0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
+const LTHR_BOUNDS = [null, 0.85, 0.9, 0.95, 1.0, null];
+
+const DEFAULT_RESTING_HEART_RATE = 60;
+// Lactate threshold is typically close to 88% of max heart rate
+const LTHR_FRACTION_OF_MAX = 0.88;
+
+/**
+ * Estimates max heart rate from age with the Tanaka formula
+ * @param {number} age - Age in years
+ * @returns {number} Max heart rate in bpm
+ */
+function estimateMaxHeartRate(age) {
+  return Math.round(208 - 0.7 * age);
+}
+
+/**
+ * Completes an athlete profile, estimating missing values
+ * @param {Object} profile - Max, resting and lactate threshold heart rate, and age
+ * @param {string} model - Zone model the profile is needed for
+ * @returns {Object} Profile with the names of the estimated values
+ */
+function resolveProfile(profile, model) {
+  const { maxHeartRate, restingHeartRate, lactateThresholdHeartRate, age } = profile;
+  const estimated = [];
+
+  let max = maxHeartRate ?? null;
+  if (max === null && age > 0) {
+    max = estimateMaxHeartRate(age);
+    estimated.push('maxHeartRate');
+  }
+
+  let resting = restingHeartRate ?? null;
+  if (resting === null) {
+    resting = DEFAULT_RESTING_HEART_RATE;
+    estimated.push('restingHeartRate');
+  }
+
+  let threshold = lactateThresholdHeartRate ?? null;
+  if (threshold === null && max !== null) {
+    threshold = Math.round(max * LTHR_FRACTION_OF_MAX);
+    estimated.push('lactateThresholdHeartRate');
+  }
+
+  if (model === 'lthr' && threshold === null) {
+    throw new Error('lactateThresholdHeartRate, maxHeartRate or age is required for the lthr zone model');
+  }
+  if (model !== 'lthr' && max === null) {
+    throw new Error(`maxHeartRate or age is required for the ${model} zone model`);
+  }
+  if (max !== null && !(max > resting)) {
+    throw new Error('maxHeartRate must be greater than restingHeartRate');
+  }
+
+  return {
+    maxHeartRate: max,
+    restingHeartRate: resting,
+    lactateThresholdHeartRate: threshold,
+    estimated
+  };
+}
+
+/**
+ * Works out the heart rate range of each zone
+ * @param {Object} profile - Resolved athlete profile
+ * @param {string} model - "five_zone", "karvonen" or "lthr"
+ * @returns {Array} Zones with a number, name and min and max bpm (max exclusive, null when open-ended)
+ */
+function buildZones(profile, model) {
+  const { maxHeartRate, restingHeartRate, lactateThresholdHeartRate } = profile;
+  let bounds;
+  if (model === 'lthr') {
+    bounds = LTHR_BOUNDS.map(f => (f === null ? null : Math.round(lactateThresholdHeartRate * f)));
+    bounds[bounds.length - 1] = maxHeartRate;
+  } else if (model === 'karvonen') {
+    bounds = PERCENT_BOUNDS.map(f => Math.round(restingHeartRate + f * (maxHeartRate - restingHeartRate)));
+  } else {
+    bounds = PERCENT_BOUNDS.map(f => Math.round(f * maxHeartRate));
+  }
+
+  return ZONE_NAMES.map((name, i) => ({
+    zone: i + 1,
+    name,
+    min: bounds[i],
+    max: bounds[i + 1]
+  }));
+}
+
+/**
+ * Finds the zone of a heart rate. Heart rates below zone 1 or above zone 5
+ * are counted in those zones.
+ * @param {Array} zones - Zones from buildZones
+ * @param {number} bpm - Heart rate
+ * @returns {number} Zone number
+ */
+function findZone(zones, bpm) {
+  for (let i = zones.length - 1; i > 0; i--) {
+    if (bpm >= zones[i].min) {
+      return zones[i].zone;
+    }
+  }
+  return zones[0].zone;
+}
+
+/**
+ * Works out the time a workout spent in each zone
+ * @param {Object} entry - Activity with its flagged fields
+ * @param {Array} zones - Zones from buildZones
+ * @returns {Object|null} Basis, average heart rate, its zone and seconds per zone, or null without a heart rate
+ */
+function analyzeWorkout({ activity, flagged }, zones) {
+  const seconds = new Array(zones.length).fill(0);
+  const { splits = [], heartRate, time } = activity.extractedData || {};
+
+  // Per-split heart rates say more than one average for the whole workout
+  const usableSplits = splits.filter((split, i) =>
+    split.heart_rate && split.seconds && !flagged.has(`splits[${i}].heart_rate`));
+  if (usableSplits.length > 0 && usableSplits.length === splits.length) {
+    let weighted = 0;
+    let total = 0;
+    for (const split of usableSplits) {
+      const bpm = Number(split.heart_rate);
+      seconds[findZone(zones, bpm) - 1] += split.seconds;
+      weighted += bpm * split.seconds;
+      total += split.seconds;
+    }
+    const average = Math.round(weighted / total);
+    return { basis: 'splits', averageHeartRate: average, zone: findZone(zones, average), seconds };
+  }
+
+  if (!heartRate || flagged.has('heartRate')) {
+    return null;
+  }
+
+  const zone = findZone(zones, heartRate.value);
+  if (time && !flagged.has('time')) {
+    seconds[zone - 1] += time.totalSeconds;
+  }
+  return { basis: 'average', averageHeartRate: heartRate.value, zone, seconds };
+}
+
+/**
+ * Totals the time in each zone over several workouts
+ * @param {Array} workouts - Workouts with seconds per zone
+ * @param {Array} zones - Zones from buildZones
+ * @returns {Array} Seconds, formatted time and share of the total for each zone
+ */
+function totalZones(workouts, zones) {
+  const totals = zones.map((zone, i) => workouts.reduce((sum, w) => sum + w.seconds[i], 0));
+  const all = totals.reduce((sum, s) => sum + s, 0);
+  return zones.map((zone, i) => ({
+    zone: zone.zone,
+    name: zone.name,
+    seconds: totals[i],
+    formatted: formatDuration(totals[i]),
+    percent: all > 0 ? Math.round(totals[i] / all * 1000) / 10 : 0
+  }));
+}
+
+/**
+ * Analyses time in heart rate zones from parsed activities and workout records
+ * @param {Object} params - Task parameters
+ * @param {Array} [params.activities] - Array of parsed running activities, as for the activity summary
+ * @param {Array} [params.records] - NIP-101e workout records, as returned by get_workout_records
+ * @param {Object} [params.profile] - maxHeartRate, restingHeartRate, lactateThresholdHeartRate and age
+ * @param {string} [params.model] - "five_zone" (default), "karvonen" or "lthr"
+ * @param {string} [params.groupBy] - "week", "month" or "year" to also total each calendar period
+ * @param {string} [params.timeZone] - IANA time zone the calendar periods are in, UTC by default
+ * @param {string} [params.weekStart] - "iso" (Monday, default) or "sunday"
+ * @returns {Object} Profile, zones, time in zone per workout and totals
+ */
+async function heartRateZonesTask(params) {
+  const {
+    activities = [],
+    records = [],
+    profile = {},
+    model = 'five_zone',
+    groupBy,
+    timeZone = 'UTC',
+    weekStart = 'iso'
+  } = params;
+
+  if (!Array.isArray(activities) || !Array.isArray(records) || activities.length + records.length === 0) {
+    throw new Error('No activities provided for heart rate zones');
+  }
+  if (!ZONE_MODELS.includes(model)) {
+    throw new Error(`Unsupported zone model: ${model}. Use one of: ${ZONE_MODELS.join(', ')}`);
+  }
+
+  assertTimeZone(timeZone);
+  if (groupBy) {
+    assertPeriod(groupBy, weekStart);
+  }
+
+  const resolved = resolveProfile(profile, model);
+  const zones = buildZones(resolved, model);
+
+  const entries = toEntries([...activities, ...records.map(recordToActivity).filter(Boolean)]);
+  const workouts = [];
+  for (const entry of entries) {
+    const analysis = analyzeWorkout(entry, zones);
+    if (analysis) {
+      const date = getActivityDate(entry.activity);
+      workouts.push({
+        activityIndex: entry.index < activities.length ? entry.index : null,
+        recordId: entry.activity.recordId || null,
+        timestamp: date?.toISOString() || null,
+        ...analysis
+      });
+    }
+  }
+
+  const result = {
+    model,
+    profile: resolved,
+    zones,
+    workouts: workouts.map(({ seconds, ...workout }) => ({
+      ...workout,
+      timeInZones: totalZones([{ seconds }], zones)
+    })),
+    withoutHeartRate: entries.length - workouts.length,
+    totals: totalZones(workouts, zones)
+  };
+
+  // Total each calendar period, including empty ones so charts have no gaps
+  if (groupBy) {
+    const dated = workouts.filter(w => w.timestamp);
+    const times = dated.map(w => new Date(w.timestamp).getTime());
+    const periods = dated.length > 0
+      ? listPeriods(Math.min(...times), Math.max(...times), groupBy, timeZone, weekStart, MAX_GROUPS)
+      : [];
+    result.groups = periods.map(period => {
+      const periodWorkouts = dated.filter((w, i) => times[i] >= period.start && times[i] < period.end);
+      return {
+        key: period.key,
+        start: new Date(period.start).toISOString(),
+        end: new Date(period.end).toISOString(),
+        workouts: periodWorkouts.length,
+        timeInZones: totalZones(periodWorkouts, zones)
+      };
+    });
+  }
+
+  return result;
+}
+
+module.exports = { heartRateZonesTask };
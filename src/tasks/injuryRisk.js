@@ -0,0 +1,365 @@
+/**
+ * Injury Risk Task
+ *
+ * Looks through a runner's activities for the training patterns most often
+ * behind running injuries and overtraining:
+ * - mileage spikes: weekly distance rising more than the 10% rule allows;
+ * - long run jumps: a run much longer than any in the previous four weeks;
+ * - back-to-back hard days, by heart rate or by pace near threshold;
+ * - long stretches of running every day without a rest day.
+ * Each finding is a dated warning with a severity (low, moderate or high)
+ * and the numbers behind it. Only running sports count, values that fail
+ * plausibility validation are not used, and only the latest 26 weeks of runs
+ * are looked through.
+ */
+
+const { assertUnitSystem, readDistance, formatDistance, formatPace } = require('../utils/units');
+const { assertTimeZone, assertPeriod, listPeriods } = require('../utils/dates');
+const { RUNNING_SPORTS, getSport, getActivityDate, toEntries, recordToActivity } = require('../utils/activities');
+const { estimateThresholdPace, getPace } = require('./trainingLoad');
+
+const SEVERITIES = ['low', 'moderate', 'high'];
+// Increases over the previous week or longest run, and the severity they reach
+const INCREASE_SEVERITIES = [[0.5, 'high'], [0.25, 'moderate'], [0.1, 'low']];
+// Weeks and long runs shorter than these are too small a base to compare against
+const MIN_WEEKLY_BASE = 10000;
+const MIN_LONG_RUN = 8000;
+const LONG_RUN_LOOKBACK_DAYS = 28;
+// Consecutive days with a run, and the severity they reach
+const STREAK_SEVERITIES = [[21, 'high'], [14, 'moderate'], [10, 'low']];
+// An activity is hard above this fraction of heart rate reserve, or within this margin of threshold pace
+const HARD_HEART_RATE_RESERVE = 0.8;
+const HARD_PACE_MARGIN = 1.05;
+const DEFAULT_RESTING_HEART_RATE = 60;
+const DEFAULT_MAX_HEART_RATE = 190;
+
+// Risks build up over the weeks before a run, so only the weeks up to the
+// latest run are checked, going back at most HISTORY_WEEKS
+const HISTORY_WEEKS = 26;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds a value to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Finds the severity a value reaches
+ * @param {number} value - Measured value
+ * @param {Array} thresholds - Pairs of threshold and severity, highest first
+ * @returns {string|null} Severity, or null below every threshold
+ */
+function severityOf(value, thresholds) {
+  return thresholds.find(([threshold]) => value >= threshold)?.[1] || null;
+}
+
+/**
+ * Works out why an activity counts as hard, if it does
+ * @param {Object} entry - Activity with its flagged fields
+ * @param {Object} model - Resting and max heart rate and threshold pace
+ * @returns {Object|null} Basis ("heart_rate", "pace" or "race") and the value behind it, or null for an easy activity
+ */
+function hardEffort(entry, model) {
+  const { heartRate, race } = entry.activity.extractedData || {};
+  if (heartRate && !entry.flagged.has('heartRate')) {
+    const reserve = (heartRate.value - model.restingHeartRate) / (model.maxHeartRate - model.restingHeartRate);
+    if (reserve >= HARD_HEART_RATE_RESERVE) {
+      return { basis: 'heart_rate', heartRate: heartRate.value };
+    }
+  }
+
+  const pace = getPace(entry);
+  if (pace && model.thresholdPace && pace <= model.thresholdPace * HARD_PACE_MARGIN) {
+    return { basis: 'pace', secondsPerKm: round(pace) };
+  }
+
+  return race ? { basis: 'race' } : null;
+}
+
+/**
+ * Sorts runs into the periods they fall in
+ * @param {Array} periods - Consecutive periods, oldest first
+ * @param {Array} runs - Runs with a time, oldest first
+ * @returns {Array} Runs of each period
+ */
+function groupRuns(periods, runs) {
+  const groups = periods.map(() => []);
+  let i = 0;
+  for (const run of runs) {
+    while (i < periods.length && run.time >= periods[i].end) {
+      i++;
+    }
+    if (i < periods.length && run.time >= periods[i].start) {
+      groups[i].push(run);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Builds a warning
+ * @param {string} type - Kind of risk, e.g. "mileage_spike"
+ * @param {string} severity - "low", "moderate" or "high"
+ * @param {string} date - Day (YYYY-MM-DD) the risk starts
+ * @param {string} message - Human-readable explanation
+ * @param {Object} data - Numbers behind the warning
+ * @returns {Object} Warning
+ */
+function createWarning(type, severity, date, message, data) {
+  return { type, severity, date, message, data };
+}
+
+/**
+ * Flags weeks whose running distance rose more than 10% over the week before
+ * @param {Array} weeks - Weeks with their running distance
+ * @param {string} units - "metric" or "imperial", for messages
+ * @returns {Array} Warnings
+ */
+function findMileageSpikes(weeks, units) {
+  const warnings = [];
+  for (let i = 1; i < weeks.length; i++) {
+    const previous = weeks[i - 1].distance;
+    const current = weeks[i].distance;
+    if (previous < MIN_WEEKLY_BASE) {
+      continue;
+    }
+    const increase = (current - previous) / previous;
+    const severity = severityOf(increase, INCREASE_SEVERITIES);
+    if (severity) {
+      warnings.push(createWarning('mileage_spike', severity, weeks[i].key,
+        `Weekly distance rose ${Math.round(increase * 100)}% from ${formatDistance(previous, units)} to ${formatDistance(current, units)}, beyond the 10% rule`,
+        { previousDistance: round(previous), distance: round(current), increasePercent: round(increase * 100) }));
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Flags runs much longer than the longest run of the previous four weeks
+ * @param {Array} runs - Runs with a time, day and distance, oldest first
+ * @param {string} units - "metric" or "imperial", for messages
+ * @returns {Array} Warnings
+ */
+function findLongRunJumps(runs, units) {
+  const warnings = [];
+  for (const run of runs) {
+    // Without four weeks of history there is nothing to say the run is a jump
+    if (!(run.distance >= MIN_LONG_RUN) || runs[0].time > run.time - LONG_RUN_LOOKBACK_DAYS * DAY) {
+      continue;
+    }
+    const previous = runs.filter(r => r.distance && r.time < run.time && r.time >= run.time - LONG_RUN_LOOKBACK_DAYS * DAY);
+    if (previous.length === 0) {
+      continue;
+    }
+    const longest = Math.max(...previous.map(r => r.distance));
+    const increase = (run.distance - longest) / longest;
+    const severity = severityOf(increase, INCREASE_SEVERITIES);
+    if (severity) {
+      warnings.push(createWarning('long_run_jump', severity, run.day,
+        `A ${formatDistance(run.distance, units)} run is ${Math.round(increase * 100)}% longer than the longest of the previous ${LONG_RUN_LOOKBACK_DAYS} days (${formatDistance(longest, units)})`,
+        { activityIndex: run.index, distance: round(run.distance), previousLongest: round(longest), increasePercent: round(increase * 100) }));
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Flags runs of consecutive days with a hard activity
+ * @param {Array} days - Days with their hard activities
+ * @returns {Array} Warnings
+ */
+function findBackToBackHardDays(days) {
+  const warnings = [];
+  let i = 0;
+  while (i < days.length) {
+    let j = i;
+    while (j < days.length && days[j].hard.length > 0) {
+      j++;
+    }
+    if (j - i >= 2) {
+      const stretch = days.slice(i, j);
+      warnings.push(createWarning('back_to_back_hard_days', j - i >= 3 ? 'high' : 'moderate', days[i].key,
+        `${j - i} hard days in a row without an easy day between them`,
+        {
+          days: j - i,
+          dates: stretch.map(day => day.key),
+          activities: stretch.flatMap(day => day.hard)
+        }));
+    }
+    i = Math.max(j, i + 1);
+  }
+  return warnings;
+}
+
+/**
+ * Flags long stretches of running every day
+ * @param {Array} days - Days with their runs
+ * @param {string} units - "metric" or "imperial", for messages
+ * @returns {Array} Warnings
+ */
+function findMissingRestDays(days, units) {
+  const warnings = [];
+  let i = 0;
+  while (i < days.length) {
+    let j = i;
+    while (j < days.length && days[j].runs.length > 0) {
+      j++;
+    }
+    const severity = severityOf(j - i, STREAK_SEVERITIES);
+    if (severity) {
+      const distance = days.slice(i, j).reduce((sum, day) => sum + day.distance, 0);
+      warnings.push(createWarning('no_rest_days', severity, days[i].key,
+        `${j - i} days in a row with a run and no rest day, covering ${formatDistance(distance, units)}`,
+        { days: j - i, start: days[i].key, end: days[j - 1].key, distance: round(distance) }));
+    }
+    i = Math.max(j, i + 1);
+  }
+  return warnings;
+}
+
+/**
+ * Looks for injury and overtraining risks in a runner's activities
+ * @param {Object} params - Task parameters
+ * @param {Array} [params.activities] - Array of parsed running activities, as for the activity summary
+ * @param {Array} [params.records] - NIP-101e workout records, as returned by get_workout_records
+ * @param {number} [params.restingHeartRate] - Resting heart rate in bpm, 60 by default
+ * @param {number} [params.maxHeartRate] - Maximum heart rate in bpm, 190 by default
+ * @param {number} [params.thresholdPace] - Threshold pace in seconds per km, estimated from the activities by default
+ * @param {string} [params.timeZone] - IANA time zone days and weeks are counted in, UTC by default
+ * @param {string} [params.weekStart] - "iso" (Monday, default) or "sunday"
+ * @param {string} [params.units] - "metric" (default) or "imperial", for messages and formatted strings
+ * @returns {Object} Dated warnings with their severity and supporting numbers, and the weekly distances checked
+ */
+async function injuryRiskTask(params) {
+  const {
+    activities = [],
+    records = [],
+    restingHeartRate = DEFAULT_RESTING_HEART_RATE,
+    maxHeartRate = DEFAULT_MAX_HEART_RATE,
+    thresholdPace,
+    timeZone = 'UTC',
+    weekStart = 'iso',
+    units = 'metric'
+  } = params;
+
+  if (!Array.isArray(activities) || !Array.isArray(records) || activities.length + records.length === 0) {
+    throw new Error('No activities provided for injury risk analysis');
+  }
+
+  assertUnitSystem(units);
+  assertTimeZone(timeZone);
+  assertPeriod('week', weekStart);
+  if (!(restingHeartRate > 0) || !(maxHeartRate > restingHeartRate)) {
+    throw new Error('maxHeartRate must be greater than restingHeartRate');
+  }
+  if (thresholdPace !== undefined && !(thresholdPace > 0)) {
+    throw new Error('thresholdPace must be a number of seconds per km greater than zero');
+  }
+
+  const entries = toEntries([...activities, ...records.map(recordToActivity).filter(Boolean)])
+    .filter(e => RUNNING_SPORTS.has(getSport(e.activity)) && getActivityDate(e.activity));
+  const model = {
+    restingHeartRate,
+    maxHeartRate,
+    thresholdPace: thresholdPace ?? estimateThresholdPace(entries)
+  };
+
+  const result = {
+    model: {
+      restingHeartRate,
+      maxHeartRate,
+      thresholdPace: model.thresholdPace && {
+        secondsPerKm: round(model.thresholdPace),
+        formatted: formatPace(model.thresholdPace, units),
+        estimated: thresholdPace === undefined
+      }
+    },
+    period: { start: null, end: null },
+    weeks: [],
+    warnings: [],
+    counts: Object.fromEntries(SEVERITIES.map(severity => [severity, 0]))
+  };
+
+  if (entries.length === 0) {
+    return result;
+  }
+
+  const allRuns = entries
+    .map(entry => ({ entry, time: getActivityDate(entry.activity).getTime() }))
+    .sort((a, b) => a.time - b.time);
+
+  // Whole weeks from HISTORY_WEEKS back from the latest run's, or from the
+  // first run when that is later
+  const last = allRuns[allRuns.length - 1].time;
+  const historyStart = last - (HISTORY_WEEKS - 1) * 7 * DAY;
+  const [firstWeek] = listPeriods(historyStart, historyStart, 'week', timeZone, weekStart);
+  const runs = allRuns
+    .filter(({ time }) => time >= firstWeek.start)
+    .map(({ entry, time }) => {
+      const { distance } = entry.activity.extractedData || {};
+      return {
+        index: entry.index < activities.length ? entry.index : null,
+        recordId: entry.activity.recordId || null,
+        time,
+        distance: distance && !entry.flagged.has('distance') ? readDistance(distance) : null,
+        hard: hardEffort(entry, model)
+      };
+    });
+
+  const first = runs[0].time;
+  result.period = { start: new Date(first).toISOString(), end: new Date(last).toISOString() };
+
+  // Every calendar day and week from the first run to the last, rest days included
+  const sumDistance = list => list.reduce((sum, run) => sum + (run.distance || 0), 0);
+  const dayPeriods = listPeriods(first, last, 'day', timeZone);
+  const days = groupRuns(dayPeriods, runs).map((dayRuns, i) => {
+    for (const run of dayRuns) {
+      run.day = dayPeriods[i].key;
+    }
+    return {
+      key: dayPeriods[i].key,
+      runs: dayRuns,
+      distance: sumDistance(dayRuns),
+      hard: dayRuns.filter(run => run.hard).map(run => ({
+        activityIndex: run.index,
+        recordId: run.recordId,
+        ...run.hard
+      }))
+    };
+  });
+  const weekPeriods = listPeriods(first, last, 'week', timeZone, weekStart);
+  const weeks = groupRuns(weekPeriods, runs).map((weekRuns, i) => ({
+    key: weekPeriods[i].key,
+    runs: weekRuns.length,
+    distance: sumDistance(weekRuns),
+    longestRun: Math.max(0, ...weekRuns.map(run => run.distance || 0))
+  }));
+
+  result.weeks = weeks.map(week => ({
+    ...week,
+    distance: round(week.distance),
+    distanceFormatted: formatDistance(week.distance, units),
+    longestRun: round(week.longestRun)
+  }));
+
+  result.warnings = [
+    ...findMileageSpikes(weeks, units),
+    ...findLongRunJumps(runs, units),
+    ...findBackToBackHardDays(days),
+    ...findMissingRestDays(days, units)
+  ].sort((a, b) => a.date.localeCompare(b.date) ||
+    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+
+  for (const warning of result.warnings) {
+    result.counts[warning.severity]++;
+  }
+
+  return result;
+}
+
+module.exports = { injuryRiskTask };
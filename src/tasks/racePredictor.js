@@ -0,0 +1,257 @@
+/**
+ * Race Predictor Task
+ *
+ * Estimates current finish times for the 5K, 10K, half and full marathon
+ * from a runner's best recent effort, using two established models:
+ * - Riegel's formula, T2 = T1 * (D2 / D1) ^ 1.06;
+ * - Jack Daniels' VDOT, an effective VO2max worked out from the effort,
+ *   which also gives the training pace zones.
+ * Activities are accepted in the same shape as the activity summary, and
+ * NIP-101e workout records (kind 1301) can be sent alongside them.
+ */
+
+const {
+  assertUnitSystem,
+  readDistance,
+  readPace,
+  formatPace,
+  formatDistance,
+  formatDuration
+} = require('../utils/units');
+const { RACE_DISTANCES } = require('../parser/races');
+const { RUNNING_SPORTS, getSport, getActivityDate, toEntries, recordToActivity } = require('../utils/activities');
+
+const RIEGEL_EXPONENT = 1.06;
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RECENT_DAYS = 90;
+// Shortest effort the VDOT formulas hold for
+const MIN_EFFORT_METRES = 1500;
+const MIN_EFFORT_SECONDS = 3.5 * 60;
+
+const PREDICTED_RACES = ['5k', '10k', 'half_marathon', 'marathon'];
+
+// Daniels' training intensities as fractions of VDOT
+const PACE_ZONES = {
+  easy: { from: 0.59, to: 0.74 },
+  threshold: { from: 0.83, to: 0.88 },
+  interval: { from: 0.95, to: 1.0 }
+};
+
+/**
+ * Oxygen cost of running at a speed, from Daniels and Gilbert
+ * @param {number} metresPerMinute - Speed
+ * @returns {number} VO2 in ml/kg/min
+ */
+function oxygenCost(metresPerMinute) {
+  return -4.6 + 0.182258 * metresPerMinute + 0.000104 * metresPerMinute ** 2;
+}
+
+/**
+ * Speed whose oxygen cost is a given VO2, the inverse of oxygenCost
+ * @param {number} vo2 - VO2 in ml/kg/min
+ * @returns {number} Speed in metres per minute
+ */
+function speedForOxygenCost(vo2) {
+  const a = 0.000104;
+  const b = 0.182258;
+  const c = -4.6 - vo2;
+  return (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+}
+
+/**
+ * Fraction of VO2max a runner can sustain for a duration, from Daniels and Gilbert
+ * @param {number} minutes - Duration of the effort
+ * @returns {number} Fraction of VO2max
+ */
+function sustainableFraction(minutes) {
+  return 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes);
+}
+
+/**
+ * Works out the VDOT of a race effort
+ * @param {number} metres - Distance
+ * @param {number} seconds - Time
+ * @returns {number} VDOT
+ */
+function calculateVdot(metres, seconds) {
+  const minutes = seconds / 60;
+  return oxygenCost(metres / minutes) / sustainableFraction(minutes);
+}
+
+/**
+ * Finds the time a runner with a VDOT would race a distance in, by bisection
+ * since VDOT falls steadily as the time grows
+ * @param {number} vdot - Runner's VDOT
+ * @param {number} metres - Race distance
+ * @returns {number} Time in seconds
+ */
+function predictVdotTime(vdot, metres) {
+  let fast = 60;
+  let slow = 24 * 60 * 60;
+  for (let i = 0; i < 60; i++) {
+    const mid = (fast + slow) / 2;
+    if (calculateVdot(metres, mid) > vdot) {
+      fast = mid;
+    } else {
+      slow = mid;
+    }
+  }
+  return (fast + slow) / 2;
+}
+
+/**
+ * Predicts a race time with Riegel's formula
+ * @param {number} metres - Distance of the known effort
+ * @param {number} seconds - Time of the known effort
+ * @param {number} targetMetres - Race distance
+ * @returns {number} Time in seconds
+ */
+function predictRiegelTime(metres, seconds, targetMetres) {
+  return seconds * (targetMetres / metres) ** RIEGEL_EXPONENT;
+}
+
+/**
+ * Describes a predicted finish time
+ * @param {number} seconds - Predicted time
+ * @param {number} metres - Race distance
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Time and pace, raw and formatted
+ */
+function describeTime(seconds, metres, units) {
+  const secondsPerKm = seconds / (metres / 1000);
+  return {
+    seconds: Math.round(seconds),
+    formatted: formatDuration(seconds),
+    secondsPerKm: Math.round(secondsPerKm * 10) / 10,
+    paceFormatted: formatPace(secondsPerKm, units)
+  };
+}
+
+/**
+ * Describes a pace range between two fractions of VDOT
+ * @param {number} vdot - Runner's VDOT
+ * @param {Object} zone - Fractions the zone runs from and to
+ * @param {string} units - "metric" or "imperial", for formatted strings
+ * @returns {Object} Slowest and fastest pace of the zone in seconds per km, and formatted
+ */
+function describeZone(vdot, zone, units) {
+  const slowest = 60000 / speedForOxygenCost(vdot * zone.from);
+  const fastest = 60000 / speedForOxygenCost(vdot * zone.to);
+  return {
+    slowest: Math.round(slowest),
+    fastest: Math.round(fastest),
+    formatted: `${formatPace(fastest, units)} - ${formatPace(slowest, units)}`
+  };
+}
+
+/**
+ * Reads the distance and time of an effort, preferring a race's official
+ * finish time unless it failed plausibility validation
+ * @param {Object} entry - Activity with its flagged fields
+ * @returns {Object|null} Metres, seconds and whether it was a race, or null if either is missing
+ */
+function readEffort({ activity, flagged }) {
+  const { distance, time, pace, calculatedPace, race } = activity.extractedData || {};
+  if (race?.distance && race.finishTime?.totalSeconds && !flagged.has('race') && !flagged.has('time')) {
+    return { metres: race.distance, seconds: race.finishTime.totalSeconds, race: true };
+  }
+  if (!distance || flagged.has('distance')) {
+    return null;
+  }
+
+  const metres = readDistance(distance);
+  if (time && !flagged.has('time') && !flagged.has('calculatedPace')) {
+    return { metres, seconds: time.totalSeconds, race: false };
+  }
+  if (pace && !flagged.has('pace')) {
+    return { metres, seconds: readPace(pace) * metres / 1000, race: false };
+  }
+  if (calculatedPace && !flagged.has('calculatedPace')) {
+    return { metres, seconds: readPace(calculatedPace) * metres / 1000, race: false };
+  }
+  return null;
+}
+
+/**
+ * Predicts race times and training paces from parsed activities
+ * @param {Object} params - Task parameters
+ * @param {Array} [params.activities] - Array of parsed running activities, as for the activity summary
+ * @param {Array} [params.records] - NIP-101e workout records, as returned by get_workout_records
+ * @param {number} [params.recentDays] - How far back from the latest effort to look, 90 days by default
+ * @param {string} [params.units] - "metric" (default) or "imperial", for formatted strings
+ * @returns {Object} The effort used, VDOT, predicted finish times and pace zones
+ */
+async function racePredictorTask(params) {
+  const { activities = [], records = [], recentDays = DEFAULT_RECENT_DAYS, units = 'metric' } = params;
+
+  if (!Array.isArray(activities) || !Array.isArray(records) || activities.length + records.length === 0) {
+    throw new Error('No activities provided for race prediction');
+  }
+
+  assertUnitSystem(units);
+  if (!(recentDays > 0)) {
+    throw new Error('recentDays must be a positive number');
+  }
+
+  const entries = toEntries([...activities, ...records.map(recordToActivity).filter(Boolean)]);
+  const efforts = entries
+    .filter(entry => RUNNING_SPORTS.has(getSport(entry.activity)))
+    .map(entry => ({ entry, effort: readEffort(entry), date: getActivityDate(entry.activity) }))
+    .filter(({ effort }) => effort && effort.metres >= MIN_EFFORT_METRES && effort.seconds >= MIN_EFFORT_SECONDS);
+
+  // Only recent efforts say anything about current fitness
+  const dated = efforts.filter(e => e.date);
+  const latest = dated.length > 0 ? Math.max(...dated.map(e => e.date.getTime())) : null;
+  const recent = efforts.filter(e => !e.date || latest - e.date.getTime() <= recentDays * DAY);
+
+  if (recent.length === 0) {
+    throw new Error('No recent runs of at least 1.5 km with both a distance and a time to predict from');
+  }
+
+  // The best performance is the closest to what the runner could race today
+  const scored = recent.map(e => ({ ...e, vdot: calculateVdot(e.effort.metres, e.effort.seconds) }));
+  const best = scored.reduce((a, b) => (b.vdot > a.vdot ? b : a));
+  const { metres, seconds, race } = best.effort;
+  const { activity, index } = best.entry;
+
+  const predictions = PREDICTED_RACES.map(name => {
+    const target = RACE_DISTANCES[name];
+    return {
+      race: name,
+      distance: target,
+      riegel: describeTime(predictRiegelTime(metres, seconds, target), target, units),
+      vdot: describeTime(predictVdotTime(best.vdot, target), target, units)
+    };
+  });
+
+  // Marathon pace is the pace of the predicted marathon
+  const marathon = predictions.find(p => p.race === 'marathon').vdot;
+  const paceZones = {
+    easy: describeZone(best.vdot, PACE_ZONES.easy, units),
+    marathon: {
+      slowest: Math.round(marathon.secondsPerKm),
+      fastest: Math.round(marathon.secondsPerKm),
+      formatted: marathon.paceFormatted
+    },
+    threshold: describeZone(best.vdot, PACE_ZONES.threshold, units),
+    interval: describeZone(best.vdot, PACE_ZONES.interval, units)
+  };
+
+  return {
+    basedOn: {
+      activityIndex: index < activities.length ? index : null,
+      recordId: activity.recordId || null,
+      timestamp: best.date?.toISOString() || null,
+      distance: metres,
+      distanceFormatted: formatDistance(metres, units),
+      time: formatDuration(seconds),
+      race
+    },
+    effortsConsidered: recent.length,
+    vdot: Math.round(best.vdot * 10) / 10,
+    predictions,
+    paceZones
+  };
+}
+
+module.exports = { racePredictorTask };
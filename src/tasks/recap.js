@@ -0,0 +1,151 @@
+/**
+ * Recap Task
+ *
+ * Turns an activity summary into a short paragraph a runner can share,
+ * such as "This week: 42.3 km over 5 runs, avg 5:21/km, longest 16 km —
+ * up 12% on last week". The wording comes from per-language templates so
+ * every client words recaps the same way, and numbers are written the way
+ * the language writes them. The change in distance is worked out from a
+ * summary of the previous period, or from a comparison where `a` is the
+ * previous period and `b` the current one. The recap can also come as an
+ * unsigned kind 1 note tagged #runstr, for the runner to sign and post.
+ */
+
+const { assertUnitSystem, METRES_PER_UNIT, formatPace } = require('../utils/units');
+const { fill, getTemplates } = require('../recap/templates');
+
+const PERIODS = ['week', 'month', 'year'];
+const RECAP_HASHTAG = 'runstr';
+
+/**
+ * Formats a distance with at most one decimal, as the language writes numbers
+ * @param {number} metres - Distance in metres
+ * @param {string} units - "metric" or "imperial"
+ * @param {string} locale - Locale numbers are written in
+ * @returns {string} e.g. "42.3 km", "16 km" or "42,3 km"
+ */
+function formatRecapDistance(metres, units, locale) {
+  const unit = units === 'imperial' ? 'mi' : 'km';
+  const value = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }).format(metres / METRES_PER_UNIT[unit]);
+  return `${value} ${unit}`;
+}
+
+/**
+ * Describes the change in running distance since the previous period
+ * @param {Object} summary - Activity summary of the current period
+ * @param {Object} previousSummary - Activity summary of the previous period
+ * @param {Object} templates - Wording of the recap language
+ * @param {string} period - "week", "month", "year" or "other"
+ * @returns {Object|null} Percent change and its wording, or null without a previous distance to compare with
+ */
+function describeChange(summary, previousSummary, templates, period) {
+  const previousDistance = previousSummary?.totals?.distance;
+  if (!(previousDistance > 0)) {
+    return null;
+  }
+
+  const percent = Math.round((summary.totals.distance - previousDistance) / previousDistance * 100);
+  let template = templates.same;
+  if (percent > 0) {
+    template = templates.up;
+  } else if (percent < 0) {
+    template = templates.down;
+  }
+
+  return {
+    percent,
+    text: fill(template, {
+      percent: new Intl.NumberFormat(templates.locale).format(Math.abs(percent)),
+      previous: templates.previous[period]
+    })
+  };
+}
+
+/**
+ * Writes a recap paragraph from an activity summary
+ * @param {Object} params - Task parameters
+ * @param {Object} [params.summary] - Activity summary, as returned by activity_summary
+ * @param {Object} [params.previousSummary] - Activity summary of the previous period, for the change in distance
+ * @param {Object} [params.comparison] - Result of the compare task, with the previous period as `a` and the current one as `b`, instead of the two summaries
+ * @param {string} [params.period] - "week", "month" or "year", for the heading and comparison wording
+ * @param {string} [params.language] - Language code of the recap, English by default
+ * @param {string} [params.units] - "metric" (default) or "imperial"
+ * @param {boolean} [params.includeEvent] - Also return an unsigned kind 1 note of the recap
+ * @param {string} [params.pubkey] - Author of the note, when known
+ * @returns {Object} Recap text, its language and period, the change in distance and the note if asked for
+ */
+async function recapTask(params) {
+  const {
+    comparison,
+    period,
+    language = 'en',
+    units = 'metric',
+    includeEvent = false,
+    pubkey
+  } = params;
+  const summary = comparison ? comparison.b?.summary : params.summary;
+  const previousSummary = comparison ? comparison.a?.summary : params.previousSummary;
+
+  if (!summary || !summary.totals || !summary.averages || !summary.best) {
+    throw new Error('An activity summary or comparison is required for a recap');
+  }
+  if (period !== undefined && !PERIODS.includes(period)) {
+    throw new Error(`Unsupported recap period: ${period}. Use week, month or year`);
+  }
+  assertUnitSystem(units);
+  const templates = getTemplates(language);
+  const periodKey = period || 'other';
+
+  const runs = summary.runningActivities || 0;
+  const details = [];
+  if (runs === 0) {
+    details.push(templates.noRuns);
+  } else {
+    const count = new Intl.NumberFormat(templates.locale).format(runs);
+    details.push(fill(templates.volume, {
+      distance: formatRecapDistance(summary.totals.distance, units, templates.locale),
+      runs: fill(runs === 1 ? templates.runs.one : templates.runs.other, { count })
+    }));
+    if (summary.averages.pace > 0) {
+      details.push(fill(templates.pace, { pace: formatPace(summary.averages.pace, units) }));
+    }
+    if (summary.best.distance?.metres > 0 && runs > 1) {
+      details.push(fill(templates.longest, {
+        longest: formatRecapDistance(summary.best.distance.metres, units, templates.locale)
+      }));
+    }
+  }
+
+  const change = describeChange(summary, previousSummary, templates, periodKey);
+  let text = fill(templates.recap, {
+    heading: templates.headings[periodKey],
+    details: details.join(templates.separator)
+  });
+  if (change) {
+    text += templates.changeSeparator + change.text;
+  }
+
+  const result = {
+    text,
+    language,
+    period: period || null,
+    distanceChangePercent: change ? change.percent : null
+  };
+
+  // Unsigned, for the runner's own client to sign and publish
+  if (includeEvent) {
+    result.event = {
+      kind: 1,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['t', RECAP_HASHTAG]],
+      content: `${text}\n\n#${RECAP_HASHTAG}`
+    };
+    if (pubkey) {
+      result.event.pubkey = pubkey;
+    }
+  }
+
+  return result;
+}
+
+module.exports = { recapTask };
@@ -6,136 +6,390 @@
  * and other running-related data from unstructured text.
  */
 
-// Regular expressions for parsing running data
-const DISTANCE_REGEX = /(\d+(?:\.\d+)?)\s*(km|mi|mile|miles|kilometers)/i;
-const TIME_REGEX = /(\d+):(\d+):(\d+)|(\d+):(\d+)|(\d+)\s*(h|hr|hrs|hour|hours)|(\d+)\s*(m|min|mins|minute|minutes)|(\d+)\s*(s|sec|secs|second|seconds)/ig;
-const PACE_REGEX = /(\d+):(\d+)(?:\/|\s+per\s+)(km|mi|mile|miles|kilometer|kilometers)/i;
-const ELEVATION_REGEX = /(\d+(?:\.\d+)?)\s*(m|meters|ft|feet)\s+(?:elevation|elev|climb|gain)/i;
-const HEART_RATE_REGEX = /(\d+)\s*(?:bpm|hr|heart\s+rate)/i;
-const WEATHER_REGEX = /(sunny|cloudy|rainy|snowy|windy|hot|cold|warm|cool|humid)/ig;
-const MOOD_REGEX = /(great|good|okay|ok|bad|terrible|amazing|excellent|difficult|hard|easy|challenging|tough|struggled)/ig;
+const { tokenize } = require('../parser/tokenizer');
+const { getLexicon, SUPPORTED_LANGUAGES } = require('../parser/lexicon');
+const { detectLanguage } = require('../parser/language');
+const {
+  labelTokens,
+  pickMainDuration,
+  pickActivityType,
+  CONFIDENCE
+} = require('../parser/grammar');
+const { matchRaceDistance, raceDistance } = require('../parser/races');
+const { resolveActivityStart } = require('../parser/activityStart');
+const { assertTimeZone } = require('../utils/dates');
+const { validateActivity } = require('../validation/plausibility');
+const { getGradeAdjustment } = require('../utils/gradeAdjustment');
+const {
+  METRES_PER_UNIT,
+  assertUnitSystem,
+  toMetres,
+  paceToSecondsPerKm,
+  readPace,
+  formatDuration,
+  formatClock,
+  formatDistance,
+  formatPace,
+  formatElevation,
+  toCelsius,
+  formatTemperature
+} = require('../utils/units');
+
+// Characters of a note that are parsed
+const MAX_PARSED_LENGTH = 5000;
+
+/**
+ * Builds a split in the shape addWorkoutRecord produces from `split` tags
+ * @param {number} number - Split number, starting at 1
+ * @param {number|null} distance - Split distance in metres
+ * @param {number} seconds - Split time in seconds
+ * @returns {Object} Split entry
+ */
+function createSplit(number, distance, seconds) {
+  return {
+    number,
+    distance,
+    unit: 'm',
+    time: formatClock(seconds),
+    seconds,
+    heart_rate: null,
+    heart_rate_unit: null
+  };
+}
+
+/**
+ * Reads the distance a numbered race name gives ("Sunday's 20 miler"), for
+ * notes that state no other. Names alone ("marathon training") don't say a
+ * distance was run.
+ * @param {Object|undefined} raceName - raceName entity from the grammar
+ * @returns {Object|null} Distance entity in miles, or null
+ */
+function milerDistance(raceName) {
+  if (!raceName?.value.endsWith('_mile') || !raceName.distance) {
+    return null;
+  }
+  return { ...raceName, value: raceName.distance / METRES_PER_UNIT.mi, unit: 'mi' };
+}
+
+/**
+ * Describes where in the note an entity was found
+ * @param {string} content - The note content
+ * @param {Object} entity - Labelled entity from the grammar
+ * @returns {Object|null} Character offsets and the matched text
+ */
+function sourceSpan(content, entity) {
+  if (entity.start === null) {
+    return null;
+  }
+  return {
+    start: entity.start,
+    end: entity.end,
+    text: content.slice(entity.start, entity.end)
+  };
+}
 
 /**
  * Parses running notes to extract structured data
  * @param {Object} params - Task parameters
  * @param {string} params.content - The note content to parse
+ * @param {string} [params.language] - Language code, detected from the content if omitted
+ * @param {number} [params.created_at] - When the note was posted, in unix seconds
+ * @param {string} [params.timeZone] - IANA time zone of the runner, UTC by default
+ * @param {string} [params.units] - "metric" (default) or "imperial", for formatted strings
  * @returns {Object} Structured running data
  */
 async function runningNotesTask(params) {
-  const { content } = params;
+  const { content, language, created_at: createdAt, timeZone = 'UTC', units = 'metric' } = params;
   
   if (!content) {
     throw new Error('No content provided to parse');
   }
   
+  if (language && !SUPPORTED_LANGUAGES.includes(language)) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+  
+  if (createdAt !== undefined && (!Number.isFinite(createdAt) || createdAt < 0)) {
+    throw new Error('created_at must be a unix timestamp in seconds');
+  }
+  
+  assertTimeZone(timeZone);
+  assertUnitSystem(units);
+  
   const result = {
     rawContent: content,
-    extractedData: {}
+    language: language ? { code: language, confidence: 1 } : detectLanguage(content.slice(0, MAX_PARSED_LENGTH)),
+    extractedData: {},
+    warnings: []
   };
   
-  // Extract distance
-  const distanceMatch = content.match(DISTANCE_REGEX);
-  if (distanceMatch) {
+  const lexicon = getLexicon(result.language.code);
+  // What a run was comes first; parsing all of a very long note would only cost time
+  const tokens = tokenize(content.slice(0, MAX_PARSED_LENGTH), lexicon);
+  const entities = labelTokens(tokens, lexicon);
+  const first = label => entities.find(e => e.label === label);
+  
+  // Extract distance, or the one a numbered race name gives
+  const distance = first('distance') || milerDistance(first('raceName'));
+  const metres = distance ? toMetres(distance.value, distance.unit) : null;
+  if (distance) {
     result.extractedData.distance = {
-      value: parseFloat(distanceMatch[1]),
-      unit: distanceMatch[2].toLowerCase()
+      value: distance.value,
+      unit: distance.unit,
+      metres,
+      formatted: formatDistance(metres, units),
+      span: sourceSpan(content, distance),
+      confidence: distance.confidence
     };
   }
   
+  // Classify the sport (run, trail_run, treadmill, walk, hike, ride, swim, ruck)
+  const activityType = pickActivityType(entities.filter(e => e.label === 'activity'), distance);
+  result.extractedData.activityType = {
+    value: activityType.value,
+    span: sourceSpan(content, activityType),
+    confidence: activityType.confidence
+  };
+  
   // Extract time
-  const timeMatches = [...content.matchAll(TIME_REGEX)];
-  if (timeMatches.length > 0) {
-    let totalSeconds = 0;
-    
-    for (const match of timeMatches) {
-      if (match[1] && match[2] && match[3]) {
-        // HH:MM:SS format
-        totalSeconds += parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]);
-      } else if (match[4] && match[5]) {
-        // MM:SS format
-        totalSeconds += parseInt(match[4]) * 60 + parseInt(match[5]);
-      } else if (match[6] && (match[7]?.toLowerCase().startsWith('h'))) {
-        // X hours format
-        totalSeconds += parseInt(match[6]) * 3600;
-      } else if (match[8] && (match[9]?.toLowerCase().startsWith('m'))) {
-        // X minutes format
-        totalSeconds += parseInt(match[8]) * 60;
-      } else if (match[10] && (match[11]?.toLowerCase().startsWith('s'))) {
-        // X seconds format
-        totalSeconds += parseInt(match[10]);
-      }
-    }
-    
-    // Convert seconds to HH:MM:SS
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
+  const duration = pickMainDuration(tokens, entities.filter(e => e.label === 'duration'), lexicon);
+  if (duration) {
+    const totalSeconds = duration.totalSeconds;
     
     result.extractedData.time = {
-      hours,
-      minutes,
-      seconds,
+      hours: Math.floor(totalSeconds / 3600),
+      minutes: Math.floor((totalSeconds % 3600) / 60),
+      seconds: Math.floor(totalSeconds % 60),
       totalSeconds,
-      formatted: `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+      formatted: formatDuration(totalSeconds),
+      span: sourceSpan(content, duration),
+      confidence: duration.confidence
     };
   }
   
-  // Extract pace
-  const paceMatch = content.match(PACE_REGEX);
-  if (paceMatch) {
+  // Extract pace, falling back to the distance unit when the note only says "pace 5:00"
+  const pace = first('pace');
+  if (pace) {
+    const unit = pace.unit || (distance?.unit === 'mi' ? 'mi' : 'km');
+    const secondsPerKm = paceToSecondsPerKm(pace.totalSeconds, unit);
+    
     result.extractedData.pace = {
-      minutes: parseInt(paceMatch[1]),
-      seconds: parseInt(paceMatch[2]),
-      unit: paceMatch[3].toLowerCase().startsWith('km') ? 'km' : 'mi',
-      formatted: `${paceMatch[1]}:${paceMatch[2].padStart(2, '0')}/${paceMatch[3].toLowerCase().startsWith('km') ? 'km' : 'mi'}`
+      minutes: Math.floor(pace.totalSeconds / 60),
+      seconds: pace.totalSeconds % 60,
+      unit,
+      secondsPerKm,
+      formatted: formatPace(secondsPerKm, units),
+      span: sourceSpan(content, pace),
+      confidence: pace.confidence
     };
   }
   
+  // Recognise races and personal record claims
+  const raceName = first('raceName');
+  const raceCue = first('raceCue');
+  const personalRecord = entities.find(e => e.label === 'pr' && !e.negated);
+  if (raceName || raceCue || personalRecord || duration?.official) {
+    // "Ultra" is a category, so a recognisable distance ("50K ultra") names it better
+    const named = raceName && raceName.value !== 'ultra' ? raceName.value : null;
+    const name = named || (metres && matchRaceDistance(metres)) || raceName?.value || null;
+    const canonical = raceName?.distance || (name && raceDistance(name));
+    
+    result.extractedData.race = {
+      name,
+      distance: canonical || (metres && Math.round(metres)) || null,
+      finishTime: duration ? {
+        formatted: formatDuration(duration.totalSeconds),
+        totalSeconds: duration.totalSeconds,
+        official: Boolean(duration.official)
+      } : null,
+      pr: {
+        claimed: Boolean(personalRecord),
+        improvement: personalRecord?.improvement ?? null,
+        span: personalRecord ? sourceSpan(content, personalRecord) : null
+      },
+      span: sourceSpan(content, raceName || raceCue || personalRecord || duration),
+      confidence: raceName || duration?.official ? CONFIDENCE.explicit : CONFIDENCE.cued
+    };
+  }
+  
+  // Extract intervals, with actual rep times as splits of the rep distance
+  const intervals = entities.filter(e => e.label === 'interval');
+  if (intervals.length > 0) {
+    result.extractedData.intervals = intervals.map(interval => ({
+      sets: interval.sets,
+      reps: interval.reps,
+      repDistance: interval.repDistance,
+      repDuration: interval.repDuration,
+      unit: 'm',
+      target: interval.target && {
+        time: formatClock(interval.target.seconds),
+        seconds: interval.target.seconds,
+        per: interval.target.per,
+        secondsPerKm: interval.target.per ? paceToSecondsPerKm(interval.target.seconds, interval.target.per) : null
+      },
+      actual: interval.actual.map((seconds, index) => createSplit(index + 1, interval.repDistance, seconds)),
+      recovery: interval.recovery,
+      setRecovery: interval.setRecovery,
+      span: sourceSpan(content, interval),
+      confidence: interval.confidence
+    }));
+  }
+  
+  // Extract splits, assumed to be per kilometre or per mile following the note's distance
+  const splits = entities.filter(e => e.label === 'split');
+  if (splits.length > 0) {
+    const splitDistance = distance?.unit === 'mi'
+      ? Math.round(METRES_PER_UNIT.mi)
+      : METRES_PER_UNIT.km;
+    
+    result.extractedData.splits = splits.map((split, index) => ({
+      ...createSplit(index + 1, splitDistance, split.totalSeconds),
+      span: sourceSpan(content, split),
+      confidence: split.confidence
+    }));
+  }
+  
   // Extract elevation
-  const elevationMatch = content.match(ELEVATION_REGEX);
-  if (elevationMatch) {
+  const elevation = first('elevation');
+  if (elevation) {
+    const elevationMetres = toMetres(elevation.value, elevation.unit);
     result.extractedData.elevation = {
-      value: parseFloat(elevationMatch[1]),
-      unit: elevationMatch[2].toLowerCase().startsWith('m') ? 'meters' : 'feet'
+      value: elevation.value,
+      unit: elevation.unit,
+      metres: elevationMetres,
+      formatted: formatElevation(elevationMetres, units),
+      span: sourceSpan(content, elevation),
+      confidence: elevation.confidence
     };
   }
   
   // Extract heart rate
-  const heartRateMatch = content.match(HEART_RATE_REGEX);
-  if (heartRateMatch) {
-    result.extractedData.heartRate = parseInt(heartRateMatch[1]);
+  const heartRate = first('heartRate');
+  if (heartRate) {
+    result.extractedData.heartRate = {
+      value: heartRate.value,
+      unit: 'bpm',
+      span: sourceSpan(content, heartRate),
+      confidence: heartRate.confidence
+    };
+  }
+  
+  // Extract gear ("in my Vaporflys", "new Pegasus 40")
+  const gear = entities.filter(e => e.label === 'gear');
+  if (gear.length > 0) {
+    result.extractedData.gear = gear.map(e => ({
+      key: e.key,
+      name: e.name,
+      brand: e.brand,
+      model: e.model,
+      version: e.version,
+      isNew: e.isNew,
+      span: sourceSpan(content, e),
+      confidence: e.confidence
+    }));
   }
   
   // Extract weather conditions
-  const weatherMatches = [...content.matchAll(WEATHER_REGEX)];
-  if (weatherMatches.length > 0) {
-    result.extractedData.weather = weatherMatches.map(match => match[0].toLowerCase());
+  const weather = entities.filter(e => e.label === 'weather');
+  if (weather.length > 0) {
+    result.extractedData.weather = weather.map(e => ({
+      value: e.value,
+      span: sourceSpan(content, e),
+      confidence: e.confidence
+    }));
+  }
+  
+  // Extract temperature and humidity ("28°C", "80% humidity")
+  const temperature = first('temperature');
+  if (temperature) {
+    const celsius = toCelsius(temperature.value, temperature.unit);
+    result.extractedData.temperature = {
+      value: temperature.value,
+      unit: temperature.unit,
+      celsius,
+      formatted: formatTemperature(celsius, units),
+      span: sourceSpan(content, temperature),
+      confidence: temperature.confidence
+    };
+  }
+  
+  const humidity = first('humidity');
+  if (humidity) {
+    result.extractedData.humidity = {
+      value: humidity.value,
+      unit: '%',
+      span: sourceSpan(content, humidity),
+      confidence: humidity.confidence
+    };
   }
   
   // Extract mood
-  const moodMatches = [...content.matchAll(MOOD_REGEX)];
-  if (moodMatches.length > 0) {
-    result.extractedData.mood = moodMatches.map(match => match[0].toLowerCase());
+  const mood = entities.filter(e => e.label === 'mood');
+  if (mood.length > 0) {
+    result.extractedData.mood = mood.map(e => ({
+      value: e.value,
+      span: sourceSpan(content, e),
+      confidence: e.confidence
+    }));
+  }
+  
+  // Resolve when the activity happened, counting back from when it was posted
+  if (createdAt !== undefined) {
+    const start = resolveActivityStart(entities, createdAt, timeZone);
+    
+    result.extractedData.activityStart = {
+      timestamp: start.timestamp,
+      iso: new Date(start.timestamp * 1000).toISOString(),
+      timeZone,
+      derivedFrom: start.derivedFrom,
+      // The day if the note names one, otherwise the time of day
+      span: start.entities.length > 0 ? sourceSpan(content, start.entities[0]) : null,
+      confidence: start.confidence
+    };
   }
   
   // Calculate derived metrics if possible
   if (result.extractedData.distance && result.extractedData.time) {
     // Calculate pace if not directly provided
     if (!result.extractedData.pace) {
-      const paceInSeconds = result.extractedData.time.totalSeconds / result.extractedData.distance.value;
-      const paceMinutes = Math.floor(paceInSeconds / 60);
-      const paceSeconds = Math.floor(paceInSeconds % 60);
+      const secondsPerKm = result.extractedData.time.totalSeconds / (metres / METRES_PER_UNIT.km);
+      // Minutes and seconds are per km or per mile, following the units preference
+      const unit = units === 'imperial' ? 'mi' : 'km';
+      const paceInSeconds = Math.round(secondsPerKm * METRES_PER_UNIT[unit] / METRES_PER_UNIT.km);
       
       result.extractedData.calculatedPace = {
-        minutes: paceMinutes,
-        seconds: paceSeconds,
-        unit: result.extractedData.distance.unit,
-        formatted: `${paceMinutes}:${paceSeconds.toString().padStart(2, '0')}/${result.extractedData.distance.unit}`
+        minutes: Math.floor(paceInSeconds / 60),
+        seconds: paceInSeconds % 60,
+        unit,
+        secondsPerKm,
+        formatted: formatPace(secondsPerKm, units),
+        // Derived values have no span of their own and are only as sure as their inputs
+        span: null,
+        confidence: Math.min(result.extractedData.distance.confidence, result.extractedData.time.confidence)
       };
     }
   }
   
+  // Flag values no runner could have produced
+  result.warnings = validateActivity(result.extractedData);
+  
+  // Give hilly runs the pace the same effort would have been on the flat
+  const runPace = result.extractedData.pace || result.extractedData.calculatedPace;
+  const flagged = new Set(result.warnings.map(w => w.field));
+  const adjustment = getGradeAdjustment({ activity: result, flagged });
+  if (runPace && adjustment && !flagged.has('pace') && !flagged.has('calculatedPace')) {
+    const secondsPerKm = readPace(runPace) / adjustment.factor;
+    result.extractedData.gradeAdjustedPace = {
+      secondsPerKm,
+      formatted: formatPace(secondsPerKm, units),
+      factor: Math.round(adjustment.factor * 1000) / 1000,
+      basis: adjustment.basis,
+      span: null,
+      confidence: Math.min(runPace.confidence, result.extractedData.elevation?.confidence ?? 1)
+    };
+  }
+  
   return result;
 }
 
-module.exports = { runningNotesTask }; 
\ No newline at end of file
+module.exports = { runningNotesTask };
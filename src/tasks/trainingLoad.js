@@ -0,0 +1,315 @@
+/**
+ * Training Load Task
+ *
+ * Models how hard a runner has been training. Each activity gets a
+ * training stress in TRIMP (Banister's training impulse) from its duration
+ * and average heart rate. Activities without a heart rate are scored from
+ * their pace relative to the runner's threshold pace, and activities with
+ * neither from duration alone. Daily stress then feeds two models:
+ * - acute (7 day) and chronic (28 day) load and their ratio;
+ * - fitness, fatigue and form curves, which are exponentially weighted
+ *   averages over 42 and 7 days and the difference between them.
+ * Values that fail plausibility validation are not used.
+ */
+
+const { assertUnitSystem, readDistance, readPace, formatPace } = require('../utils/units');
+const { assertTimeZone, listPeriods } = require('../utils/dates');
+const { RUNNING_SPORTS, getSport, getActivityDate, toEntries } = require('../utils/activities');
+
+const DEFAULT_RESTING_HEART_RATE = 60;
+const DEFAULT_MAX_HEART_RATE = 190;
+// Banister's weighting, which makes hard minutes count for more than easy ones
+const TRIMP_FACTOR = 0.64;
+const TRIMP_EXPONENT = 1.92;
+// Fraction of heart rate reserve a runner works at when holding threshold pace
+const THRESHOLD_HEART_RATE_RESERVE = 0.85;
+// Intensity assumed for activities with only a duration, an easy effort
+const EASY_HEART_RATE_RESERVE = 0.6;
+// Shortest run whose pace is taken as an estimate of threshold pace
+const MIN_THRESHOLD_EFFORT = 20 * 60;
+
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+const FATIGUE_DAYS = 7;
+const FITNESS_DAYS = 42;
+// Fitness and fatigue forget old training exponentially: after six fitness
+// spans under 0.3% of a day's load is left, so the curves go back no further
+const HISTORY_DAYS = 6 * FITNESS_DAYS;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds a value to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Computes Banister's training impulse
+ * @param {number} seconds - Duration of the activity
+ * @param {number} heartRateReserve - Fraction of heart rate reserve worked at, between 0 and 1
+ * @returns {number} TRIMP
+ */
+function trimp(seconds, heartRateReserve) {
+  const reserve = Math.min(Math.max(heartRateReserve, 0), 1);
+  return (seconds / 60) * reserve * TRIMP_FACTOR * Math.exp(TRIMP_EXPONENT * reserve);
+}
+
+/**
+ * Reads the duration of an activity, working it out from distance and pace
+ * when the note gave no time
+ * @param {Object} entry - Activity with its flagged fields
+ * @returns {number|null} Duration in seconds
+ */
+function getDuration({ activity, flagged }) {
+  const { time, distance } = activity.extractedData || {};
+  if (time && !flagged.has('time')) {
+    return time.totalSeconds;
+  }
+  const pace = getPace({ activity, flagged });
+  if (distance && !flagged.has('distance') && pace) {
+    return readDistance(distance) / 1000 * pace;
+  }
+  return null;
+}
+
+/**
+ * Reads the pace of an activity
+ * @param {Object} entry - Activity with its flagged fields
+ * @returns {number|null} Pace in seconds per km
+ */
+function getPace({ activity, flagged }) {
+  const { pace, calculatedPace } = activity.extractedData || {};
+  if (pace && !flagged.has('pace')) {
+    return readPace(pace);
+  }
+  if (calculatedPace && !flagged.has('calculatedPace')) {
+    return readPace(calculatedPace);
+  }
+  return null;
+}
+
+/**
+ * Estimates threshold pace as the fastest pace held for at least 20
+ * minutes, or the fastest pace at all when no run is that long
+ * @param {Array} entries - Running activities with their flagged fields
+ * @returns {number|null} Pace in seconds per km
+ */
+function estimateThresholdPace(entries) {
+  const efforts = entries
+    .map(entry => ({ pace: getPace(entry), duration: getDuration(entry) }))
+    .filter(e => e.pace);
+  const sustained = efforts.filter(e => e.duration >= MIN_THRESHOLD_EFFORT);
+  const candidates = sustained.length > 0 ? sustained : efforts;
+  return candidates.length > 0 ? Math.min(...candidates.map(e => e.pace)) : null;
+}
+
+/**
+ * Scores the training stress of one activity
+ * @param {Object} entry - Activity with its flagged fields
+ * @param {Object} model - Resting and max heart rate and threshold pace
+ * @returns {Object|null} Load, the method used and the heart rate reserve, or null without a duration
+ */
+function scoreActivity(entry, model) {
+  const seconds = getDuration(entry);
+  if (!(seconds > 0)) {
+    return null;
+  }
+
+  const heartRate = entry.activity.extractedData?.heartRate;
+  if (heartRate && !entry.flagged.has('heartRate')) {
+    const reserve = (heartRate.value - model.restingHeartRate) / (model.maxHeartRate - model.restingHeartRate);
+    return { load: trimp(seconds, reserve), method: 'heart_rate', heartRateReserve: reserve };
+  }
+
+  // Without a heart rate, pace relative to threshold stands in for effort
+  const pace = getPace(entry);
+  if (pace && model.thresholdPace && RUNNING_SPORTS.has(getSport(entry.activity))) {
+    const reserve = THRESHOLD_HEART_RATE_RESERVE * (model.thresholdPace / pace);
+    return { load: trimp(seconds, reserve), method: 'pace', heartRateReserve: reserve };
+  }
+
+  return { load: trimp(seconds, EASY_HEART_RATE_RESERVE), method: 'duration', heartRateReserve: EASY_HEART_RATE_RESERVE };
+}
+
+/**
+ * Averages the last values of a series
+ * @param {Array} values - Daily values
+ * @param {number} end - Index of the last day included
+ * @param {number} days - Number of days averaged
+ * @returns {number} Mean over the window, counting days before the series as zero
+ */
+function rollingMean(values, end, days) {
+  let sum = 0;
+  for (let i = Math.max(0, end - days + 1); i <= end; i++) {
+    sum += values[i];
+  }
+  return sum / days;
+}
+
+/**
+ * Finds the day a time falls on
+ * @param {Array} days - Consecutive calendar days, as listed by listPeriods
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Index of the day, or -1 outside the days
+ */
+function findDay(days, time) {
+  let low = 0;
+  let high = days.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (time < days[middle].start) {
+      high = middle - 1;
+    } else if (time >= days[middle].end) {
+      low = middle + 1;
+    } else {
+      return middle;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Models training load from a collection of parsed running activities
+ * @param {Object} params - Task parameters
+ * @param {Array} params.activities - Array of parsed running activities
+ * @param {number} [params.restingHeartRate] - Resting heart rate in bpm, 60 by default
+ * @param {number} [params.maxHeartRate] - Maximum heart rate in bpm, 190 by default
+ * @param {number} [params.thresholdPace] - Threshold pace in seconds per km, estimated from the activities by default
+ * @param {string} [params.until] - Last day of the curves as an ISO date, today by default
+ * @param {string} [params.timeZone] - IANA time zone the days are in, UTC by default
+ * @param {string} [params.units] - "metric" (default) or "imperial", for formatted strings
+ * @returns {Object} Per-activity loads and daily load, fitness, fatigue and form
+ */
+async function trainingLoadTask(params) {
+  const {
+    activities,
+    restingHeartRate = DEFAULT_RESTING_HEART_RATE,
+    maxHeartRate = DEFAULT_MAX_HEART_RATE,
+    thresholdPace,
+    until,
+    timeZone = 'UTC',
+    units = 'metric'
+  } = params;
+
+  if (!activities || !Array.isArray(activities) || activities.length === 0) {
+    throw new Error('No activities provided for training load');
+  }
+
+  assertUnitSystem(units);
+  assertTimeZone(timeZone);
+  if (!(restingHeartRate > 0) || !(maxHeartRate > restingHeartRate)) {
+    throw new Error('maxHeartRate must be greater than restingHeartRate');
+  }
+  if (thresholdPace !== undefined && !(thresholdPace > 0)) {
+    throw new Error('thresholdPace must be a number of seconds per km greater than zero');
+  }
+  const untilTime = until ? new Date(until).getTime() : Date.now();
+  if (!Number.isFinite(untilTime)) {
+    throw new Error(`Invalid until date: ${until}`);
+  }
+
+  const entries = toEntries(activities);
+  const estimatedPace = thresholdPace === undefined
+    ? estimateThresholdPace(entries.filter(e => RUNNING_SPORTS.has(getSport(e.activity))))
+    : null;
+  const model = {
+    restingHeartRate,
+    maxHeartRate,
+    thresholdPace: thresholdPace ?? estimatedPace
+  };
+
+  const scored = [];
+  const skippedActivities = [];
+  for (const entry of entries) {
+    const date = getActivityDate(entry.activity);
+    const score = date ? scoreActivity(entry, model) : null;
+    if (score) {
+      scored.push({ index: entry.index, time: date.getTime(), ...score });
+    } else {
+      skippedActivities.push(entry.index);
+    }
+  }
+
+  const result = {
+    model: {
+      restingHeartRate,
+      maxHeartRate,
+      thresholdPace: model.thresholdPace && {
+        secondsPerKm: round(model.thresholdPace),
+        formatted: formatPace(model.thresholdPace, units),
+        estimated: thresholdPace === undefined
+      },
+      acuteDays: ACUTE_DAYS,
+      chronicDays: CHRONIC_DAYS,
+      fatigueDays: FATIGUE_DAYS,
+      fitnessDays: FITNESS_DAYS
+    },
+    activities: [],
+    skippedActivities,
+    daily: [],
+    current: null
+  };
+
+  if (scored.length === 0) {
+    return result;
+  }
+
+  // One entry per calendar day from the first activity, rest days included,
+  // going back at most HISTORY_DAYS from the last day
+  const firstTime = Math.min(...scored.map(s => s.time));
+  const lastTime = Math.max(untilTime, firstTime);
+  const days = listPeriods(Math.max(firstTime, lastTime - (HISTORY_DAYS - 1) * DAY), lastTime, 'day', timeZone);
+  const dailyLoad = days.map(() => 0);
+  for (const s of scored) {
+    const i = findDay(days, s.time);
+    if (i !== -1) {
+      dailyLoad[i] += s.load;
+      s.date = days[i].key;
+    }
+  }
+
+  result.activities = scored
+    .sort((a, b) => a.time - b.time)
+    .map(s => ({
+      activityIndex: s.index,
+      // Activities before the curves still get their date
+      date: s.date || (s.time < days[0].start ? listPeriods(s.time, s.time, 'day', timeZone)[0].key : null),
+      load: round(s.load),
+      method: s.method,
+      heartRateReserve: Math.round(s.heartRateReserve * 100) / 100
+    }));
+
+  const fatigueDecay = Math.exp(-1 / FATIGUE_DAYS);
+  const fitnessDecay = Math.exp(-1 / FITNESS_DAYS);
+  let fatigue = 0;
+  let fitness = 0;
+
+  result.daily = days.map((day, i) => {
+    // Form is how fresh the runner went into the day, before its training
+    const form = fitness - fatigue;
+    fatigue = fatigue * fatigueDecay + dailyLoad[i] * (1 - fatigueDecay);
+    fitness = fitness * fitnessDecay + dailyLoad[i] * (1 - fitnessDecay);
+
+    const acuteLoad = rollingMean(dailyLoad, i, ACUTE_DAYS);
+    const chronicLoad = rollingMean(dailyLoad, i, CHRONIC_DAYS);
+
+    return {
+      date: day.key,
+      load: round(dailyLoad[i]),
+      acuteLoad: round(acuteLoad),
+      chronicLoad: round(chronicLoad),
+      acuteChronicRatio: chronicLoad > 0 ? Math.round(acuteLoad / chronicLoad * 100) / 100 : null,
+      fitness: round(fitness),
+      fatigue: round(fatigue),
+      form: round(form)
+    };
+  });
+  result.current = result.daily[result.daily.length - 1];
+
+  return result;
+}
+
+module.exports = { trainingLoadTask, estimateThresholdPace, getPace };
@@ -0,0 +1,194 @@
+/**
+ * Activity Utilities
+ *
+ * Readers shared by the tasks that analyse a collection of parsed running
+ * notes, so every task agrees on an activity's sport, its date and which of
+ * its values failed plausibility validation. NIP-101e workout records are
+ * converted to the same shape so they can be analysed alongside notes.
+ */
+
+const { validateActivity } = require('../validation/plausibility');
+const { getLexicon } = require('../parser/lexicon');
+const { toCelsius } = require('./units');
+
+// Sports whose activities count towards the running statistics
+const RUNNING_SPORTS = new Set(['run', 'trail_run', 'treadmill']);
+
+// Furthest a Date reaches either side of 1970, in seconds
+const MAX_DATE_SECONDS = 8.64e12;
+
+/**
+ * Reads the sport of a parsed activity, defaulting to a run
+ * @param {Object} activity - Parsed running activity
+ * @returns {string} Sport name
+ */
+function getSport(activity) {
+  const activityType = activity.activityType || activity.extractedData?.activityType;
+  if (typeof activityType === 'string') {
+    return activityType;
+  }
+  return activityType?.value || 'run';
+}
+
+/**
+ * Reads when an activity happened: the start resolved from its note
+ * ("yesterday's long run"), falling back to the timestamp it was given
+ * @param {Object} activity - Parsed running activity
+ * @returns {Date|null} Activity date
+ */
+function getActivityDate(activity) {
+  const activityStart = activity.extractedData?.activityStart;
+  if (activityStart) {
+    return new Date(activityStart.timestamp * 1000);
+  }
+  return activity.timestamp ? new Date(activity.timestamp) : null;
+}
+
+/**
+ * Collects the plausibility warnings of an activity. Warnings are worked out
+ * again here rather than trusted from the request, so an activity can't
+ * opt out of validation by sending an empty list.
+ * @param {Object} activity - Parsed running activity
+ * @returns {Array} Warnings
+ */
+function getWarnings(activity) {
+  const warnings = validateActivity(activity.extractedData);
+  for (const warning of activity.warnings || []) {
+    if (!warnings.some(w => w.field === warning.field && w.code === warning.code)) {
+      warnings.push(warning);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Pairs each activity with its index in the request and its flagged fields
+ * @param {Array} activities - Parsed running activities
+ * @returns {Array} Entries with activity, index, warnings and a set of flagged fields
+ */
+function toEntries(activities) {
+  return activities.map((activity, index) => {
+    const warnings = getWarnings(activity);
+    return { activity, index, warnings, flagged: new Set(warnings.map(w => w.field)) };
+  });
+}
+
+/**
+ * Works out the distance of a workout record as the sum of its splits, when
+ * every split has a distance and none is impossible
+ * @param {Object} record - Workout record as stored by the DVM
+ * @returns {number|null} Distance in metres
+ */
+function getRecordDistance(record) {
+  const splitsUsable = record.splits.length > 0 &&
+    record.splits.every(split => split.metres !== null) &&
+    !(record.warnings || []).some(w => w.field.startsWith('splits') && w.severity === 'error');
+  return splitsUsable ? record.splits.reduce((sum, split) => sum + split.metres, 0) : null;
+}
+
+/**
+ * Works out the sport of a workout record from the first sport word in its
+ * title, exercise templates ("33401:<pubkey>:<id>-running"), hashtags and
+ * type. Records typed as something else, such as "cardio" or "strength",
+ * without naming a sport are plain workouts; untyped records are runs.
+ * @param {Object} record - Workout record as stored by the DVM
+ * @returns {string} Sport name, "workout" when only the type is known
+ */
+function getRecordSport(record) {
+  const { activityWords } = getLexicon('en');
+  const sources = [
+    record.title,
+    ...(record.exercises || []).map(exercise => exercise[0]),
+    ...(record.hashtags || []),
+    record.type
+  ];
+  for (const source of sources) {
+    const sport = String(source || '').toLowerCase().split(/[^a-z]+/).find(word => Object.hasOwn(activityWords, word));
+    if (sport) {
+      return activityWords[sport];
+    }
+  }
+  return record.type ? 'workout' : 'run';
+}
+
+/**
+ * Reads when a workout record started, falling back to when it was posted
+ * @param {Object} record - Workout record as stored by the DVM
+ * @returns {number|null} Unix seconds, or null if the time is not one a date can hold
+ */
+function recordTime(record) {
+  const time = record.start || record.created_at;
+  return Number.isFinite(time) && Math.abs(time) <= MAX_DATE_SECONDS ? time : null;
+}
+
+/**
+ * Converts a NIP-101e workout record (kind 1301) to the shape of a parsed
+ * running note, leaving out values that failed validation
+ * @param {Object} record - Workout record as stored by the DVM
+ * @returns {Object|null} Parsed running activity, or null if the record has no usable time
+ */
+function recordToActivity(record) {
+  const time = recordTime(record);
+  if (time === null) {
+    return null;
+  }
+  const metres = getRecordDistance(record);
+  const durationFlagged = (record.warnings || []).some(w =>
+    ['duration', 'end'].includes(w.field) && w.severity === 'error');
+  const splitSeconds = record.splits.length > 0 && record.splits.every(split => split.seconds !== null)
+    ? record.splits.reduce((sum, split) => sum + split.seconds, 0)
+    : null;
+  const seconds = durationFlagged ? null : (record.duration || splitSeconds);
+  const [heartRate] = record.heart_rate_avg || [];
+
+  const extractedData = { activityType: getRecordSport(record) };
+  if (metres) {
+    extractedData.distance = { value: metres, unit: 'm', metres };
+  }
+  if (seconds) {
+    extractedData.time = { totalSeconds: seconds };
+  }
+  if (metres && seconds) {
+    extractedData.calculatedPace = { secondsPerKm: seconds / (metres / 1000) };
+  }
+  if (heartRate !== undefined && !(record.warnings || []).some(w => w.field === 'heart_rate_avg')) {
+    extractedData.heartRate = { value: Number(heartRate) };
+  }
+  const flagged = new Set((record.warnings || []).map(w => w.field));
+  const [temp, tempUnit = 'c'] = record.weather?.temp || [];
+  if (temp !== undefined && Number.isFinite(Number(temp)) && !flagged.has('weather.temp')) {
+    const unit = tempUnit.toLowerCase() === 'f' ? 'f' : 'c';
+    extractedData.temperature = { value: Number(temp), unit, celsius: toCelsius(Number(temp), unit) };
+  }
+  const [humidity] = record.weather?.humidity || [];
+  if (humidity !== undefined && Number.isFinite(Number(humidity)) && !flagged.has('weather.humidity')) {
+    extractedData.humidity = { value: Number(humidity), unit: '%' };
+  }
+  if (record.weather?.condition) {
+    extractedData.weather = [{ value: record.weather.condition }];
+  }
+  if (record.elevation_gain != null) {
+    extractedData.elevation = { value: record.elevation_gain, unit: 'm', metres: record.elevation_gain };
+  }
+  if (record.splits.length > 0) {
+    extractedData.splits = record.splits;
+  }
+
+  return {
+    recordId: record.id,
+    timestamp: new Date(time * 1000).toISOString(),
+    extractedData
+  };
+}
+
+module.exports = {
+  RUNNING_SPORTS,
+  getSport,
+  getActivityDate,
+  getWarnings,
+  toEntries,
+  getRecordDistance,
+  getRecordSport,
+  recordTime,
+  recordToActivity
+};
@@ -0,0 +1,220 @@
+/**
+ * Date Utilities
+ *
+ * Time zone aware calendar helpers built on Intl, so local dates and wall
+ * clock times can be worked out for any IANA time zone without extra
+ * dependencies.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PERIODS = ['week', 'month', 'year'];
+// ISO weeks start on Monday
+const WEEK_STARTS = ['iso', 'sunday'];
+// Most periods a calendar grouping breaks results into, about 19 years of weeks
+const MAX_GROUPS = 1000;
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter that breaks timestamps into local parts
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter for the time zone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Throws if a time zone name is not recognised
+ * @param {string} timeZone - IANA time zone name
+ */
+function assertTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+}
+
+/**
+ * Breaks a timestamp into its wall clock parts in a time zone
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} year, month (1-12), day, hour, minute, second and weekday (0 = Sunday)
+ */
+function getZonedParts(timestamp, timeZone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Works out how far a time zone is ahead of UTC at a given moment
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const p = getZonedParts(timestamp, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a local wall clock time in a time zone to a timestamp. Days past
+ * the end of the month roll over, so day offsets can be added directly.
+ * @param {Object} local - year, month (1-12), day, and optional hour, minute, second
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Milliseconds since the epoch
+ */
+function zonedTimeToTimestamp(local, timeZone = 'UTC') {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = local;
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(guess, timeZone);
+  const timestamp = guess - offset;
+
+  // Around a DST change the offset at the result can differ from the guess
+  const corrected = getTimeZoneOffset(timestamp, timeZone);
+  return corrected === offset ? timestamp : guess - corrected;
+}
+
+/**
+ * Normalizes a calendar date whose day or month overflowed (e.g. 32 October)
+ * @param {Object} date - year, month (1-12) and day
+ * @returns {Object} The same date with a valid month and day
+ */
+function normalizeDate({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Finds the first day of the calendar period containing a date
+ * @param {Object} date - year, month (1-12), day and weekday (0 = Sunday)
+ * @param {string} period - "day", "week", "month" or "year"
+ * @param {string} weekStart - "iso" (Monday) or "sunday"
+ * @returns {Object} year, month and day the period starts on
+ */
+function firstDayOfPeriod(date, period, weekStart) {
+  if (period === 'year') {
+    return { year: date.year, month: 1, day: 1 };
+  }
+  if (period === 'month') {
+    return { year: date.year, month: date.month, day: 1 };
+  }
+  if (period === 'day') {
+    return { year: date.year, month: date.month, day: date.day };
+  }
+  const daysIntoWeek = weekStart === 'sunday' ? date.weekday : (date.weekday + 6) % 7;
+  return normalizeDate({ year: date.year, month: date.month, day: date.day - daysIntoWeek });
+}
+
+/**
+ * Finds the first day of the period after the one starting on a date
+ * @param {Object} first - year, month and day a period starts on
+ * @param {string} period - "day", "week", "month" or "year"
+ * @returns {Object} year, month and day the next period starts on
+ */
+function firstDayOfNextPeriod(first, period) {
+  if (period === 'year') {
+    return { year: first.year + 1, month: 1, day: 1 };
+  }
+  if (period === 'month') {
+    return normalizeDate({ year: first.year, month: first.month + 1, day: 1 });
+  }
+  return normalizeDate({ ...first, day: first.day + (period === 'day' ? 1 : 7) });
+}
+
+/**
+ * Names a period by its first day: "2024", "2024-03" or "2024-03-11" for days and weeks
+ * @param {Object} first - year, month and day the period starts on
+ * @param {string} period - "day", "week", "month" or "year"
+ * @returns {string} Period key
+ */
+function periodKey(first, period) {
+  const month = first.month.toString().padStart(2, '0');
+  const day = first.day.toString().padStart(2, '0');
+  if (period === 'year') {
+    return `${first.year}`;
+  }
+  if (period === 'month') {
+    return `${first.year}-${month}`;
+  }
+  return `${first.year}-${month}-${day}`;
+}
+
+/**
+ * Throws if a calendar grouping is not recognised
+ * @param {string} period - "week", "month" or "year"
+ * @param {string} weekStart - "iso" or "sunday"
+ */
+function assertPeriod(period, weekStart) {
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Unsupported groupBy: ${period}. Use one of: ${PERIODS.join(', ')}`);
+  }
+  if (!WEEK_STARTS.includes(weekStart)) {
+    throw new Error(`Unsupported weekStart: ${weekStart}. Use one of: ${WEEK_STARTS.join(', ')}`);
+  }
+}
+
+/**
+ * Lists the consecutive calendar periods covering a time range, including
+ * periods with nothing in them
+ * @param {number} from - Start of the range, in milliseconds since the epoch
+ * @param {number} to - End of the range, in milliseconds since the epoch
+ * @param {string} period - "day", "week", "month" or "year"
+ * @param {string} [timeZone] - IANA time zone the calendar is in
+ * @param {string} [weekStart] - "iso" (Monday) or "sunday"
+ * @param {number} [maxPeriods] - Most periods to list; longer ranges throw instead
+ * @returns {Array} Periods with a key and start and end in milliseconds (end exclusive)
+ */
+function listPeriods(from, to, period, timeZone = 'UTC', weekStart = 'iso', maxPeriods = Infinity) {
+  const periods = [];
+  let first = firstDayOfPeriod(getZonedParts(from, timeZone), period, weekStart);
+  let start = zonedTimeToTimestamp(first, timeZone);
+
+  while (start <= to) {
+    if (periods.length >= maxPeriods) {
+      throw new Error(`The activities span more than ${maxPeriods} ${period}s`);
+    }
+    const next = firstDayOfNextPeriod(first, period);
+    const end = zonedTimeToTimestamp(next, timeZone);
+    periods.push({ key: periodKey(first, period), start, end });
+    first = next;
+    start = end;
+  }
+
+  return periods;
+}
+
+module.exports = {
+  MAX_GROUPS,
+  assertTimeZone,
+  assertPeriod,
+  getZonedParts,
+  zonedTimeToTimestamp,
+  listPeriods
+};
@@ -0,0 +1,106 @@
+/**
+ * Grade Adjustment
+ *
+ * Converts paces run over hills to their flat-ground equivalent, so a hilly
+ * trail run can be compared with a run on the road. The energy cost of
+ * running on a slope comes from Minetti et al. (2002); a grade-adjusted
+ * pace is the pace that would cost the same energy per kilometre on the
+ * flat. Splits with their own `elevation_gain` and `elevation_loss` (in
+ * metres) are adjusted one by one. Otherwise the activity's elevation gain
+ * is spread over the whole run, assuming a loop that descends as much as it
+ * climbs. Climbing and descending are taken to happen at one steady grade,
+ * over shares of the distance in proportion to the metres gained and lost.
+ */
+
+const { toMetres, readDistance } = require('./units');
+
+// Energy cost of running on the flat, in J/kg/m
+const FLAT_COST = 3.6;
+// Minetti's measurements cover grades of up to 45% either way
+const MAX_GRADE = 0.45;
+
+/**
+ * Energy cost of running at a grade, from Minetti's polynomial
+ * @param {number} grade - Rise over run, negative downhill
+ * @returns {number} Cost in J/kg/m
+ */
+function energyCost(grade) {
+  const i = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, grade));
+  return 155.4 * i ** 5 - 30.4 * i ** 4 - 43.3 * i ** 3 + 46.3 * i ** 2 + 19.5 * i + FLAT_COST;
+}
+
+/**
+ * Works out how much harder than the flat a stretch of running was
+ * @param {number} metres - Distance in metres
+ * @param {number} gain - Metres climbed
+ * @param {number} [loss] - Metres descended, the same as climbed by default
+ * @returns {number} Cost relative to the flat, above 1 when harder
+ */
+function gradeFactor(metres, gain, loss = gain) {
+  const climbing = gain + loss;
+  if (!(metres > 0) || !(climbing > 0)) {
+    return 1;
+  }
+  const grade = climbing / metres;
+  return (gain * energyCost(grade) + loss * energyCost(-grade)) / climbing / FLAT_COST;
+}
+
+/**
+ * Reads the distance of a split in metres
+ * @param {Object} split - Split in the shape of workout record split tags
+ * @returns {number} Metres
+ */
+function splitMetres(split) {
+  return split.metres ?? toMetres(Number(split.distance), split.unit || 'm');
+}
+
+/**
+ * Works out the grade adjustment of an activity, from per-split elevation
+ * when every split has it and from the activity's elevation gain otherwise
+ * @param {Object} entry - Activity with its flagged fields, from toEntries
+ * @returns {Object|null} Factor to divide times by and its basis ("splits" or "elevation"), or null without elevation data
+ */
+function getGradeAdjustment({ activity, flagged }) {
+  const { splits = [], elevation, distance } = activity.extractedData || {};
+
+  const splitsWithElevation = splits.length > 0 && splits.every((split, i) =>
+    split.elevation_gain != null && split.seconds > 0 && splitMetres(split) > 0 && !flagged.has(`splits[${i}]`));
+  if (splitsWithElevation) {
+    const seconds = splits.reduce((sum, split) => sum + split.seconds, 0);
+    const adjusted = adjustSplits(splits).reduce((sum, split) => sum + split.seconds, 0);
+    return { factor: seconds / adjusted, basis: 'splits' };
+  }
+
+  if (!elevation || flagged.has('elevation') || !distance || flagged.has('distance')) {
+    return null;
+  }
+  const gain = elevation.metres ?? toMetres(elevation.value, elevation.unit);
+  return { factor: gradeFactor(readDistance(distance), gain), basis: 'elevation' };
+}
+
+/**
+ * Converts split times to the times the same effort would have taken on
+ * the flat, when the splits have their own elevation
+ * @param {Array} splits - Splits with a distance, seconds and elevation_gain and elevation_loss in metres
+ * @returns {Array} Splits with metres and grade-adjusted seconds
+ */
+function adjustSplits(splits) {
+  return splits.map(split => {
+    const metres = splitMetres(split);
+    const factor = gradeFactor(metres, Number(split.elevation_gain || 0), Number(split.elevation_loss || 0));
+    return { metres, seconds: split.seconds / factor };
+  });
+}
+
+/**
+ * Works out the grade-adjusted pace of an activity
+ * @param {Object} entry - Activity with its flagged fields, from toEntries
+ * @param {number} secondsPerKm - Pace actually run
+ * @returns {number} Flat-equivalent pace in seconds per km, the pace itself without elevation data
+ */
+function gradeAdjustPace(entry, secondsPerKm) {
+  const adjustment = getGradeAdjustment(entry);
+  return adjustment ? secondsPerKm / adjustment.factor : secondsPerKm;
+}
+
+module.exports = { gradeFactor, getGradeAdjustment, adjustSplits, gradeAdjustPace };
@@ -0,0 +1,151 @@
+/**
+ * Network Safety
+ *
+ * Keeps the DVM from being pointed at its own network. Job requests name
+ * URLs to fetch and relays to dial, and anyone can send one, so hosts are
+ * resolved first and refused when any address they resolve to is loopback,
+ * private, link-local or otherwise not on the public internet. URL inputs
+ * are fetched, and relays dialed, through agents that check the address
+ * connected to, so a name can't resolve to a public address for the check
+ * and a private one for the request.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { w3cwebsocket: W3CWebSocket } = require('websocket');
+
+// Addresses a request from a stranger has no business reaching
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Tells whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local, reserved and multicast addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  if (family === 6) {
+    // IPv4-mapped addresses such as ::ffff:127.0.0.1 are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+  }
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolves a host name and checks every address it resolves to
+ * @param {string} hostname - Host name or IP address, IPv6 in brackets or not
+ * @returns {Promise<Array>} Addresses and families, as dns.lookup lists them
+ */
+async function resolvePublicHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (addresses.length === 0 || blocked) {
+    throw new Error(`${host} is not a public address`);
+  }
+  return addresses;
+}
+
+/**
+ * Checks that a URL uses one of the allowed protocols and points to a public host
+ * @param {string} url - URL to check
+ * @param {Array} protocols - Allowed protocols, e.g. ['https:', 'http:']
+ * @returns {Promise<URL>} Parsed URL
+ */
+async function assertPublicUrl(url, protocols) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`invalid URL ${url}`);
+  }
+  if (!protocols.includes(parsed.protocol)) {
+    throw new Error(`unsupported URL protocol ${parsed.protocol}`);
+  }
+  await resolvePublicHost(parsed.hostname);
+  return parsed;
+}
+
+// dns.lookup that refuses names resolving to addresses that aren't public,
+// for the agents to connect through
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (addresses.length === 0 || blocked) {
+      callback(new Error(`${hostname} is not a public address`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Picks the agent a URL is fetched through, for node-fetch's `agent` option
+ * @param {URL} url - URL being fetched or relay being dialed
+ * @returns {http.Agent} Agent that only connects to public addresses
+ */
+function publicAgent(url) {
+  return url.protocol === 'https:' || url.protocol === 'wss:' ? httpsAgent : httpAgent;
+}
+
+// WebSocket that opens its connection through the public agents, for relays
+// named in job requests
+class PublicWebSocket extends W3CWebSocket {
+  constructor(url, protocols) {
+    super(url, protocols, undefined, undefined, { agent: publicAgent(new URL(url)) });
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvePublicHost,
+  assertPublicUrl,
+  publicAgent,
+  PublicWebSocket
+};
@@ -0,0 +1,46 @@
+/**
+ * Recently Active Keys
+ *
+ * The trackers keep what they learn about every runner seen on the relays,
+ * and anyone can post, so each keeps only its most recently active runners.
+ * Maps and sets remember the order keys were added in: a key that is used
+ * again moves to the end, and the oldest are dropped from the front.
+ */
+
+/**
+ * Gets the value of a key, creating it if missing, and marks the key as the
+ * most recently used, dropping the least recently used keys past a size
+ * @param {Map} map - Map in order of use, least recent first
+ * @param {*} key - Key to use
+ * @param {Function} create - Returns the value of a new key
+ * @param {number} max - Most keys kept
+ * @returns {*} Value of the key
+ */
+function touchRecent(map, key, create, max) {
+  let value = map.get(key);
+  if (value === undefined) {
+    value = create();
+  } else {
+    map.delete(key);
+  }
+  map.set(key, value);
+  while (map.size > max) {
+    map.delete(map.keys().next().value);
+  }
+  return value;
+}
+
+/**
+ * Adds a value to a set, dropping the oldest values past a size
+ * @param {Set} set - Set in order of insertion
+ * @param {*} value - Value to add
+ * @param {number} max - Most values kept
+ */
+function addRecent(set, value, max) {
+  set.add(value);
+  while (set.size > max) {
+    set.delete(set.values().next().value);
+  }
+}
+
+module.exports = { touchRecent, addRecent };
@@ -0,0 +1,210 @@
+/**
+ * Unit Utilities
+ *
+ * Every task works in SI internally and in its output: distances in
+ * metres, durations in seconds, paces in seconds per km and temperatures
+ * in degrees Celsius. Spellings like "miles", "kilometres" or "K" are
+ * normalized once on the way in, and the `units` preference of a request
+ * ("metric" or "imperial") only decides how the `formatted` strings read.
+ */
+
+const METRES_PER_UNIT = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  yd: 0.9144,
+  ft: 0.3048
+};
+
+// Every spelling of a length unit we accept, mapped to its canonical form
+const UNIT_ALIASES = {
+  m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  k: 'km', km: 'km', kms: 'km', kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+  mi: 'mi', mile: 'mi', miles: 'mi',
+  yd: 'yd', yds: 'yd', yard: 'yd', yards: 'yd',
+  ft: 'ft', foot: 'ft', feet: 'ft'
+};
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+/**
+ * Throws if a unit system preference is not recognised
+ * @param {string} units - "metric" or "imperial"
+ */
+function assertUnitSystem(units) {
+  if (!UNIT_SYSTEMS.includes(units)) {
+    throw new Error(`Unsupported units: ${units}. Use one of: ${UNIT_SYSTEMS.join(', ')}`);
+  }
+}
+
+/**
+ * Normalizes any spelling of a length unit
+ * @param {string} unit - Unit as written, e.g. "Miles" or "K"
+ * @returns {string|null} Canonical unit (m, km, mi, yd, ft), or null if unknown
+ */
+function normalizeUnit(unit) {
+  return UNIT_ALIASES[String(unit || '').toLowerCase()] || null;
+}
+
+/**
+ * Converts a length to metres
+ * @param {number} value - Length in the given unit
+ * @param {string} unit - Any accepted spelling of a length unit, km if unknown
+ * @returns {number} Metres
+ */
+function toMetres(value, unit) {
+  return value * METRES_PER_UNIT[normalizeUnit(unit) || 'km'];
+}
+
+/**
+ * Converts a pace per unit of distance to seconds per km
+ * @param {number} seconds - Seconds per unit
+ * @param {string} unit - Distance unit the pace is per, km if unknown
+ * @returns {number} Seconds per km
+ */
+function paceToSecondsPerKm(seconds, unit) {
+  return seconds / (toMetres(1, unit) / METRES_PER_UNIT.km);
+}
+
+/**
+ * Reads a parsed distance in metres, converting values from callers that
+ * only send a value and a unit spelling
+ * @param {Object} distance - Distance with metres, or value and unit
+ * @returns {number} Metres
+ */
+function readDistance(distance) {
+  return distance.metres ?? toMetres(distance.value, distance.unit);
+}
+
+/**
+ * Reads a parsed pace in seconds per km, converting paces from callers that
+ * only send minutes, seconds and a unit spelling
+ * @param {Object} pace - Pace with secondsPerKm, or minutes, seconds and unit
+ * @returns {number} Seconds per km
+ */
+function readPace(pace) {
+  return pace.secondsPerKm ?? paceToSecondsPerKm(pace.minutes * 60 + pace.seconds, pace.unit);
+}
+
+/**
+ * Formats seconds as M:SS
+ * @param {number} totalSeconds - Seconds
+ * @returns {string} Formatted time
+ */
+function formatMinutes(totalSeconds) {
+  const rounded = Math.round(totalSeconds);
+  const minutes = Math.floor(rounded / 60);
+  const seconds = rounded % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Formats a number of seconds as HH:MM:SS
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(totalSeconds) {
+  const rounded = Math.round(totalSeconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Formats a number of seconds as M:SS, or H:MM:SS from an hour up,
+ * matching the time field of NIP-101e split tags
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted time
+ */
+function formatClock(totalSeconds) {
+  const rounded = Math.round(totalSeconds);
+  if (rounded < 3600) {
+    return formatMinutes(rounded);
+  }
+  const hours = Math.floor(rounded / 3600);
+  return `${hours}:${formatMinutes(rounded % 3600).padStart(5, '0')}`;
+}
+
+/**
+ * Formats a distance in the preferred unit system
+ * @param {number} metres - Distance in metres
+ * @param {string} [units] - "metric" or "imperial"
+ * @returns {string} e.g. "10.00 km", "800 m", "6.21 mi"
+ */
+function formatDistance(metres, units = 'metric') {
+  if (units === 'imperial') {
+    return `${(metres / METRES_PER_UNIT.mi).toFixed(2)} mi`;
+  }
+  if (metres > 0 && metres < METRES_PER_UNIT.km) {
+    return `${Math.round(metres)} m`;
+  }
+  return `${(metres / METRES_PER_UNIT.km).toFixed(2)} km`;
+}
+
+/**
+ * Formats a pace in the preferred unit system
+ * @param {number} secondsPerKm - Pace in seconds per km
+ * @param {string} [units] - "metric" or "imperial"
+ * @returns {string} e.g. "5:00/km" or "8:03/mi"
+ */
+function formatPace(secondsPerKm, units = 'metric') {
+  if (units === 'imperial') {
+    return `${formatMinutes(secondsPerKm * METRES_PER_UNIT.mi / METRES_PER_UNIT.km)}/mi`;
+  }
+  return `${formatMinutes(secondsPerKm)}/km`;
+}
+
+/**
+ * Formats an elevation in the preferred unit system
+ * @param {number} metres - Elevation in metres
+ * @param {string} [units] - "metric" or "imperial"
+ * @returns {string} e.g. "250 m" or "820 ft"
+ */
+function formatElevation(metres, units = 'metric') {
+  if (units === 'imperial') {
+    return `${Math.round(metres / METRES_PER_UNIT.ft)} ft`;
+  }
+  return `${Math.round(metres)} m`;
+}
+
+/**
+ * Converts a temperature to degrees Celsius
+ * @param {number} value - Temperature in the given unit
+ * @param {string} unit - "c" or "f", Celsius if unknown
+ * @returns {number} Degrees Celsius
+ */
+function toCelsius(value, unit) {
+  return String(unit || '').toLowerCase() === 'f' ? (value - 32) * 5 / 9 : value;
+}
+
+/**
+ * Formats a temperature in the preferred unit system
+ * @param {number} celsius - Temperature in degrees Celsius
+ * @param {string} [units] - "metric" or "imperial"
+ * @returns {string} e.g. "28°C" or "82°F"
+ */
+function formatTemperature(celsius, units = 'metric') {
+  if (units === 'imperial') {
+    return `${Math.round(celsius * 9 / 5 + 32)}°F`;
+  }
+  return `${Math.round(celsius)}°C`;
+}
+
+module.exports = {
+  METRES_PER_UNIT,
+  UNIT_SYSTEMS,
+  assertUnitSystem,
+  normalizeUnit,
+  toMetres,
+  paceToSecondsPerKm,
+  readDistance,
+  readPace,
+  formatDuration,
+  formatClock,
+  formatDistance,
+  formatPace,
+  formatElevation,
+  toCelsius,
+  formatTemperature
+};
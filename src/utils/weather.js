@@ -0,0 +1,109 @@
+/**
+ * Weather Adjustment
+ *
+ * Works out how much the heat slowed a run, so a summer of slower paces
+ * isn't read as lost fitness. Heat stress is measured by the air
+ * temperature plus the dew point, both in degrees Fahrenheit, a rule of
+ * thumb coaches use for pace adjustments: up to 100 the heat costs
+ * nothing, and the expected slowdown grows from 0.5% at 110 to 10% at 180.
+ * The dew point comes from the temperature and relative humidity; without
+ * a humidity reading, a middling 50% is assumed. Cold is not adjusted for.
+ */
+
+const { toCelsius } = require('./units');
+
+// Temperature plus dew point in °F, and the fraction a run slows down by
+const HEAT_SLOWDOWN = [
+  [100, 0],
+  [110, 0.005],
+  [120, 0.01],
+  [130, 0.02],
+  [140, 0.03],
+  [150, 0.045],
+  [160, 0.06],
+  [170, 0.08],
+  [180, 0.1]
+];
+// Beyond the table running hard isn't advised, so the slowdown stops growing
+const MAX_SLOWDOWN = 0.15;
+const ASSUMED_HUMIDITY = 50;
+// Width of the temperature ranges paces are compared across, in °C
+const TEMPERATURE_BUCKET_SIZE = 5;
+
+/**
+ * Works out the dew point with the Magnus formula
+ * @param {number} celsius - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number} Dew point in °C
+ */
+function dewPoint(celsius, humidity) {
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(Math.max(1, humidity) / 100) + a * celsius / (b + celsius);
+  return b * gamma / (a - gamma);
+}
+
+/**
+ * Works out how much the heat slows a run down
+ * @param {number} celsius - Air temperature in °C
+ * @param {number} dewPointCelsius - Dew point in °C
+ * @returns {number} Fraction the pace slows by, e.g. 0.03 for 3%
+ */
+function heatSlowdown(celsius, dewPointCelsius) {
+  const sum = (celsius + dewPointCelsius) * 9 / 5 + 64;
+  const [first] = HEAT_SLOWDOWN;
+  if (sum <= first[0]) {
+    return 0;
+  }
+  const upper = HEAT_SLOWDOWN.findIndex(([limit]) => limit >= sum);
+  const [s0, f0] = HEAT_SLOWDOWN[upper === -1 ? HEAT_SLOWDOWN.length - 2 : upper - 1];
+  const [s1, f1] = HEAT_SLOWDOWN[upper === -1 ? HEAT_SLOWDOWN.length - 1 : upper];
+  return Math.min(MAX_SLOWDOWN, f0 + (f1 - f0) * (sum - s0) / (s1 - s0));
+}
+
+/**
+ * Works out the conditions of an activity and how much the heat slowed it
+ * @param {Object} entry - Activity with its flagged fields, from toEntries
+ * @returns {Object|null} Temperature, humidity, dew point, slowdown and its basis ("dew_point" or "temperature"), or null without a temperature
+ */
+function getWeatherAdjustment({ activity, flagged }) {
+  const { temperature, humidity } = activity.extractedData || {};
+  if (!temperature || flagged.has('temperature')) {
+    return null;
+  }
+
+  const celsius = temperature.celsius ?? toCelsius(temperature.value, temperature.unit);
+  const measured = humidity && !flagged.has('humidity') ? humidity.value : null;
+  const dew = dewPoint(celsius, measured ?? ASSUMED_HUMIDITY);
+  return {
+    celsius,
+    humidity: measured,
+    dewPoint: dew,
+    slowdown: heatSlowdown(celsius, dew),
+    basis: measured !== null ? 'dew_point' : 'temperature'
+  };
+}
+
+/**
+ * Works out the pace an activity would have been run at in cool weather
+ * @param {Object} entry - Activity with its flagged fields, from toEntries
+ * @param {number} secondsPerKm - Pace run
+ * @returns {number} Pace in seconds per km, the pace itself without a temperature
+ */
+function weatherAdjustPace(entry, secondsPerKm) {
+  const adjustment = getWeatherAdjustment(entry);
+  return adjustment ? secondsPerKm / (1 + adjustment.slowdown) : secondsPerKm;
+}
+
+/**
+ * Finds the temperature range a temperature falls in
+ * @param {number} celsius - Temperature in °C
+ * @returns {Object} Key and lower and upper bounds in °C (upper exclusive)
+ */
+function temperatureBucket(celsius) {
+  const min = Math.floor(celsius / TEMPERATURE_BUCKET_SIZE) * TEMPERATURE_BUCKET_SIZE;
+  const max = min + TEMPERATURE_BUCKET_SIZE;
+  return { key: `${min}_${max}`, min, max };
+}
+
+module.exports = { dewPoint, heatSlowdown, getWeatherAdjustment, weatherAdjustPace, temperatureBucket };
@@ -0,0 +1,328 @@
+/**
+ * Plausibility Validation
+ *
+ * Checks parsed notes and workout records against what a human body can
+ * actually do, so a typo ("20 km in 36:40") or a spoofed record can't pass
+ * for a world record. Each problem is reported as a warning naming the
+ * field it concerns; `error` warnings are physically impossible, plain
+ * `warning`s are merely very unlikely. Summaries leave flagged fields out.
+ */
+
+const { METRES_PER_UNIT, toMetres, toCelsius, readDistance, readPace, formatPace } = require('../utils/units');
+
+const SECONDS_PER_HOUR = 3600;
+
+// Fastest running pace in seconds per km held over a distance in metres,
+// a few percent quicker than the world records at those distances
+const RUNNING_PACE_LIMITS = [
+  [1500, 133],
+  [METRES_PER_UNIT.mi, 135],
+  [5000, 146],
+  [10000, 152],
+  [21097.5, 158],
+  [42195, 166],
+  [100000, 212]
+];
+
+// Pace limits in seconds per km and distance limits in metres for each sport
+const SPORT_LIMITS = {
+  run: { fastestPace: null, slowestPace: 1800, maxDistance: 500000 },
+  walk: { fastestPace: 210, slowestPace: 3600, maxDistance: 300000 },
+  hike: { fastestPace: 210, slowestPace: 7200, maxDistance: 300000 },
+  ruck: { fastestPace: 210, slowestPace: 3600, maxDistance: 300000 },
+  ride: { fastestPace: 40, slowestPace: 1800, maxDistance: 1500000 },
+  swim: { fastestPace: 440, slowestPace: 3600, maxDistance: 100000 }
+};
+SPORT_LIMITS.trail_run = SPORT_LIMITS.run;
+SPORT_LIMITS.treadmill = SPORT_LIMITS.run;
+
+const HEART_RATE_RANGE = { min: 25, max: 230 };
+const CADENCE_RANGE = { min: 50, max: 250 };
+const TEMPERATURE_RANGE_C = { min: -60, max: 60 };
+const HUMIDITY_RANGE = { min: 0, max: 100 };
+const MAX_DURATION = 100 * SECONDS_PER_HOUR;
+// Climbing more than half the distance run means an average grade over 100% on the way up
+const MAX_CLIMB_PER_METRE = 0.5;
+// Clocks drift, but not by a day
+const MAX_CLOCK_SKEW = 24 * SECONDS_PER_HOUR;
+
+/**
+ * Builds a warning
+ * @param {string} field - Field the warning concerns, e.g. "pace" or "splits[2]"
+ * @param {string} code - Machine-readable reason
+ * @param {string} message - Human-readable reason
+ * @param {*} value - Offending value
+ * @param {string} [severity] - "error" for impossible values, "warning" for unlikely ones
+ * @returns {Object} Warning
+ */
+function createWarning(field, code, message, value, severity = 'warning') {
+  return { field, code, severity, message, value };
+}
+
+/**
+ * Finds the fastest plausible running pace over a distance, interpolating
+ * between the limits on a log scale
+ * @param {number|null} metres - Distance in metres, or null if unknown
+ * @returns {number} Pace in seconds per km
+ */
+function fastestRunningPace(metres) {
+  const limits = RUNNING_PACE_LIMITS;
+  if (!metres || metres <= limits[0][0]) {
+    return limits[0][1];
+  }
+  if (metres >= limits[limits.length - 1][0]) {
+    return limits[limits.length - 1][1];
+  }
+
+  const upper = limits.findIndex(([distance]) => distance >= metres);
+  const [d0, p0] = limits[upper - 1];
+  const [d1, p1] = limits[upper];
+  const position = Math.log(metres / d0) / Math.log(d1 / d0);
+  return p0 + (p1 - p0) * position;
+}
+
+/**
+ * Checks a pace against the limits of a sport
+ * @param {string} field - Field being checked
+ * @param {number} secondsPerKm - Pace in seconds per km
+ * @param {number|null} metres - Distance the pace was held over, if known
+ * @param {string} sport - Sport of the activity
+ * @returns {Array} Warnings
+ */
+function checkPace(field, secondsPerKm, metres, sport) {
+  const limits = SPORT_LIMITS[sport] || SPORT_LIMITS.run;
+  const fastest = limits.fastestPace ?? fastestRunningPace(metres);
+  const over = metres ? ` over ${(metres / 1000).toFixed(metres < 10000 ? 1 : 0)} km` : '';
+
+  if (!(secondsPerKm > 0)) {
+    return [createWarning(field, 'pace_invalid', 'Pace must be greater than zero', secondsPerKm, 'error')];
+  }
+  if (secondsPerKm < fastest) {
+    return [createWarning(field, 'pace_too_fast',
+      `Pace of ${formatPace(secondsPerKm)}${over} is faster than humanly possible for a ${sport}`,
+      secondsPerKm, 'error')];
+  }
+  if (secondsPerKm > limits.slowestPace) {
+    return [createWarning(field, 'pace_too_slow',
+      `Pace of ${formatPace(secondsPerKm)} is unusually slow for a ${sport}`, secondsPerKm)];
+  }
+  return [];
+}
+
+/**
+ * Checks a heart rate in beats per minute
+ * @param {string} field - Field being checked
+ * @param {number} bpm - Heart rate
+ * @returns {Array} Warnings
+ */
+function checkHeartRate(field, bpm) {
+  if (bpm < HEART_RATE_RANGE.min || bpm > HEART_RATE_RANGE.max) {
+    return [createWarning(field, 'heart_rate_out_of_range',
+      `Heart rate of ${bpm} bpm is outside the human range of ${HEART_RATE_RANGE.min}-${HEART_RATE_RANGE.max} bpm`,
+      bpm, 'error')];
+  }
+  return [];
+}
+
+/**
+ * Checks an air temperature
+ * @param {string} field - Field being checked
+ * @param {number} value - Temperature in the given unit
+ * @param {string} unit - "c" or "f"
+ * @returns {Array} Warnings
+ */
+function checkTemperature(field, value, unit) {
+  const celsius = toCelsius(value, unit);
+  if (celsius < TEMPERATURE_RANGE_C.min || celsius > TEMPERATURE_RANGE_C.max) {
+    return [createWarning(field, 'temperature_out_of_range',
+      `Temperature of ${value}°${(unit || 'c').toUpperCase()} is outside the range recorded on Earth`, value)];
+  }
+  return [];
+}
+
+/**
+ * Checks a relative humidity in percent
+ * @param {string} field - Field being checked
+ * @param {number} percent - Relative humidity
+ * @returns {Array} Warnings
+ */
+function checkHumidity(field, percent) {
+  if (!(percent >= HUMIDITY_RANGE.min && percent <= HUMIDITY_RANGE.max)) {
+    return [createWarning(field, 'humidity_out_of_range',
+      `Humidity of ${percent}% is outside the range of ${HUMIDITY_RANGE.min}-${HUMIDITY_RANGE.max}%`, percent, 'error')];
+  }
+  return [];
+}
+
+/**
+ * Checks the length of an activity in seconds
+ * @param {string} field - Field being checked
+ * @param {number} seconds - Duration
+ * @returns {Array} Warnings
+ */
+function checkDuration(field, seconds) {
+  if (!(seconds > 0)) {
+    return [createWarning(field, 'duration_invalid', 'Duration must be greater than zero', seconds, 'error')];
+  }
+  if (seconds > MAX_DURATION) {
+    return [createWarning(field, 'duration_too_long',
+      `Duration of ${(seconds / SECONDS_PER_HOUR).toFixed(1)} hours is longer than a single activity`, seconds)];
+  }
+  return [];
+}
+
+/**
+ * Checks splits, each with a distance in metres, a time in seconds and
+ * optionally a heart rate
+ * @param {string} field - Field holding the splits
+ * @param {Array} splits - Splits in the shape of workout record split tags
+ * @param {string} sport - Sport of the activity
+ * @returns {Array} Warnings
+ */
+function checkSplits(field, splits, sport) {
+  return splits.flatMap((split, index) => {
+    const warnings = [];
+    const metres = split.metres ?? toMetres(Number(split.distance), split.unit || 'm');
+    if (split.seconds && metres) {
+      warnings.push(...checkPace(`${field}[${index}]`, split.seconds / (metres / 1000), metres, sport));
+    }
+    if (split.heart_rate) {
+      warnings.push(...checkHeartRate(`${field}[${index}].heart_rate`, Number(split.heart_rate)));
+    }
+    return warnings;
+  });
+}
+
+/**
+ * Validates the values parsed from a running note
+ * @param {Object} extractedData - Output of the running notes task
+ * @returns {Array} Warnings, empty if everything is plausible
+ */
+function validateActivity(extractedData = {}) {
+  const sport = typeof extractedData.activityType === 'string'
+    ? extractedData.activityType
+    : extractedData.activityType?.value || 'run';
+  const limits = SPORT_LIMITS[sport] || SPORT_LIMITS.run;
+  const { distance, time, heartRate, elevation, temperature, humidity } = extractedData;
+  const metres = distance ? readDistance(distance) : null;
+  const warnings = [];
+
+  if (distance) {
+    if (!(metres > 0)) {
+      warnings.push(createWarning('distance', 'distance_invalid', 'Distance must be greater than zero', distance.value, 'error'));
+    } else if (metres > limits.maxDistance) {
+      warnings.push(createWarning('distance', 'distance_too_long',
+        `Distance of ${distance.value} ${distance.unit} is longer than a single ${sport}`, distance.value));
+    }
+  }
+
+  if (time) {
+    warnings.push(...checkDuration('time', time.totalSeconds));
+  }
+
+  for (const field of ['pace', 'calculatedPace']) {
+    if (extractedData[field]) {
+      warnings.push(...checkPace(field, readPace(extractedData[field]), metres, sport));
+    }
+  }
+
+  // Callers may send a distance and time without the pace they imply
+  if (!extractedData.calculatedPace && metres > 0 && time?.totalSeconds > 0) {
+    warnings.push(...checkPace('calculatedPace', time.totalSeconds / (metres / 1000), metres, sport));
+  }
+
+  if (heartRate) {
+    warnings.push(...checkHeartRate('heartRate', heartRate.value));
+  }
+
+  if (temperature) {
+    warnings.push(...checkTemperature('temperature', temperature.value, temperature.unit));
+  }
+
+  if (humidity) {
+    warnings.push(...checkHumidity('humidity', humidity.value));
+  }
+
+  if (elevation && metres > 0) {
+    const gain = elevation.metres ?? toMetres(elevation.value, elevation.unit);
+    if (gain > metres * MAX_CLIMB_PER_METRE) {
+      warnings.push(createWarning('elevation', 'elevation_too_steep',
+        `Elevation gain of ${elevation.value} ${elevation.unit} is too steep for ${(metres / 1000).toFixed(1)} km`,
+        elevation.value, 'error'));
+    }
+  }
+
+  // A race's distance and finish time imply a pace of their own, which
+  // may be the only one when the note gave no distance ("marathon in 3:05")
+  const { race } = extractedData;
+  if (race?.distance > 0 && race.finishTime?.totalSeconds !== undefined) {
+    const raceWarnings = checkDuration('race', race.finishTime.totalSeconds);
+    if (raceWarnings.length === 0) {
+      raceWarnings.push(...checkPace('race', race.finishTime.totalSeconds / (race.distance / 1000), race.distance, sport));
+    }
+    warnings.push(...raceWarnings);
+  }
+
+  if (extractedData.splits) {
+    warnings.push(...checkSplits('splits', extractedData.splits, sport));
+  }
+
+  (extractedData.intervals || []).forEach((interval, index) => {
+    warnings.push(...checkSplits(`intervals[${index}].actual`, interval.actual || [], sport));
+  });
+
+  return warnings;
+}
+
+/**
+ * Validates a NIP-101e workout record
+ * @param {Object} record - Workout record as stored by the DVM
+ * @returns {Array} Warnings, empty if everything is plausible
+ */
+function validateWorkoutRecord(record) {
+  const warnings = [];
+  const { start, end } = record;
+
+  if (start !== null && end !== null) {
+    if (end < start) {
+      warnings.push(createWarning('end', 'end_before_start', 'Workout ends before it starts', end, 'error'));
+    } else {
+      warnings.push(...checkDuration('duration', end - start));
+    }
+  }
+
+  if (start !== null && record.created_at && start > record.created_at + MAX_CLOCK_SKEW) {
+    warnings.push(createWarning('start', 'start_in_future', 'Workout starts after it was published', start));
+  }
+
+  const [heartRate] = record.heart_rate_avg || [];
+  if (heartRate !== undefined) {
+    warnings.push(...checkHeartRate('heart_rate_avg', Number(heartRate)));
+  }
+
+  const [cadence] = record.cadence_avg || [];
+  if (cadence !== undefined && (Number(cadence) < CADENCE_RANGE.min || Number(cadence) > CADENCE_RANGE.max)) {
+    warnings.push(createWarning('cadence_avg', 'cadence_out_of_range',
+      `Cadence of ${cadence} spm is outside the range of ${CADENCE_RANGE.min}-${CADENCE_RANGE.max} spm`,
+      Number(cadence)));
+  }
+
+  const [temp, tempUnit] = record.weather?.temp || [];
+  if (temp !== undefined) {
+    warnings.push(...checkTemperature('weather.temp', Number(temp), tempUnit));
+  }
+
+  const [humidity] = record.weather?.humidity || [];
+  if (humidity !== undefined) {
+    warnings.push(...checkHumidity('weather.humidity', Number(humidity)));
+  }
+
+  warnings.push(...checkSplits('splits', record.splits || [], 'run'));
+
+  return warnings;
+}
+
+module.exports = {
+  validateActivity,
+  validateWorkoutRecord
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize } = require('../src/parser/tokenizer');
+const { getLexicon } = require('../src/parser/lexicon');
+const { labelTokens } = require('../src/parser/grammar');
+const { resolveActivityStart } = require('../src/parser/activityStart');
+
+// Posted on Wednesday 14 October 2026 at 16:00 in New York
+const POSTED_AT = Date.UTC(2026, 9, 14, 20, 0) / 1000;
+
+const resolve = content => {
+  const lexicon = getLexicon('en');
+  const start = resolveActivityStart(labelTokens(tokenize(content, lexicon), lexicon), POSTED_AT, 'America/New_York');
+  return { iso: new Date(start.timestamp * 1000).toISOString(), derivedFrom: start.derivedFrom };
+};
+
+test('resolves relative days and parts of the day in the runner\'s time zone', () => {
+  assert.deepEqual(resolve('Ran 10 km this morning'), { iso: '2026-10-14T11:00:00.000Z', derivedFrom: ['part_of_day'] });
+  assert.deepEqual(resolve('Yesterday evening at 6:30 easy run'), {
+    iso: '2026-10-13T22:30:00.000Z',
+    derivedFrom: ['relative_day', 'part_of_day', 'clock_time']
+  });
+});
+
+test('counts back to weekdays and days ago, at noon', () => {
+  assert.deepEqual(resolve('Sunday\'s 20 miler'), { iso: '2026-10-11T16:00:00.000Z', derivedFrom: ['weekday'] });
+  assert.deepEqual(resolve('3 days ago ran 5k'), { iso: '2026-10-11T16:00:00.000Z', derivedFrom: ['days_ago'] });
+});
+
+test('puts clock times later than the posting time on the day before', () => {
+  assert.deepEqual(resolve('Ran at 5:30am'), { iso: '2026-10-14T09:30:00.000Z', derivedFrom: ['clock_time'] });
+  assert.deepEqual(resolve('Ran at 11pm'), { iso: '2026-10-14T03:00:00.000Z', derivedFrom: ['clock_time', 'previous_day'] });
+});
+
+test('falls back to the posting time', () => {
+  assert.deepEqual(resolve('Ran 10 km'), { iso: '2026-10-14T20:00:00.000Z', derivedFrom: ['posted_at'] });
+});
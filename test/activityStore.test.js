@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ActivityStore } = require('../src/activities/activityStore');
+
+const note = (pubkey, id, createdAt) => ({ id, pubkey, kind: 1, content: `Ran ${id} km`, created_at: createdAt, tags: [] });
+
+test('keeps each runner\'s latest notes and records once, newest first', () => {
+  const store = new ActivityStore(2);
+  store.addNote(note('runner', '5', 100));
+  store.addNote(note('runner', '10', 300));
+  store.addNote(note('runner', '10', 300));
+  store.addNote(note('runner', '8', 200));
+  store.addRecord({ id: 'r1', pubkey: 'runner', created_at: 100 });
+
+  assert.deepEqual(store.getNotes('runner').map(n => n.id), ['10', '8']);
+  assert.deepEqual(store.getRecords('runner').map(r => r.id), ['r1']);
+  assert.deepEqual(store.getNotes('someone-else'), []);
+});
+
+test('keeps only the most recently active runners', () => {
+  const store = new ActivityStore(10, 2);
+  store.addNote(note('a', '1', 100));
+  store.addNote(note('b', '2', 100));
+  store.addNote(note('a', '3', 200));
+  store.addNote(note('c', '4', 100));
+
+  assert.deepEqual(store.getNotes('b'), []);
+  assert.deepEqual(store.getNotes('a').map(n => n.id), ['3', '1']);
+  assert.deepEqual(store.getNotes('c').map(n => n.id), ['4']);
+});
+
+test('parses a note again only when the options change', async () => {
+  const store = new ActivityStore();
+  const parses = [];
+  const parse = key => async ({ id }) => {
+    parses.push(`${id}@${key}`);
+    return { key };
+  };
+  store.addNote(note('runner', '5', 100), { key: 'UTC:metric', result: { key: 'UTC:metric' } });
+  store.addNote(note('runner', '10', 200));
+
+  const first = await store.getParsedNotes('runner', 'UTC:metric', parse('UTC:metric'));
+  await store.getParsedNotes('runner', 'UTC:metric', parse('UTC:metric'));
+  const imperial = await store.getParsedNotes('runner', 'UTC:imperial', parse('UTC:imperial'));
+
+  assert.deepEqual(first.map(n => [n.id, n.result.key]), [['10', 'UTC:metric'], ['5', 'UTC:metric']]);
+  assert.deepEqual(imperial.map(n => n.result.key), ['UTC:imperial', 'UTC:imperial']);
+  assert.deepEqual(parses, ['10@UTC:metric', '10@UTC:imperial', '5@UTC:imperial']);
+});
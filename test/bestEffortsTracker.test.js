@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BestEffortsTracker, findBestEfforts } = require('../src/efforts/bestEffortsTracker');
+const { toEntries } = require('../src/utils/activities');
+
+/**
+ * Finds the efforts in an activity's extracted data
+ * @param {Object} extractedData - Parsed activity values
+ * @returns {Object} Efforts by distance name
+ */
+function effortsOf(extractedData) {
+  const [entry] = toEntries([{ timestamp: '2026-01-01T00:00:00.000Z', extractedData }]);
+  return Object.fromEntries(findBestEfforts(entry).map(effort => [effort.distance, effort]));
+}
+
+test('finds the fastest rolling segment inside the splits', () => {
+  // Ten 1 km splits at 5:00/km, with a 4:00 km in the middle
+  const splits = Array.from({ length: 10 }, (_, i) => ({ metres: 1000, seconds: i === 4 ? 240 : 300 }));
+  const efforts = effortsOf({ splits });
+
+  assert.equal(efforts['1k'].seconds, 240);
+  assert.equal(efforts['5k'].seconds, 1440);
+  assert.equal(efforts['10k'].seconds, 2940);
+  assert.equal(efforts['10k'].fromSplits, true);
+  assert.equal(efforts.half_marathon, undefined);
+});
+
+test('counts a whole workout, or a race at its finish time', () => {
+  assert.deepEqual(effortsOf({ distance: { value: 5, unit: 'km' }, time: { totalSeconds: 1500 } })['5k'], {
+    distance: '5k',
+    metres: 5000,
+    seconds: 1500,
+    gradeAdjustedSeconds: 1500,
+    fromSplits: false
+  });
+
+  const race = { distance: 42195, finishTime: { totalSeconds: 11112 } };
+  assert.equal(effortsOf({ race }).marathon.seconds, 11112);
+  // A marathon in 1:30 fails plausibility validation and doesn't count
+  assert.deepEqual(effortsOf({ race: { ...race, finishTime: { totalSeconds: 5400 } } }), {});
+});
+
+test('leaves out workouts with more splits than are searched', () => {
+  const splits = Array.from({ length: 1001 }, () => ({ metres: 100, seconds: 30 }));
+
+  assert.deepEqual(effortsOf({ splits }), {});
+});
+
+test('lists all-time and yearly bests in the runner\'s time zone, counting each event once', () => {
+  const tracker = new BestEffortsTracker();
+  const fiveK = seconds => [{ distance: '5k', metres: 5000, seconds, gradeAdjustedSeconds: seconds, fromSplits: false }];
+  tracker.recordEfforts('runner', fiveK(1500), { eventId: 'a', timestamp: Date.UTC(2025, 5, 1) / 1000, source: 'note' });
+  tracker.recordEfforts('runner', fiveK(1400), { eventId: 'b', timestamp: Date.UTC(2025, 11, 31, 18) / 1000, source: 'note' });
+  tracker.recordEfforts('runner', fiveK(1300), { eventId: 'b', timestamp: Date.UTC(2025, 11, 31, 18) / 1000, source: 'note' });
+
+  const utc = tracker.getBestEfforts('runner');
+  assert.equal(utc.allTime[0].seconds, 1400);
+  assert.equal(utc.allTime[0].formatted, '00:23:20');
+  assert.deepEqual(Object.keys(utc.byYear), ['2025']);
+
+  const tokyo = tracker.getBestEfforts('runner', 'metric', 'Asia/Tokyo');
+  assert.equal(tokyo.byYear['2025'][0].seconds, 1500);
+  assert.equal(tokyo.byYear['2026'][0].seconds, 1400);
+});
+
+test('keeps the most recently active runners and every yearly best', () => {
+  const tracker = new BestEffortsTracker(2);
+  const effort = seconds => [{ distance: '1k', metres: 1000, seconds, gradeAdjustedSeconds: seconds, fromSplits: false }];
+  for (const pubkey of ['a', 'b', 'c']) {
+    tracker.recordEfforts(pubkey, effort(240), { eventId: pubkey, timestamp: 0, source: 'note' });
+  }
+  assert.deepEqual([...tracker.effortsByPubkey.keys()], ['b', 'c']);
+
+  // The fastest, and oldest, effort survives the history being trimmed
+  tracker.recordEfforts('c', effort(180), { eventId: 'fast', timestamp: 1, source: 'note' });
+  for (let i = 0; i < 6000; i++) {
+    tracker.recordEfforts('c', effort(300), { eventId: `slow-${i}`, timestamp: 2 + i, source: 'note' });
+  }
+  assert.equal(tracker.effortsByPubkey.get('c').length, 6000);
+  assert.equal(tracker.getBestEfforts('c').allTime[0].seconds, 180);
+});
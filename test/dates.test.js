@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listPeriods, getZonedParts, assertTimeZone, assertPeriod } = require('../src/utils/dates');
+
+test('lists the calendar months between two times', () => {
+  assert.deepEqual(listPeriods(Date.UTC(2026, 0, 1), Date.UTC(2026, 2, 5), 'month'), [
+    { key: '2026-01', start: Date.UTC(2026, 0, 1), end: Date.UTC(2026, 1, 1) },
+    { key: '2026-02', start: Date.UTC(2026, 1, 1), end: Date.UTC(2026, 2, 1) },
+    { key: '2026-03', start: Date.UTC(2026, 2, 1), end: Date.UTC(2026, 3, 1) }
+  ]);
+});
+
+test('starts weeks on Monday or Sunday', () => {
+  // Wednesday 7 January 2026
+  const time = Date.UTC(2026, 0, 7);
+
+  assert.equal(listPeriods(time, time, 'week')[0].key, '2026-01-05');
+  assert.equal(listPeriods(time, time, 'week', 'UTC', 'sunday')[0].key, '2026-01-04');
+});
+
+test('splits periods in the runner\'s time zone', () => {
+  // 23:30 on New Year's Eve in UTC is already 2026 in Tokyo
+  const time = Date.UTC(2025, 11, 31, 23, 30);
+
+  assert.equal(listPeriods(time, time, 'year')[0].key, '2025');
+  assert.equal(listPeriods(time, time, 'year', 'Asia/Tokyo')[0].key, '2026');
+  assert.equal(getZonedParts(time, 'Asia/Tokyo').year, 2026);
+});
+
+test('refuses spans of more periods than allowed', () => {
+  assert.equal(listPeriods(Date.UTC(2026, 0, 1), Date.UTC(2026, 0, 10), 'day', 'UTC', 'iso', 10).length, 10);
+  assert.throws(
+    () => listPeriods(Date.UTC(2026, 0, 1), Date.UTC(2026, 0, 11), 'day', 'UTC', 'iso', 10),
+    /more than 10 days/
+  );
+});
+
+test('rejects unknown time zones and periods', () => {
+  assert.throws(() => assertTimeZone('Mars/Olympus_Mons'));
+  assert.throws(() => assertPeriod('fortnight', 'iso'));
+  assert.throws(() => assertPeriod('week', 'friday'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GearTracker, gearFromEquipment } = require('../src/gear/gearTracker');
+
+const pegasus = gearFromEquipment('Nike Pegasus 40');
+
+test('reads brands and models from equipment tags', () => {
+  assert.deepEqual(pegasus, {
+    key: 'nike-pegasus-40',
+    name: 'Nike Pegasus 40',
+    brand: 'Nike',
+    model: 'Pegasus',
+    version: 40,
+    type: 'shoe'
+  });
+  assert.equal(gearFromEquipment('Trail shoes').type, 'shoe');
+  assert.equal(gearFromEquipment('Garmin watch').type, 'other');
+  assert.equal(gearFromEquipment('cardio'), null);
+});
+
+test('adds up the distance run in each item, counting every event once', () => {
+  const tracker = new GearTracker();
+  tracker.recordUse('runner', [pegasus], { eventId: 'a', distance: 10000, timestamp: 200, source: 'note' });
+  tracker.recordUse('runner', [pegasus], { eventId: 'a', distance: 10000, timestamp: 200, source: 'note' });
+  tracker.recordUse('runner', [pegasus, pegasus], { eventId: 'b', distance: 5000, timestamp: 100, source: 'workout_record' });
+
+  const [item] = tracker.getGear('runner');
+  assert.equal(item.distance, 15000);
+  assert.equal(item.activities, 2);
+  assert.equal(item.firstUsed, 100);
+  assert.equal(item.lastUsed, 200);
+  assert.deepEqual(item.sources, ['note', 'workout_record']);
+  assert.deepEqual(tracker.getGear('someone-else'), []);
+});
+
+test('keeps only the most recently active runners', () => {
+  const tracker = new GearTracker(2);
+  for (const pubkey of ['a', 'b', 'a', 'c']) {
+    tracker.recordUse(pubkey, [pegasus], { eventId: `${pubkey}-${Math.random()}`, distance: 1000, timestamp: 100, source: 'note' });
+  }
+
+  assert.deepEqual([...tracker.gearByPubkey.keys()], ['a', 'c']);
+  assert.deepEqual([...tracker.countedEvents.keys()], ['a', 'c']);
+  assert.equal(tracker.getGear('a')[0].activities, 2);
+});
+
+test('drops the items used longest ago past 100 per runner', () => {
+  const tracker = new GearTracker();
+  for (let i = 0; i < 105; i++) {
+    tracker.recordUse('runner', [gearFromEquipment(`Shoe ${i}`)], { eventId: String(i), distance: 1000, timestamp: i, source: 'note' });
+  }
+
+  const gear = tracker.getGear('runner');
+  assert.equal(gear.length, 100);
+  assert.equal(Math.min(...gear.map(item => item.lastUsed)), 5);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generatePrivateKey, getPublicKey, getEventHash, getSignature } = require('nostr-tools');
+const { GoalTracker, parseGoal, goalToEvent, evaluateGoal } = require('../src/goals/goalTracker');
+const { NostrDVM } = require('../src/nostr/nostrDVM');
+
+/**
+ * Signs an event as a runner would
+ * @param {Object} event - Unsigned event
+ * @param {string} privateKey - Runner's private key
+ * @returns {Object} Signed event
+ */
+function sign(event, privateKey) {
+  const signed = { ...event, pubkey: getPublicKey(privateKey) };
+  signed.id = getEventHash(signed);
+  signed.sig = getSignature(signed, privateKey);
+  return signed;
+}
+
+test('reads a goal year as the whole calendar year', () => {
+  const goal = parseGoal({ type: 'distance', distance: 1000000, year: '2026' });
+
+  assert.equal(goal.id, 'distance-2026-01-01');
+  assert.equal(goal.start, Date.UTC(2026, 0, 1) / 1000);
+  assert.equal(goal.end, Date.UTC(2027, 0, 1) / 1000);
+  assert.deepEqual(goal.target, { metres: 1000000 });
+});
+
+test('refuses goal years that aren\'t whole numbers', () => {
+  for (const year of [2026.5, 'next', 1800, true]) {
+    assert.throws(() => parseGoal({ type: 'distance', distance: 1000, year }), /Invalid goal year/, String(year));
+  }
+});
+
+test('refuses goals starting before 1970 or too many periods back', () => {
+  assert.throws(() => parseGoal({ type: 'frequency', runs: 3, start: '0200-01-01' }), /1970 or later/);
+  assert.throws(() => parseGoal({ type: 'frequency', runs: 3, start: '2000-01-01' }), /more than 1000 weeks back/);
+  assert.equal(parseGoal({ type: 'frequency', runs: 3, per: 'month', start: '2000-01-01' }).start, Date.UTC(2000, 0, 1) / 1000);
+});
+
+test('counts the runs of each period of a frequency goal', () => {
+  const goal = parseGoal({ type: 'frequency', runs: 2, per: 'week', start: '2026-01-05', end: '2026-01-26' });
+  // Two runs in the first week, one in the second and two in the third, out of order
+  const runs = ['2026-01-06', '2026-01-20', '2026-01-08', '2026-01-14', '2026-01-22']
+    .map(date => ({ timestamp: Date.parse(date) / 1000, distance: 5000 }));
+  const { progress } = evaluateGoal(goal, { runs, getEfforts: () => [] }, {
+    now: Date.UTC(2026, 1, 1) / 1000,
+    timeZone: 'UTC',
+    weekStart: 'iso',
+    units: 'metric'
+  });
+
+  assert.equal(progress.periodsTotal, 3);
+  assert.equal(progress.periodsMet, 2);
+  assert.equal(progress.status, 'missed');
+});
+
+test('keeps a signed goal over an unsigned or older one', () => {
+  const tracker = new GoalTracker();
+  const definition = { id: 'marathon', type: 'frequency', runs: 4 };
+  const signed = { ...parseGoal(definition, 200), eventId: 'abc' };
+
+  assert.equal(tracker.setGoal('runner', signed), true);
+  assert.equal(tracker.setGoal('runner', parseGoal(definition, 300)), false);
+  assert.equal(tracker.setGoal('runner', { ...parseGoal(definition, 100), eventId: 'def' }), false);
+  assert.equal(tracker.setGoal('runner', { ...parseGoal(definition, 300), eventId: 'ghi' }), true);
+  assert.equal(tracker.getGoals('runner')[0].eventId, 'ghi');
+});
+
+test('set_goal sets unsigned goals for the customer only', async () => {
+  const dvm = new NostrDVM();
+  const goal = { id: 'weekly', type: 'frequency', runs: 3 };
+
+  await assert.rejects(dvm.setGoal({ goal }), /signed goal event/);
+  await assert.rejects(dvm.setGoal({ goal, pubkey: 'someone-else' }, { customer: 'runner' }), /requester's own pubkey/);
+
+  const result = await dvm.setGoal({ goal }, { customer: 'runner' });
+  assert.equal(result.pubkey, 'runner');
+  assert.equal(result.event.kind, 30078);
+});
+
+test('set_goal trusts signed goal events for their author', async () => {
+  const dvm = new NostrDVM();
+  const privateKey = generatePrivateKey();
+  const goal = parseGoal({ id: 'weekly', type: 'frequency', runs: 3 }, Math.floor(Date.now() / 1000) - 60);
+  const event = sign(goalToEvent(getPublicKey(privateKey), goal), privateKey);
+
+  const result = await dvm.setGoal({ event });
+  assert.equal(result.pubkey, getPublicKey(privateKey));
+  assert.equal(result.event, null);
+
+  await assert.rejects(
+    dvm.setGoal({ goal: { id: 'weekly', type: 'frequency', runs: 5 } }, { customer: getPublicKey(privateKey) }),
+    /already set by a newer or signed goal event/
+  );
+  const tampered = { ...JSON.parse(JSON.stringify(event)), content: '{"type":"frequency","runs":9}' };
+  await assert.rejects(dvm.setGoal({ event: tampered }), /validly signed/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gradeFactor, getGradeAdjustment, adjustSplits, gradeAdjustPace } = require('../src/utils/gradeAdjustment');
+
+const entry = (extractedData, flagged = []) => ({ activity: { extractedData }, flagged: new Set(flagged) });
+
+test('costs climbing more than the flat and gentle descents less', () => {
+  assert.equal(gradeFactor(10000, 0), 1);
+  assert.ok(gradeFactor(1000, 100, 0) > 1.5);
+  assert.ok(gradeFactor(1000, 0, 50) < 1);
+  // A hilly loop costs a little more than the flat, as descending gives back less than climbing takes
+  assert.ok(Math.abs(gradeFactor(10000, 200) - 1.0206) < 0.0001);
+});
+
+test('adjusts by the activity\'s elevation gain without split elevation', () => {
+  const hilly = entry({ distance: { value: 10, unit: 'km' }, elevation: { value: 200, unit: 'm' } });
+
+  assert.equal(getGradeAdjustment(hilly).basis, 'elevation');
+  assert.ok(Math.abs(gradeAdjustPace(hilly, 300) - 293.96) < 0.01);
+  assert.equal(getGradeAdjustment(entry({ distance: { value: 10, unit: 'km' } })), null);
+  assert.equal(getGradeAdjustment(entry(hilly.activity.extractedData, ['elevation'])), null);
+});
+
+test('adjusts split by split when every split has its elevation', () => {
+  const splits = [
+    { distance: '1', unit: 'km', seconds: 300, elevation_gain: 50, elevation_loss: 0 },
+    { distance: '1', unit: 'km', seconds: 300, elevation_gain: 0, elevation_loss: 0 }
+  ];
+  const [uphill, flat] = adjustSplits(splits);
+
+  assert.ok(uphill.seconds < 300);
+  assert.equal(flat.seconds, 300);
+  assert.equal(getGradeAdjustment(entry({ splits })).basis, 'splits');
+});
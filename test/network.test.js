@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { isPublicAddress, assertPublicUrl, PublicWebSocket } = require('../src/utils/network');
+
+test('tells public addresses from private and reserved ones', () => {
+  for (const address of ['1.1.1.1', '8.8.8.8', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', 'localhost']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('refuses URLs to private hosts and other protocols', async () => {
+  await assert.rejects(assertPublicUrl('http://127.0.0.1:3000/health', ['http:', 'https:']), /not a public address/);
+  await assert.rejects(assertPublicUrl('http://[::1]/', ['http:', 'https:']), /not a public address/);
+  await assert.rejects(assertPublicUrl('file:///etc/passwd', ['http:', 'https:']), /unsupported URL protocol/);
+  await assert.rejects(assertPublicUrl('not a url', ['http:', 'https:']), /invalid URL/);
+});
+
+test('accepts URLs to public addresses', async () => {
+  const url = await assertPublicUrl('https://1.1.1.1/activities.json', ['https:']);
+
+  assert.equal(url.hostname, '1.1.1.1');
+});
+
+test('dials relays only on public addresses, whatever the name resolves to', async () => {
+  const server = http.createServer();
+  let connections = 0;
+  server.on('connection', () => connections++);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const socket = new PublicWebSocket(`ws://localhost:${server.address().port}`);
+    const opened = await new Promise(resolve => {
+      socket.onopen = () => resolve(true);
+      socket.onerror = () => resolve(false);
+    });
+
+    assert.equal(opened, false);
+    assert.equal(connections, 0);
+  } finally {
+    server.close();
+  }
+});
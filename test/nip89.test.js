@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HANDLER_KIND,
+  RECOMMENDATION_KIND,
+  handlerAddress,
+  buildHandlerAnnouncement,
+  sameAnnouncement,
+  buildAnnouncementDeletion,
+  RecommendationTracker
+} = require('../src/nostr/nip89');
+
+const DVM = 'dvm-pubkey';
+const task = { name: 'activity_summary', kind: 5641, description: 'Summarize running activities' };
+const profile = { name: 'RUNSTR DVM', about: 'Running analysis', picture: null, website: null };
+const ours = handlerAddress(DVM, task);
+
+/**
+ * Builds a recommendation event
+ * @param {string} pubkey - Recommending user
+ * @param {number} createdAt - Unix seconds
+ * @param {Array} addresses - Addresses recommended
+ * @returns {Object} Kind 31989 event
+ */
+function recommendation(pubkey, createdAt, addresses) {
+  return {
+    kind: RECOMMENDATION_KIND,
+    pubkey,
+    created_at: createdAt,
+    tags: [['d', '5641'], ...addresses.map(address => ['a', address, 'wss://relay.example', 'web'])]
+  };
+}
+
+test('announces each task with its kind and params schema', () => {
+  const announcement = buildHandlerAnnouncement(task, profile);
+  const metadata = JSON.parse(announcement.content);
+
+  assert.equal(announcement.kind, HANDLER_KIND);
+  assert.deepEqual(announcement.tags.slice(0, 2), [['d', 'runstr-activity_summary'], ['k', '5641']]);
+  assert.equal(metadata.name, 'RUNSTR DVM: activity_summary');
+  assert.equal(metadata.nip90Params.groupBy.values.join(), 'week,month,year');
+  assert.equal(ours, `31990:${DVM}:runstr-activity_summary`);
+});
+
+test('tells a published announcement apart from a changed one, and deletes old ones', () => {
+  const announcement = buildHandlerAnnouncement(task, profile);
+  const published = { ...announcement, id: 'old-id', pubkey: DVM };
+
+  assert.equal(sameAnnouncement(published, announcement), true);
+  assert.equal(sameAnnouncement(published, buildHandlerAnnouncement(task, { ...profile, about: 'New' })), false);
+  assert.deepEqual(buildAnnouncementDeletion(published).tags, [
+    ['e', 'old-id'],
+    ['a', ours],
+    ['k', String(HANDLER_KIND)]
+  ]);
+});
+
+test('keeps each user\'s latest recommendation of our announcements only', () => {
+  const tracker = new RecommendationTracker(DVM);
+
+  assert.equal(tracker.addRecommendation(recommendation('alice', 100, [ours, '31990:other:handler'])), true);
+  assert.equal(tracker.addRecommendation(recommendation('alice', 50, [ours])), false);
+  assert.equal(tracker.addRecommendation(recommendation('bob', 100, ['31990:other:handler'])), false);
+  assert.equal(tracker.recommendations.size, 1);
+  assert.deepEqual(tracker.recommendations.get('alice:5641').addresses.map(a => a.address), [ours]);
+  assert.deepEqual(tracker.getRecommenders(ours), [
+    { pubkey: 'alice', created_at: 100, relay: 'wss://relay.example', platform: 'web' }
+  ]);
+
+  // Recommending another handler instead takes back the recommendation
+  assert.equal(tracker.addRecommendation(recommendation('alice', 200, ['31990:other:handler'])), false);
+  assert.deepEqual(tracker.getRecommenders(ours), []);
+});
+
+test('keeps only the most recently updated recommendations', () => {
+  const tracker = new RecommendationTracker(DVM, 2);
+  ['alice', 'bob', 'carol'].forEach((pubkey, i) => tracker.addRecommendation(recommendation(pubkey, 100 + i, [ours])));
+
+  assert.deepEqual(tracker.getRecommenders(ours).map(r => r.pubkey), ['carol', 'bob']);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FEEDBACK_KIND,
+  isJobRequestKind,
+  parseParamValue,
+  parseJobRequest,
+  buildJobResult,
+  buildJobFeedback
+} = require('../src/nostr/nip90');
+
+const request = {
+  id: 'request-id',
+  kind: 5641,
+  pubkey: 'customer',
+  created_at: 1790812800,
+  tags: [
+    ['i', 'note-id', 'event', 'wss://relay.example.com'],
+    ['i', 'Ran 10 km in 50:00'],
+    ['param', 'groupBy', 'week'],
+    ['param', 'since', '1790000000'],
+    ['param', 'id', '007'],
+    ['output', 'text/plain'],
+    ['relays', 'wss://a.example.com', 'wss://b.example.com'],
+    ['bid', '1000'],
+    ['p', 'provider']
+  ],
+  content: ''
+};
+
+test('reads job request kinds', () => {
+  assert.equal(isJobRequestKind(5641), true);
+  assert.equal(isJobRequestKind(6641), false);
+  assert.equal(isJobRequestKind('5641'), false);
+});
+
+test('reads param values as JSON when they are JSON', () => {
+  assert.equal(parseParamValue('7'), 7);
+  assert.equal(parseParamValue('true'), true);
+  assert.deepEqual(parseParamValue('{"since": 1790812800}'), { since: 1790812800 });
+  assert.equal(parseParamValue('007'), '007');
+  assert.equal(parseParamValue('12345678901234567890'), '12345678901234567890');
+  assert.equal(parseParamValue('week'), 'week');
+});
+
+test('reads the inputs and options of a job request', () => {
+  const job = parseJobRequest(request);
+
+  assert.deepEqual(job.inputs, [
+    { data: 'note-id', type: 'event', relay: 'wss://relay.example.com', marker: null },
+    { data: 'Ran 10 km in 50:00', type: 'text', relay: null, marker: null }
+  ]);
+  assert.deepEqual(job.params, { groupBy: 'week', since: 1790000000, id: '007' });
+  assert.equal(job.customer, 'customer');
+  assert.equal(job.output, 'text/plain');
+  assert.deepEqual(job.relays, ['wss://a.example.com', 'wss://b.example.com']);
+  assert.equal(job.bid, 1000);
+  assert.deepEqual(job.providers, ['provider']);
+});
+
+test('refuses requests it cannot read', () => {
+  assert.throws(() => parseJobRequest({ ...request, kind: 1 }), /not a job request/);
+  assert.throws(() => parseJobRequest({ ...request, tags: [['i', 'x', 'blob']] }), /Unsupported input type/);
+  assert.throws(() => parseJobRequest({ ...request, tags: [['i', '', 'event']] }), /has no data/);
+  assert.throws(() => parseJobRequest({ ...request, tags: [['output', 'image/png']] }), /Unsupported output format/);
+});
+
+test('builds results that carry the request and its inputs', () => {
+  const result = buildJobResult(request, '{}', 'wss://relay.example.com');
+
+  assert.equal(result.kind, 6641);
+  assert.deepEqual(JSON.parse(result.tags[0][1]), request);
+  assert.deepEqual(result.tags.slice(1), [
+    ['e', 'request-id', 'wss://relay.example.com'],
+    ['i', 'note-id', 'event', 'wss://relay.example.com'],
+    ['i', 'Ran 10 km in 50:00'],
+    ['p', 'customer']
+  ]);
+});
+
+test('builds feedback with a known status', () => {
+  const feedback = buildJobFeedback(request, 'error', 'No activities provided');
+
+  assert.equal(feedback.kind, FEEDBACK_KIND);
+  assert.deepEqual(feedback.tags, [['status', 'error', 'No activities provided'], ['e', 'request-id'], ['p', 'customer']]);
+  assert.throws(() => buildJobFeedback(request, 'done'), /Unknown job status/);
+});
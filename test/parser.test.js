@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runningNotesTask } = require('../src/tasks/runningNotes');
+const { detectLanguage } = require('../src/parser/language');
+
+test('parses distance, time, heart rate and pace from a note', async () => {
+  const result = await runningNotesTask({ content: 'Ran 10 km in 50:00, avg HR 150', created_at: 1760000000 });
+  const { distance, time, heartRate, calculatedPace } = result.extractedData;
+
+  assert.equal(result.language.code, 'en');
+  assert.equal(distance.metres, 10000);
+  assert.deepEqual(distance.span, { start: 4, end: 9, text: '10 km' });
+  assert.equal(time.totalSeconds, 3000);
+  assert.equal(time.formatted, '00:50:00');
+  assert.equal(heartRate.value, 150);
+  assert.equal(calculatedPace.secondsPerKm, 300);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('formats paces and distances in the preferred units', async () => {
+  const result = await runningNotesTask({ content: 'Ran 10 km in 50:00', units: 'imperial' });
+
+  assert.equal(result.extractedData.distance.formatted, '6.21 mi');
+  assert.equal(result.extractedData.distance.metres, 10000);
+});
+
+test('parses notes in other languages', async () => {
+  const result = await runningNotesTask({ content: 'Corrí 10 km hoy con mis amigos en 55 minutos' });
+
+  assert.equal(result.language.code, 'es');
+  assert.equal(result.extractedData.distance.metres, 10000);
+});
+
+test('shapes intervals like NIP-101e split tags', async () => {
+  const result = await runningNotesTask({ content: '6x800m @ 3:10 w/ 400m jog' });
+  const [interval] = result.extractedData.intervals;
+
+  assert.equal(interval.reps, 6);
+  assert.equal(interval.repDistance, 800);
+  assert.equal(interval.target.seconds, 190);
+  assert.deepEqual(interval.recovery, { distance: 400, duration: null, type: 'jog' });
+});
+
+test('takes the distance of a numbered race name', async () => {
+  const result = await runningNotesTask({ content: 'Sunday\'s 20 miler', created_at: 1760000000 });
+  const { distance, race } = result.extractedData;
+
+  assert.equal(race.name, '20_mile');
+  assert.equal(distance.value, 20);
+  assert.equal(distance.unit, 'mi');
+  assert.equal(distance.metres, race.distance);
+
+  const training = await runningNotesTask({ content: 'Marathon training going well' });
+  assert.equal(training.extractedData.distance, undefined);
+});
+
+test('reads a bare h:mm before an activity as hours', async () => {
+  const run = await runningNotesTask({ content: '1:30 run this morning' });
+  const longRun = await runningNotesTask({ content: 'Easy 2:15 long run' });
+  const early = await runningNotesTask({ content: '5:30 run' });
+
+  assert.equal(run.extractedData.time.totalSeconds, 5400);
+  assert.equal(longRun.extractedData.time.totalSeconds, 8100);
+  assert.equal(early.extractedData.time.totalSeconds, 330);
+});
+
+test('reads nested sets without recursing into every bracket', async () => {
+  const nested = await runningNotesTask({ content: '3x(2x(4x400m w/ 200m jog) w/ 2:00 rest)' });
+  const [interval] = nested.extractedData.intervals;
+
+  assert.equal(interval.sets, 6);
+  assert.equal(interval.reps, 4);
+  assert.equal(interval.setRecovery.duration, 120);
+
+  const deep = await runningNotesTask({ content: '2x('.repeat(10000) });
+  assert.equal(deep.extractedData.intervals, undefined);
+});
+
+test('parses only the start of very long notes', async () => {
+  const content = `Ran 10 km in 50:00. ${'splits: 4:52, '.repeat(2000)}`;
+  const result = await runningNotesTask({ content });
+
+  assert.equal(result.rawContent, content);
+  assert.equal(result.extractedData.distance.metres, 10000);
+  assert.ok(result.extractedData.splits.length < 400);
+});
+
+test('rejects unknown languages and unit systems', async () => {
+  await assert.rejects(runningNotesTask({ content: 'Ran 5 km', language: 'xx' }));
+  await assert.rejects(runningNotesTask({ content: 'Ran 5 km', units: 'nautical' }));
+});
+
+test('detects English notes made of units and workout words', () => {
+  for (const content of ['5 mi in 40 minutes', 'Easy 8 miles, 9:30/mi', '10k tempo 42:10', '6x800m @ 3:10 w/ 400m jog']) {
+    assert.equal(detectLanguage(content).code, 'en', content);
+  }
+});
+
+test('detects Latin-script languages by their own words and Japanese by its script', () => {
+  assert.equal(detectLanguage('Corri 10 km hoje, muito bom').code, 'pt');
+  assert.equal(detectLanguage('Heute 10 km gelaufen, war sehr gut').code, 'de');
+  assert.equal(detectLanguage("Couru 10 km aujourd'hui avec des amis, très bien").code, 'fr');
+  assert.equal(detectLanguage('今日は10km走った').code, 'ja');
+});
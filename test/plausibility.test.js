@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateActivity, validateWorkoutRecord } = require('../src/validation/plausibility');
+
+const codes = warnings => warnings.map(warning => warning.code);
+
+test('accepts a plausible run', () => {
+  assert.deepEqual(validateActivity({
+    distance: { value: 10, unit: 'km' },
+    time: { totalSeconds: 3000 },
+    heartRate: { value: 150 }
+  }), []);
+});
+
+test('flags a pace no runner can hold over the distance', () => {
+  const warnings = validateActivity({ distance: { value: 20, unit: 'km' }, pace: { secondsPerKm: 110 } });
+
+  assert.deepEqual(codes(warnings), ['pace_too_fast']);
+  assert.equal(warnings[0].severity, 'error');
+});
+
+test('checks the pace implied by a distance and time', () => {
+  const warnings = validateActivity({ distance: { value: 10, unit: 'km' }, time: { totalSeconds: 900 } });
+
+  assert.deepEqual(warnings.map(warning => warning.field), ['calculatedPace']);
+});
+
+test('flags heart rates outside the human range', () => {
+  assert.deepEqual(codes(validateActivity({ heartRate: { value: 260 } })), ['heart_rate_out_of_range']);
+});
+
+test('judges paces by the sport', () => {
+  const ride = { activityType: 'ride', distance: { value: 40, unit: 'km' }, time: { totalSeconds: 3600 } };
+
+  assert.deepEqual(validateActivity(ride), []);
+  assert.notDeepEqual(validateActivity({ ...ride, activityType: 'run' }), []);
+});
+
+test('flags a race whose finish time is too fast for its distance', () => {
+  const warnings = validateActivity({ race: { distance: 42195, finishTime: { totalSeconds: 5400 } } });
+
+  assert.deepEqual(warnings.map(warning => warning.field), ['race']);
+  assert.deepEqual(validateActivity({ race: { distance: 42195, finishTime: { totalSeconds: 11112 } } }), []);
+});
+
+test('flags workout records that end before they start', () => {
+  const record = { start: 1760003600, end: 1760000000, created_at: 1760003600 };
+
+  assert.deepEqual(codes(validateWorkoutRecord(record)), ['end_before_start']);
+  assert.deepEqual(validateWorkoutRecord({ ...record, end: 1760007200 }), []);
+});
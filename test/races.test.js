@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RACE_DISTANCES, matchRaceDistance, raceDistance } = require('../src/parser/races');
+
+test('matches measured distances to the nearest standard race', () => {
+  assert.equal(matchRaceDistance(21100), 'half_marathon');
+  assert.equal(matchRaceDistance(42400), 'marathon');
+  assert.equal(matchRaceDistance(16093), '10_mile');
+  assert.equal(matchRaceDistance(7000), null);
+});
+
+test('looks up the distance of a race name', () => {
+  assert.equal(raceDistance('marathon'), RACE_DISTANCES.marathon);
+  assert.equal(raceDistance('parkrun'), 5000);
+  assert.equal(raceDistance('ultra'), null);
+  assert.equal(raceDistance('relay'), null);
+});
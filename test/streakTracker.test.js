@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StreakTracker } = require('../src/streaks/streakTracker');
+
+const DAY = 24 * 60 * 60;
+// Noon UTC on Wednesday 14 January 2026
+const NOW = Date.UTC(2026, 0, 14, 12) / 1000;
+
+/**
+ * Records a run some days before NOW
+ * @param {StreakTracker} tracker - Tracker to record in
+ * @param {number} daysAgo - Days before NOW
+ * @param {number} [distance] - Distance in metres
+ * @param {string} [eventId] - Event id, one per day by default
+ */
+function run(tracker, daysAgo, distance = 5000, eventId = `run-${daysAgo}`) {
+  tracker.recordRun('runner', { eventId, timestamp: NOW - daysAgo * DAY, distance, source: 'note' });
+}
+
+test('measures the current and longest daily and weekly streaks', () => {
+  const tracker = new StreakTracker();
+  // Yesterday and the two days before, then a four-day streak a week earlier
+  [1, 2, 3, 8, 9, 10, 11].forEach(daysAgo => run(tracker, daysAgo));
+
+  const streaks = tracker.getStreaks('runner', { timeZone: 'UTC', weekStart: 'iso', days: 14, now: NOW * 1000 });
+  assert.deepEqual(streaks.daily, { current: 3, longest: 4 });
+  assert.deepEqual(streaks.weekly, { current: 3, longest: 3 });
+  assert.equal(streaks.totalRuns, 7);
+  assert.equal(streaks.activeDays, 7);
+});
+
+test('shades the calendar by the distance run each day', () => {
+  const tracker = new StreakTracker();
+  run(tracker, 0, 20000);
+  run(tracker, 1, 5000);
+  run(tracker, 1, 5000, 'second-run');
+  run(tracker, 1, 5000, 'second-run');
+  run(tracker, 3, null);
+
+  const { calendar } = tracker.getStreaks('runner', { timeZone: 'UTC', weekStart: 'iso', days: 4, now: NOW * 1000 });
+  assert.deepEqual(calendar, [
+    { date: '2026-01-11', count: 1, distance: 0, level: 1 },
+    { date: '2026-01-12', count: 0, distance: 0, level: 0 },
+    { date: '2026-01-13', count: 2, distance: 10000, level: 2 },
+    { date: '2026-01-14', count: 1, distance: 20000, level: 4 }
+  ]);
+});
+
+test('keeps the most recently active runners and their latest runs', () => {
+  const tracker = new StreakTracker(2);
+  for (const pubkey of ['a', 'b', 'a', 'c']) {
+    tracker.recordRun(pubkey, { eventId: `${pubkey}-${tracker.getRuns(pubkey).length}`, timestamp: NOW, distance: 5000, source: 'note' });
+  }
+  assert.deepEqual([...tracker.runsByPubkey.keys()], ['a', 'c']);
+
+  const busy = new StreakTracker();
+  for (let i = 0; i <= 2 * 3660; i++) {
+    busy.recordRun('runner', { eventId: String(i), timestamp: NOW - i * DAY / 2, distance: 5000, source: 'note' });
+  }
+  const runs = busy.getRuns('runner');
+  assert.equal(runs.length, 2 * 3660);
+  assert.equal(runs[0].eventId, String(2 * 3660 - 1));
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { activitySummaryTask } = require('../src/tasks/activitySummary');
+const { trainingLoadTask } = require('../src/tasks/trainingLoad');
+const { racePredictorTask } = require('../src/tasks/racePredictor');
+const { heartRateZonesTask } = require('../src/tasks/heartRateZones');
+const { injuryRiskTask } = require('../src/tasks/injuryRisk');
+const { compareTask } = require('../src/tasks/compare');
+const { recapTask } = require('../src/tasks/recap');
+const { runningNotesTask } = require('../src/tasks/runningNotes');
+const { listPeriods } = require('../src/utils/dates');
+const { NostrDVM } = require('../src/nostr/nostrDVM');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Ten 10 km runs in 50 minutes at 150 bpm, every other day from 1 January 2026
+const activities = Array.from({ length: 10 }, (_, i) => ({
+  timestamp: new Date(Date.UTC(2026, 0, 1) + i * 2 * DAY).toISOString(),
+  extractedData: {
+    distance: { value: 10, unit: 'km' },
+    time: { totalSeconds: 3000 },
+    heartRate: { value: 150, unit: 'bpm' }
+  }
+}));
+
+// A week of 42.3 km at 5:21/km, and the 37.8 km week before it
+const THIS_WEEK = ['Long run 16 km at 5:21/km', 'Ran 8 km at 5:21/km', 'Ran 6.3 km at 5:21/km', 'Ran 6 km at 5:21/km', 'Ran 6 km at 5:21/km'];
+const LAST_WEEK = ['Long run 14 km at 5:30/km', 'Ran 10 km at 5:30/km', 'Ran 7.8 km at 5:30/km', 'Ran 6 km at 5:30/km'];
+
+test('activity_summary totals runs and groups them by period', async () => {
+  const result = await activitySummaryTask({ activities, groupBy: 'month' });
+
+  assert.equal(result.runningActivities, 10);
+  assert.equal(result.totals.distance, 100000);
+  assert.equal(result.totals.durationFormatted, '08:20:00');
+  assert.deepEqual(result.best.duration, { activityIndex: 0, seconds: 3000, value: '00:50:00' });
+  assert.deepEqual(result.groups.map(group => group.key), ['2026-01']);
+});
+
+test('activity_summary keeps other sports out of running totals', async () => {
+  const ride = { timestamp: '2026-01-02T00:00:00.000Z', extractedData: { activityType: 'ride', distance: { value: 40, unit: 'km' }, time: { totalSeconds: 3600 } } };
+  const result = await activitySummaryTask({ activities: [...activities, ride] });
+
+  assert.equal(result.totalActivities, 11);
+  assert.equal(result.totals.distance, 100000);
+  assert.ok(result.bySport.ride);
+});
+
+test('activity_summary needs activities', async () => {
+  await assert.rejects(activitySummaryTask({ activities: [] }), /No activities provided/);
+});
+
+test('training_load scores each run by heart rate', async () => {
+  const result = await trainingLoadTask({ activities, until: '2026-01-31' });
+
+  assert.equal(result.activities.length, 10);
+  assert.ok(result.activities.every(activity => activity.method === 'heart_rate' && activity.load > 0));
+  assert.equal(result.daily[result.daily.length - 1].date, '2026-01-31');
+});
+
+test('race_predictor predicts from the best recent effort', async () => {
+  const result = await racePredictorTask({ activities });
+
+  assert.equal(result.basedOn.activityIndex, 0);
+  assert.equal(result.vdot, 40);
+  assert.deepEqual(result.predictions.map(prediction => prediction.race), ['5k', '10k', 'half_marathon', 'marathon']);
+});
+
+test('heart_rate_zones puts time in the zone of the average heart rate', async () => {
+  const result = await heartRateZonesTask({ activities, profile: { maxHeartRate: 190 } });
+
+  assert.equal(result.model, 'five_zone');
+  assert.equal(result.workouts.length, 10);
+  await assert.rejects(heartRateZonesTask({ activities }), /maxHeartRate or age is required/);
+});
+
+test('injury_risk lists the weeks checked', async () => {
+  const result = await injuryRiskTask({ activities });
+
+  assert.deepEqual(result.weeks.map(week => week.key), ['2025-12-29', '2026-01-05', '2026-01-12', '2026-01-19']);
+  assert.equal(result.weeks.reduce((runs, week) => runs + week.runs, 0), 10);
+});
+
+test('injury_risk checks the latest 26 weeks of a long history', async () => {
+  // A 10 km run every week for twenty years, then a 15 km week
+  const history = Array.from({ length: 1040 }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2006, 0, 2) + i * 7 * DAY).toISOString(),
+    extractedData: { distance: { value: i === 1039 ? 15 : 10, unit: 'km' } }
+  }));
+
+  const result = await injuryRiskTask({ activities: history });
+
+  assert.equal(result.weeks.length, 26);
+  assert.equal(result.weeks[0].key, '2025-06-09');
+  assert.equal(result.period.start, '2025-06-09T00:00:00.000Z');
+  assert.deepEqual(result.warnings.map(warning => [warning.type, warning.severity]), [['mileage_spike', 'high'], ['long_run_jump', 'high']]);
+});
+
+test('injury_risk of a runner checks their own notes', async () => {
+  const dvm = new NostrDVM();
+  const start = Date.UTC(2026, 0, 5);
+  // Twelve days of running in a row
+  for (let i = 0; i < 12; i++) {
+    dvm.activityStore.addNote({ id: `run-${i}`, pubkey: 'runner', content: 'Ran 5 km in 25:00', created_at: (start + i * DAY) / 1000 });
+  }
+
+  const result = await dvm.assessInjuryRisk({ pubkey: 'runner', thresholdPace: 240 });
+
+  assert.equal(result.pubkey, 'runner');
+  assert.equal(result.activities.length, 12);
+  assert.deepEqual(result.warnings.map(warning => [warning.type, warning.severity]), [['no_rest_days', 'low']]);
+  await assert.rejects(dvm.assessInjuryRisk({ pubkey: 'runner', activities }), /not both/);
+});
+
+test('compare gives the deltas between two sides', async () => {
+  const result = await compareTask({ a: { activities: activities.slice(0, 4) }, b: { activities: activities.slice(4) } });
+
+  assert.equal(result.deltas.distance.a, 40000);
+  assert.equal(result.deltas.distance.b, 60000);
+  assert.equal(result.deltas.distance.delta, 20000);
+});
+
+test('recap words a summary and the change since the previous period', async () => {
+  const runs = async notes => Promise.all(notes.map(async (content, i) => ({
+    ...await runningNotesTask({ content }),
+    timestamp: new Date(Date.UTC(2026, 0, 5) + i * DAY).toISOString()
+  })));
+  const summary = await activitySummaryTask({ activities: await runs(THIS_WEEK) });
+  const previousSummary = await activitySummaryTask({ activities: await runs(LAST_WEEK) });
+  const result = await recapTask({ summary, previousSummary, period: 'week', includeEvent: true });
+
+  assert.equal(result.text, 'This week: 42.3 km over 5 runs, avg 5:21/km, longest 16 km — up 12% on last week');
+  assert.equal(result.distanceChangePercent, 12);
+  assert.deepEqual(result.event.tags, [['t', 'runstr']]);
+});
+
+test('recap of a runner\'s week covers this week against the whole week before', async () => {
+  const dvm = new NostrDVM();
+  const now = Date.now();
+  const [thisWeek] = listPeriods(now, now, 'week');
+  const lastWeekStart = listPeriods(thisWeek.start - 1, thisWeek.start - 1, 'week')[0].start;
+  const post = (content, time, i) => dvm.activityStore.addNote({
+    id: `${time}-${i}`,
+    pubkey: 'runner',
+    content,
+    created_at: Math.floor(time / 1000)
+  });
+  THIS_WEEK.forEach((content, i) => post(content, thisWeek.start + (now - thisWeek.start) * (i + 1) / 6, i));
+  LAST_WEEK.forEach((content, i) => post(content, lastWeekStart + i * DAY, i));
+  // Older runs don't count towards either week
+  post('Ran 30 km at 5:30/km', lastWeekStart - 3 * DAY, 0);
+
+  const result = await dvm.recapActivities({ pubkey: 'runner', period: 'week' });
+
+  assert.equal(result.text, 'This week: 42.3 km over 5 runs, avg 5:21/km, longest 16 km — up 12% on last week');
+});
+
+test('a runner\'s workout records with a start no date can hold are skipped', async () => {
+  const dvm = new NostrDVM();
+  const record = (id, start) => ({
+    id,
+    kind: 1301,
+    pubkey: 'runner',
+    created_at: 1790812800,
+    content: '',
+    tags: [['title', 'Morning run'], ['start', start], ['end', String(Number(start) + 3000)], ['split', '1', '10', 'km', '50:00']]
+  });
+  dvm.addWorkoutRecord(record('good', '1790800000'));
+  dvm.addWorkoutRecord(record('far-future', '99999999999999'));
+
+  const result = await dvm.summarizeActivities({ pubkey: 'runner' });
+
+  assert.deepEqual(result.activities.map(activity => activity.eventId), ['good']);
+  assert.equal(result.totals.distance, 10000);
+  const risk = await injuryRiskTask({ records: dvm.workoutRecords.filter(r => r.id === 'far-future'), activities });
+  assert.equal(risk.weeks.reduce((runs, week) => runs + week.runs, 0), 10);
+});
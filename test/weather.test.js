@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dewPoint, heatSlowdown, getWeatherAdjustment, weatherAdjustPace, temperatureBucket } = require('../src/utils/weather');
+
+const entry = (extractedData, flagged = []) => ({ activity: { extractedData }, flagged: new Set(flagged) });
+
+test('works out the dew point from temperature and humidity', () => {
+  assert.ok(Math.abs(dewPoint(20, 100) - 20) < 0.01);
+  assert.ok(Math.abs(dewPoint(30, 50) - 18.44) < 0.01);
+});
+
+test('slows runs down only in the heat, up to a limit', () => {
+  assert.equal(heatSlowdown(10, 0), 0);
+  // 30 °C plus a 20 °C dew point is 154 in °F
+  assert.ok(Math.abs(heatSlowdown(30, 20) - 0.051) < 1e-9);
+  assert.equal(heatSlowdown(45, 40), 0.15);
+});
+
+test('adjusts an activity\'s pace for the heat it was run in', () => {
+  const hot = entry({ temperature: { value: 86, unit: 'f' }, humidity: { value: 70 } });
+  const adjustment = getWeatherAdjustment(hot);
+
+  assert.equal(adjustment.celsius, 30);
+  assert.equal(adjustment.basis, 'dew_point');
+  assert.ok(weatherAdjustPace(hot, 300) < 300);
+  assert.equal(getWeatherAdjustment(entry({ temperature: { value: 30, unit: 'c' } })).basis, 'temperature');
+  assert.equal(getWeatherAdjustment(entry({ temperature: { value: 60, unit: 'c' } }, ['temperature'])), null);
+  assert.equal(weatherAdjustPace(entry({}), 300), 300);
+});
+
+test('buckets temperatures in 5 °C ranges', () => {
+  assert.deepEqual(temperatureBucket(17.5), { key: '15_20', min: 15, max: 20 });
+  assert.deepEqual(temperatureBucket(-3), { key: '-5_0', min: -5, max: 0 });
+});